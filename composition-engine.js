@@ -0,0 +1,1145 @@
+/* ===================================================================
+ * SPLICE - COMPOSITION ENGINE
+ * ===================================================================
+ *
+ * Headless playback logic shared by create.js and playback.js.
+ *
+ * A composition is the saved cut shape: { videos: [], sessions: [],
+ * duration }. duration is the length in ms; cuts saved before it was
+ * configurable have no value and are treated as 60s. An optional `bpm`
+ * sets the tempo for the beat grid and quantizing.
+ *
+ * Saved cuts list only the filled slots in `videos`; each entry carries
+ * its `slot` number (older cuts without one use their array index), and
+ * `slotCount` says how many modules the cut was made with. A video's
+ * `keyframes` are its cue point times (any number; older cuts always
+ * have three, with null for unset ones) and the optional `cueLabels`
+ * give each cue a { name, color }. An optional `loopRegion`
+ * ({ inTime, outTime }) is the slot's A/B loop, switched by its `loop`
+ * lane, and the `speed` lane sets its playback rate. The `mute` and
+ * `solo` step lanes silence slots by the usual mixer rules, hiding them
+ * as well when the composition has `muteVideo` set.
+ * Each session holds controlData keyed by slot, and each slot holds one
+ * array of { timestamp, value } points per control lane plus a
+ * `timestamps` array of keyframe events ({ timestamp, keyframeIndex,
+ * time, action }). A punched overdub also has `punch: { inMs, outMs }`
+ * and only counts inside that window.
+ *
+ * Composition-wide lanes (the crossfader, master volume and master
+ * fade, the layer order and the layout) are recorded per session in
+ * `masterData` ({ [lane]: [{ timestamp, value }] }) rather than in
+ * controlData, which only ever holds slots. A `layerOrder` value is the stack as slot
+ * numbers from bottom to top; null stacks by slot. Each video's optional
+ * `crossfaderSide` ('a' or 'b') puts it on one side of the crossfader,
+ * and `crossfader: { curve, target }` on the composition sets how it
+ * fades. The `layout` lane switches the composite between stacked
+ * layers, grids, split screens and picture-in-picture, whose inset is
+ * set by `pip: { size, corner }` on the composition.
+ *
+ * The engine never touches the DOM or a player. Pages ask it for the
+ * mixer state at a time in ms and drive their own players from that.
+ * Loaded as a plain <script> it defines window.CompositionEngine; under
+ * Node it is exported with module.exports.
+ */
+
+(function(root, factory) {
+    const engine = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = engine;
+    } else {
+        root.CompositionEngine = engine;
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+    // =================== CONSTANTS ===================
+    const DEFAULT_DURATION_MS = 60000;      // Length of a composition
+    const MIN_DURATION_MS = 5000;           // Shortest custom length
+    const MAX_DURATION_MS = 600000;         // Longest custom length (10 minutes)
+    const DURATION_PRESETS_MS = [15000, 30000, 60000, 120000];
+    const DEFAULT_SLOT_COUNT = 6;           // Modules in cuts saved before slotCount existed
+    const MIN_SLOT_COUNT = 1;
+    const MAX_SLOT_COUNT = 12;
+    const INTERPOLATION_WINDOW_MS = 500;    // Only blend between points closer than this
+    const MIN_BPM = 40;
+    const MAX_BPM = 240;
+    const BEATS_PER_BAR = 4;
+
+    // Quantize grid sizes, in beats
+    const QUANTIZE_DIVISIONS = {
+        bar: { label: 'Bar', beats: BEATS_PER_BAR },
+        beat: { label: '1/4', beats: 1 },
+        eighth: { label: '1/8', beats: 0.5 },
+        sixteenth: { label: '1/16', beats: 0.25 }
+    };
+
+    // CSS mix-blend-mode values a layer can use. The canvas exporter uses
+    // the same names for globalCompositeOperation ('normal' = 'source-over').
+    const BLEND_MODES = [
+        'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten',
+        'color-dodge', 'color-burn', 'hard-light', 'soft-light',
+        'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+    ];
+
+    // CSS filter controls, in the order they are applied. Each one is
+    // also a recorded lane; a layer at all defaults gets no filter.
+    const FILTER_LANES = {
+        blur: { label: 'Blur', cssFunction: 'blur', unit: 'px', min: 0, max: 20, step: 1, defaultValue: 0 },
+        hue: { label: 'Hue', cssFunction: 'hue-rotate', unit: 'deg', min: 0, max: 360, step: 1, defaultValue: 0 },
+        saturation: { label: 'Sat', cssFunction: 'saturate', unit: '%', min: 0, max: 300, step: 1, defaultValue: 100 },
+        contrast: { label: 'Con', cssFunction: 'contrast', unit: '%', min: 0, max: 300, step: 1, defaultValue: 100 },
+        invert: { label: 'Inv', cssFunction: 'invert', unit: '%', min: 0, max: 100, step: 1, defaultValue: 0 }
+    };
+
+    // Layer transform controls: offsets are % of the frame, zoom is %,
+    // rotation is degrees and crop insets every edge by a % of the frame.
+    const TRANSFORM_LANES = {
+        offsetX: { label: 'X', unit: '%', min: -100, max: 100, step: 1, defaultValue: 0 },
+        offsetY: { label: 'Y', unit: '%', min: -100, max: 100, step: 1, defaultValue: 0 },
+        zoom: { label: 'Zoom', unit: '%', min: 10, max: 400, step: 1, defaultValue: 100 },
+        rotation: { label: 'Rot', unit: 'deg', min: -180, max: 180, step: 1, defaultValue: 0 },
+        crop: { label: 'Crop', unit: '%', min: 0, max: 45, step: 1, defaultValue: 0 }
+    };
+
+    // Recorded control lanes for each slot. `continuous` lanes blend
+    // between nearby points, `step` lanes hold the last value.
+    const SLOT_LANES = {
+        volume: { kind: 'continuous', defaultValue: 50 },
+        opacity: { kind: 'continuous', defaultValue: 100 },
+        blendMode: { kind: 'step', defaultValue: 'normal' },
+        loop: { kind: 'step', defaultValue: false },
+        speed: { kind: 'step', defaultValue: 1 },
+        mute: { kind: 'step', defaultValue: false },
+        solo: { kind: 'step', defaultValue: false }
+    };
+    [FILTER_LANES, TRANSFORM_LANES].forEach(lanes => {
+        Object.keys(lanes).forEach(lane => {
+            SLOT_LANES[lane] = { kind: 'continuous', defaultValue: lanes[lane].defaultValue };
+        });
+    });
+
+    // Lane holding keyframe button events rather than values
+    const EVENT_LANE = 'timestamps';
+
+    // A/B loops: the shortest region allowed, and the largest move between
+    // two checks that still counts as playing through the out point
+    const MIN_LOOP_SECONDS = 0.25;
+    const LOOP_MAX_STEP_SECONDS = 1;
+
+    // Playback speeds a slot can use - YouTube's own steps. A player that
+    // offers fewer gets the nearest one it has.
+    const PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+    // Lanes that change how fast or where a slot's video moves, so
+    // position reconstruction splits its replay at their points
+    const POSITION_LANES = ['loop', 'speed'];
+
+    // Composition-wide lanes, recorded per session in `masterData`
+    const MASTER_LANES = {
+        crossfader: { kind: 'continuous', defaultValue: 50 },   // 0 = all side A, 100 = all side B
+        masterVolume: { kind: 'continuous', defaultValue: 100 },
+        fade: { kind: 'continuous', defaultValue: 0 },          // 0 = clear, 100 = fully faded out
+        fadeColor: { kind: 'step', defaultValue: 'black' },     // Key of FADE_COLORS
+        layerOrder: { kind: 'step', defaultValue: null },       // Slots bottom to top, null = by slot number
+        layout: { kind: 'step', defaultValue: 'stacked' }       // Key of LAYOUTS
+    };
+
+    // Colours the master fade can dip to
+    const FADE_COLORS = { black: '#000000', white: '#ffffff' };
+
+    // Crossfader setup: the curve between the sides and what it fades.
+    // Slots are assigned to side 'a', 'b' or neither.
+    const CROSSFADER_CURVES = { 'equal-power': 'Equal power', linear: 'Linear' };
+    const CROSSFADER_TARGETS = { opacity: 'Opacity', volume: 'Volume', both: 'Opacity + volume' };
+    const CROSSFADER_SIDES = ['a', 'b'];
+
+    // Composite layouts. Grid cells fill in slot order (extra slots share
+    // the last cell); picture-in-picture insets the top layer.
+    const LAYOUTS = {
+        stacked: { label: 'Stacked', columns: 1, rows: 1 },
+        'grid-2x2': { label: '2×2 grid', columns: 2, rows: 2 },
+        'grid-3x2': { label: '3×2 grid', columns: 3, rows: 2 },
+        'split-h': { label: 'Split side by side', columns: 2, rows: 1 },
+        'split-v': { label: 'Split top / bottom', columns: 1, rows: 2 },
+        pip: { label: 'Picture-in-picture', columns: 1, rows: 1, inset: true }
+    };
+    const PIP_CORNERS = {
+        'bottom-right': 'Bottom right',
+        'bottom-left': 'Bottom left',
+        'top-right': 'Top right',
+        'top-left': 'Top left'
+    };
+    const MIN_PIP_SIZE = 15;                // Inset width as % of the frame
+    const MAX_PIP_SIZE = 50;
+    const DEFAULT_PIP_SIZE = 30;
+    const PIP_MARGIN = 0.03;                // Gap between the inset and the frame edge
+    const LAYOUT_TRANSITION_MS = 400;       // Layout switches animate over this long
+
+    // =================== SESSION DATA HELPERS ===================
+    // Empty per-slot lane arrays for a new recording session
+    function createSlotControlData() {
+        const slotData = {};
+        Object.keys(SLOT_LANES).forEach(lane => {
+            slotData[lane] = [];
+        });
+        slotData[EVENT_LANE] = [];
+        return slotData;
+    }
+
+    function createMasterControlData() {
+        const masterData = {};
+        Object.keys(MASTER_LANES).forEach(lane => {
+            masterData[lane] = [];
+        });
+        return masterData;
+    }
+
+    // =================== SLOTS ===================
+    // Videos indexed by slot number, with null for empty slots
+    function getVideosBySlot(composition) {
+        const videosBySlot = [];
+        ((composition && composition.videos) || []).forEach((video, index) => {
+            if (!video) return;
+            const slot = typeof video.slot === 'number' ? video.slot : index;
+            videosBySlot[slot] = video;
+        });
+        return Array.from(videosBySlot, video => video || null);
+    }
+
+    function getSlotVideo(composition, slot) {
+        return getVideosBySlot(composition)[slot] || null;
+    }
+
+    // Number of modules for a composition, never fewer than its highest filled slot
+    function getSlotCount(composition) {
+        const storedCount = parseInt(composition && composition.slotCount) || DEFAULT_SLOT_COUNT;
+        const count = Math.max(storedCount, getVideosBySlot(composition).length);
+        return Math.max(MIN_SLOT_COUNT, Math.min(MAX_SLOT_COUNT, count));
+    }
+
+    // Stacking order for a slot's layer - higher slots sit on top unless
+    // a normalized layer order (see LAYER ORDER) puts them elsewhere
+    function getLayerZIndex(slot, layerOrder = null) {
+        const index = layerOrder ? layerOrder.indexOf(slot) : -1;
+        return (index >= 0 ? index : slot) + 1;
+    }
+
+    // New slot for every slot after the one at `from` moves to `to`; the
+    // slots in between shift over one, like reordering a list.
+    // Returns { [oldSlot]: newSlot }.
+    function getReorderSlotMap(slotCount, from, to) {
+        const order = Array.from({ length: slotCount }, (_, slot) => slot);
+        order.splice(to, 0, order.splice(from, 1)[0]);
+        const slotMap = {};
+        order.forEach((oldSlot, newSlot) => {
+            slotMap[oldSlot] = newSlot;
+        });
+        return slotMap;
+    }
+
+    // Slot-indexed array rearranged by a slot map
+    function reorderSlotArray(items, slotMap) {
+        const reordered = [];
+        items.forEach((item, slot) => {
+            const newSlot = slotMap[slot] !== undefined ? slotMap[slot] : slot;
+            reordered[newSlot] = item;
+        });
+        return Array.from(reordered, item => item === undefined ? null : item);
+    }
+
+    // Copy of a session with its controlData under the new slot numbers.
+    // Of the master lanes only the layer order names slots.
+    function remapSessionSlots(session, slotMap) {
+        const remapSlot = slot => slotMap[slot] !== undefined ? slotMap[slot] : slot;
+        const controlData = {};
+        Object.keys((session && session.controlData) || {}).forEach(key => {
+            controlData[remapSlot(parseInt(key))] = session.controlData[key];
+        });
+        const remapped = { ...session, controlData: controlData };
+
+        const orderPoints = session && session.masterData && session.masterData.layerOrder;
+        if (orderPoints) {
+            remapped.masterData = {
+                ...session.masterData,
+                layerOrder: orderPoints.map(point => ({
+                    ...point,
+                    value: Array.isArray(point.value) ? point.value.map(remapSlot) : point.value
+                }))
+            };
+        }
+        return remapped;
+    }
+
+    // Slots that either hold a video or appear in any session
+    function getSlotIndices(composition) {
+        const slots = new Set();
+        getVideosBySlot(composition).forEach((video, slot) => {
+            if (video) slots.add(slot);
+        });
+        (composition.sessions || []).forEach(session => {
+            Object.keys((session && session.controlData) || {}).forEach(slot => {
+                slots.add(parseInt(slot));
+            });
+        });
+        return [...slots].filter(slot => !isNaN(slot)).sort((a, b) => a - b);
+    }
+
+    // Position a slot starts from: its leftmost keyframe, or 0
+    function getStartPosition(video) {
+        if (!video || !video.keyframes) return 0;
+        const leftmostKeyframe = video.keyframes.find(keyframe => keyframe !== null && keyframe !== undefined);
+        return leftmostKeyframe !== undefined ? leftmostKeyframe : 0;
+    }
+
+    function getKeyframeTime(video, keyframeIndex) {
+        if (!video || !video.keyframes) return null;
+        const time = video.keyframes[keyframeIndex];
+        return time === undefined ? null : time;
+    }
+
+    // =================== CUE POINTS ===================
+    // A slot's cue points are its keyframes. `keyframes` holds the times
+    // (any length; null where a cue was cleared, as in the old three-slot
+    // arrays) and the optional `cueLabels` a { name, color } per index.
+    const CUE_NAME_MAX_LENGTH = 24;
+    const CUE_COLORS = ['#00bcd4', '#ff9500', '#4caf50', '#e91e63', '#9c27b0', '#ffeb3b'];
+
+    // Names are stored as typed; the pages escape them when rendering
+    function normalizeCueLabel(label) {
+        const name = label && label.name ? String(label.name).trim().slice(0, CUE_NAME_MAX_LENGTH) : '';
+        const color = label && /^#[0-9a-f]{6}$/i.test(label.color) ? label.color : null;
+        return name || color ? { name: name, color: color } : null;
+    }
+
+    function getCueLabel(video, keyframeIndex) {
+        const label = video && video.cueLabels ? normalizeCueLabel(video.cueLabels[keyframeIndex]) : null;
+        return label || { name: '', color: null };
+    }
+
+    // Set cues in keyframe order: { keyframeIndex, time, name, color }
+    function getCuePoints(video) {
+        if (!video || !video.keyframes) return [];
+        return video.keyframes
+            .map((time, keyframeIndex) => ({ keyframeIndex: keyframeIndex, time: time, ...getCueLabel(video, keyframeIndex) }))
+            .filter(cue => cue.time !== null && cue.time !== undefined);
+    }
+
+    // =================== PUNCH RANGES ===================
+    // Whether a session's data applies at timeMs. Punched overdubs only
+    // cover [inMs, outMs); everything else covers the whole composition.
+    function isSessionActive(session, timeMs) {
+        const punch = session && session.punch;
+        if (!punch) return true;
+        return timeMs >= punch.inMs && timeMs < punch.outMs;
+    }
+
+    // =================== LANE RESOLUTION ===================
+    // Value of one lane at timeMs, or undefined if nothing was recorded yet
+    function resolveLaneValue(points, timeMs, kind = 'continuous') {
+        if (!points || points.length === 0) return undefined;
+
+        let currentPoint = null;
+        let nextPoint = null;
+
+        for (let i = 0; i < points.length; i++) {
+            if (points[i].timestamp <= timeMs) {
+                currentPoint = points[i];
+            } else {
+                nextPoint = points[i];
+                break;
+            }
+        }
+
+        if (!currentPoint) return undefined;
+        if (kind !== 'continuous' || !nextPoint) return currentPoint.value;
+
+        // Smooth interpolation only across small gaps so deliberate jumps stay sharp
+        const timeDiff = nextPoint.timestamp - currentPoint.timestamp;
+        if (timeDiff <= 0 || timeDiff >= INTERPOLATION_WINDOW_MS) return currentPoint.value;
+
+        const timeProgress = (timeMs - currentPoint.timestamp) / timeDiff;
+        return Math.round(currentPoint.value + (nextPoint.value - currentPoint.value) * timeProgress);
+    }
+
+    // Later sessions override earlier ones wherever they have data.
+    // layers - the lane data ({ [lane]: points }) of each session active at
+    // timeMs, oldest first
+    function resolveLayeredLane(layers, lane, timeMs, kind) {
+        for (let i = layers.length - 1; i >= 0; i--) {
+            const value = resolveLaneValue(layers[i][lane], timeMs, kind);
+            if (value !== undefined) return value;
+        }
+        return undefined;
+    }
+
+    // Sessions whose data applies at timeMs, oldest first
+    function getActiveSessions(sessions, timeMs) {
+        return sessions.filter(session => session && isSessionActive(session, timeMs));
+    }
+
+    function getSlotLayers(sessions, slot) {
+        return sessions
+            .map(session => session.controlData && session.controlData[slot])
+            .filter(Boolean);
+    }
+
+    function getMasterLayers(sessions) {
+        return sessions.map(session => session.masterData).filter(Boolean);
+    }
+
+    function getMasterLaneValue(layers, lane, timeMs) {
+        const value = resolveLayeredLane(layers, lane, timeMs, MASTER_LANES[lane].kind);
+        return value !== undefined ? value : MASTER_LANES[lane].defaultValue;
+    }
+
+    // Lane value with the same fallbacks as the mixer state: the recording,
+    // then the video's own setting, then the lane default
+    function getSlotLaneValue(layers, video, lane, timeMs) {
+        const value = resolveLayeredLane(layers, lane, timeMs, SLOT_LANES[lane].kind);
+        if (value !== undefined) return value;
+
+        if (video && video[lane] !== undefined && video[lane] !== null) return video[lane];
+        return SLOT_LANES[lane].defaultValue;
+    }
+
+    function isSkipped(options, slot, lane) {
+        return !!(options.skipControls && options.skipControls.has(`${slot}-${lane}`));
+    }
+
+    // =================== PLAYBACK CONTEXT ===================
+    // What one query needs from the composition - its sessions, videos and
+    // recorded jumps - gathered once and passed down, so a playback tick
+    // doesn't rescan every session for every slot and lane
+    function createPlaybackContext(composition) {
+        const context = {
+            composition: composition,
+            sessions: composition.sessions || [],
+            videosBySlot: getVideosBySlot(composition),
+            slots: getSlotIndices(composition),
+            jumpsBySlot: {},
+            punchStartsBySlot: {}
+        };
+        context.jumps = collectJumps(context);
+
+        const punchStarts = new Set();
+        context.jumps.forEach(jump => {
+            (context.jumpsBySlot[jump.slot] = context.jumpsBySlot[jump.slot] || []).push(jump);
+
+            // The first jump each punched session makes in a slot
+            const key = `${jump.slot}-${jump.sessionIndex}`;
+            if (!jump.session.punch || punchStarts.has(key)) return;
+            punchStarts.add(key);
+            (context.punchStartsBySlot[jump.slot] = context.punchStartsBySlot[jump.slot] || []).push({
+                sessionIndex: jump.sessionIndex,
+                timestamp: jump.timestamp,
+                outMs: jump.session.punch.outMs
+            });
+        });
+
+        return context;
+    }
+
+    // =================== KEYFRAME EVENTS ===================
+    // Every recorded jump with the session it came from, in time order.
+    // Jumps a punched session recorded outside its window are ignored.
+    function collectJumps(context) {
+        const jumps = [];
+
+        context.sessions.forEach((session, sessionIndex) => {
+            const controlData = (session && session.controlData) || {};
+            Object.keys(controlData).forEach(key => {
+                const slot = parseInt(key);
+                const video = context.videosBySlot[slot] || null;
+
+                (controlData[key][EVENT_LANE] || []).forEach(point => {
+                    if (point.action !== 'jump' || !isSessionActive(session, point.timestamp)) return;
+
+                    const time = point.time !== null && point.time !== undefined ?
+                        point.time :
+                        getKeyframeTime(video, point.keyframeIndex);
+                    if (time === null) return;
+
+                    jumps.push({
+                        slot: slot,
+                        timestamp: point.timestamp,
+                        keyframeIndex: point.keyframeIndex,
+                        time: time,
+                        session: session,
+                        sessionIndex: sessionIndex
+                    });
+                });
+            });
+        });
+
+        return jumps.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // A punched overdub takes over a slot's jumps from its own first jump
+    // until its window closes. Earlier sessions' jumps in that stretch are
+    // not trimmed (they still place the video after punch-out), only masked.
+    function isJumpMasked(jump, context, timeMs) {
+        return (context.punchStartsBySlot[jump.slot] || []).some(start =>
+            start.sessionIndex > jump.sessionIndex &&
+            start.timestamp <= jump.timestamp &&
+            timeMs < start.outMs
+        );
+    }
+
+    function toJumpEvent(jump) {
+        return {
+            slot: jump.slot,
+            timestamp: jump.timestamp,
+            keyframeIndex: jump.keyframeIndex,
+            time: jump.time
+        };
+    }
+
+    // Jump events with fromMs < timestamp <= toMs, in time order.
+    // Pass fromMs = -1 to include an event recorded at exactly 0ms.
+    // When a punched session that moved a slot ends, a return jump puts
+    // the slot back where the other sessions have it.
+    function getJumpEvents(composition, fromMs, toMs, options = {}) {
+        const context = createPlaybackContext(composition);
+        const events = context.jumps
+            .filter(jump => jump.timestamp > fromMs && jump.timestamp <= toMs)
+            .filter(jump => !isSkipped(options, jump.slot, EVENT_LANE))
+            .filter(jump => !isJumpMasked(jump, context, jump.timestamp))
+            .map(toJumpEvent);
+
+        Object.keys(context.punchStartsBySlot).forEach(key => {
+            const slot = parseInt(key);
+            if (isSkipped(options, slot, EVENT_LANE)) return;
+
+            const returns = new Set();
+            context.punchStartsBySlot[key].forEach(start => {
+                if (start.outMs <= fromMs || start.outMs > toMs || returns.has(start.outMs)) return;
+                returns.add(start.outMs);
+
+                events.push({
+                    slot: slot,
+                    timestamp: start.outMs,
+                    keyframeIndex: null,
+                    time: findSlotPosition(context, slot, start.outMs, findLastJump(context, slot, start.outMs))
+                });
+            });
+        });
+
+        return events.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // Most recent jump in effect for a slot at timeMs
+    function findLastJump(context, slot, timeMs) {
+        const jumps = context.jumpsBySlot[slot] || [];
+        for (let i = jumps.length - 1; i >= 0; i--) {
+            const jump = jumps[i];
+            const punch = jump.session.punch;
+            if (jump.timestamp > timeMs || (punch && timeMs >= punch.outMs)) continue;
+            if (!isJumpMasked(jump, context, timeMs)) return jump;
+        }
+        return null;
+    }
+
+    function getLastJump(composition, slot, timeMs, options = {}) {
+        if (isSkipped(options, slot, EVENT_LANE)) return null;
+        const lastJump = findLastJump(createPlaybackContext(composition), slot, timeMs);
+        return lastJump ? toJumpEvent(lastJump) : null;
+    }
+
+    // Where a slot's source video should be (seconds) at timeMs, playing
+    // on from lastJump (or from its start position when there is none)
+    function findSlotPosition(context, slot, timeMs, lastJump) {
+        const video = context.videosBySlot[slot] || null;
+        const anchorMs = lastJump ? lastJump.timestamp : 0;
+        const anchorPosition = lastJump ? lastJump.time : getStartPosition(video);
+        const position = advanceSlotPosition(context, slot, anchorMs, anchorPosition, timeMs);
+
+        if (video && video.duration > 0) {
+            return Math.min(position, video.duration);
+        }
+        return position;
+    }
+
+    function getSlotPosition(composition, slot, timeMs, options = {}) {
+        const context = createPlaybackContext(composition);
+        const lastJump = isSkipped(options, slot, EVENT_LANE) ? null : findLastJump(context, slot, timeMs);
+        return findSlotPosition(context, slot, timeMs, lastJump);
+    }
+
+    // =================== A/B LOOPS ===================
+    // A video's `loopRegion` is { inTime, outTime } in source seconds. While
+    // the slot's `loop` lane is on, playing through the out point wraps back
+    // to the in point; a slot already past the out point plays on.
+    function normalizeLoopRegion(region) {
+        if (!region || region.inTime === null || region.outTime === null) return null;
+        const inTime = Number(region.inTime);
+        const outTime = Number(region.outTime);
+        if (!isFinite(inTime) || !isFinite(outTime) || inTime < 0) return null;
+        return outTime - inTime >= MIN_LOOP_SECONDS ? { inTime: inTime, outTime: outTime } : null;
+    }
+
+    // A position at or past the out point, folded back into the region
+    function wrapLoopPosition(position, region) {
+        const length = region.outTime - region.inTime;
+        return region.inTime + (position - region.outTime) % length;
+    }
+
+    // Where a looping slot should seek after playing from lastPosition to
+    // position, or null when it did not play through the out point
+    function getLoopWrapPosition(region, lastPosition, position) {
+        const loopRegion = normalizeLoopRegion(region);
+        if (!loopRegion || lastPosition === null || lastPosition === undefined) return null;
+        if (lastPosition >= loopRegion.outTime || position < loopRegion.outTime) return null;
+        if (position - lastPosition > LOOP_MAX_STEP_SECONDS) return null;
+        return wrapLoopPosition(position, loopRegion);
+    }
+
+    // =================== PLAYBACK SPEED ===================
+    // Nearest allowed rate the player offers (any rate in 0.25x-2x when it
+    // reports none)
+    function snapPlaybackRate(rate, availableRates = PLAYBACK_RATES) {
+        const offered = (availableRates || []).filter(available =>
+            available >= PLAYBACK_RATES[0] && available <= PLAYBACK_RATES[PLAYBACK_RATES.length - 1]);
+        const choices = offered.length > 0 ? offered : PLAYBACK_RATES;
+        const target = Number(rate) || 1;
+        return choices.reduce((best, available) =>
+            Math.abs(available - target) < Math.abs(best - target) ? available : best);
+    }
+
+    // =================== POSITION REPLAY ===================
+    // Times in (fromMs, toMs) where a slot's loop or speed may change.
+    // sessions - the sessions with data for the slot
+    function getPositionChangeTimes(sessions, slot, fromMs, toMs) {
+        const times = new Set();
+        sessions.forEach(session => {
+            const slotData = session.controlData[slot];
+            POSITION_LANES.forEach(lane => {
+                if (!slotData[lane] || slotData[lane].length === 0) return;
+                slotData[lane].forEach(point => times.add(point.timestamp));
+                if (session.punch) {
+                    times.add(session.punch.inMs);
+                    times.add(session.punch.outMs);
+                }
+            });
+        });
+        return [...times].filter(time => time > fromMs && time < toMs).sort((a, b) => a - b);
+    }
+
+    // Play forward from a known position at the recorded speeds, wrapping
+    // wherever the loop was on
+    function advanceSlotPosition(context, slot, fromMs, fromPosition, toMs) {
+        const video = context.videosBySlot[slot] || null;
+        const region = normalizeLoopRegion((video || {}).loopRegion);
+        const sessions = context.sessions.filter(session => session && session.controlData && session.controlData[slot]);
+
+        let position = fromPosition;
+        let segmentStart = fromMs;
+        [...getPositionChangeTimes(sessions, slot, fromMs, toMs), toMs].forEach(segmentEnd => {
+            const layers = getSlotLayers(getActiveSessions(sessions, segmentStart), slot);
+            const speed = getSlotLaneValue(layers, video, 'speed', segmentStart);
+            const next = position + (segmentEnd - segmentStart) / 1000 * speed;
+            const wraps = region && getSlotLaneValue(layers, video, 'loop', segmentStart) &&
+                position < region.outTime && next >= region.outTime;
+            position = wraps ? wrapLoopPosition(next, region) : next;
+            segmentStart = segmentEnd;
+        });
+        return position;
+    }
+
+    // =================== CROSSFADER ===================
+    function normalizeCrossfader(settings) {
+        return {
+            curve: settings && CROSSFADER_CURVES[settings.curve] ? settings.curve : 'equal-power',
+            target: settings && CROSSFADER_TARGETS[settings.target] ? settings.target : 'opacity'
+        };
+    }
+
+    // Gain (0-1) a side gets with the crossfader at position (0-100).
+    // Equal power keeps the sum of the two sides' power constant, so the
+    // middle doesn't dip; slots on neither side are not affected.
+    function getCrossfaderGain(side, position, curve) {
+        if (!CROSSFADER_SIDES.includes(side)) return 1;
+        const towardsB = Math.max(0, Math.min(100, position)) / 100;
+        const amount = side === 'a' ? 1 - towardsB : towardsB;
+        return curve === 'linear' ? amount : Math.sin(amount * Math.PI / 2);
+    }
+
+    // A slot's volume or opacity (0-100) after the crossfader
+    function applyCrossfader(value, lane, side, position, settings) {
+        const crossfader = normalizeCrossfader(settings);
+        if (crossfader.target !== 'both' && crossfader.target !== lane) return value;
+        return Math.round(value * getCrossfaderGain(side, position, crossfader.curve));
+    }
+
+    // =================== MASTER BUS ===================
+    // A slot's volume or opacity (0-100) as it leaves the mixer: the
+    // crossfader first, then the master volume for audio. The master fade
+    // is a separate layer over the whole composite, not part of this.
+    function getOutputLevel(value, lane, side, master, crossfaderSettings) {
+        const level = applyCrossfader(value, lane, side, master.crossfader, crossfaderSettings);
+        return lane === 'volume' ? Math.round(level * master.masterVolume / 100) : level;
+    }
+
+    function getFadeColor(fadeColor) {
+        return FADE_COLORS[fadeColor] || FADE_COLORS.black;
+    }
+
+    // The fade layer sits above every slot's layer
+    function getFadeZIndex() {
+        return getLayerZIndex(MAX_SLOT_COUNT);
+    }
+
+    // =================== MUTE & SOLO ===================
+    // Usual mixer rules: while any slot is soloed only soloed slots play,
+    // and a muted slot stays silent even when soloed.
+    // switches - { [slot]: { mute, solo } } for every slot
+    function isSlotSilenced(slot, switches) {
+        const anySolo = Object.keys(switches).some(other => switches[other].solo);
+        const own = switches[slot] || {};
+        return !!own.mute || (anySolo && !own.solo);
+    }
+
+    // Silenced slots lose their audio, and their picture too when the
+    // composition's `muteVideo` is on
+    function applyMuteSolo(value, lane, isSilenced, muteVideo) {
+        if (!isSilenced) return value;
+        return lane === 'volume' || muteVideo ? 0 : value;
+    }
+
+    // =================== LAYER ORDER ===================
+    // Bringing a layer to the front or sending it to the back records the
+    // whole stack on the `layerOrder` master lane, so stacking changes
+    // replay in order and later sessions override them like any lane.
+
+    // Every slot from bottom to top. Slots a recorded order doesn't list
+    // (or no order at all) stack by slot number underneath it.
+    function normalizeLayerOrder(order, slotCount) {
+        const listed = [];
+        (Array.isArray(order) ? order : []).forEach(value => {
+            const slot = parseInt(value);
+            if (slot >= 0 && slot < slotCount && !listed.includes(slot)) listed.push(slot);
+        });
+        const unlisted = [];
+        for (let slot = 0; slot < slotCount; slot++) {
+            if (!listed.includes(slot)) unlisted.push(slot);
+        }
+        return [...unlisted, ...listed];
+    }
+
+    // Order after moving a slot to the top ('front') or bottom ('back')
+    function moveLayer(order, slot, direction, slotCount) {
+        const others = normalizeLayerOrder(order, slotCount).filter(layer => layer !== slot);
+        return direction === 'back' ? [slot, ...others] : [...others, slot];
+    }
+
+    // Lane values compare with === except the layer order's arrays
+    function isSameLaneValue(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((value, index) => value === b[index]);
+        }
+        return a === b;
+    }
+
+    // =================== LAYOUT ===================
+    // A layout places each filled slot's layer in a rect of the frame,
+    // given as fractions ({ x, y, width, height }) so pages can turn it
+    // into CSS percentages and the exporter into canvas pixels. Switches
+    // are recorded on the `layout` master lane; pages animate them with a
+    // CSS transition of LAYOUT_TRANSITION_MS and the exporter tweens the
+    // same way with interpolateLayoutRect.
+    function normalizeLayout(layout) {
+        return LAYOUTS[layout] ? layout : 'stacked';
+    }
+
+    function normalizePip(settings) {
+        const size = parseInt(settings && settings.size);
+        return {
+            size: isNaN(size) ? DEFAULT_PIP_SIZE : Math.max(MIN_PIP_SIZE, Math.min(MAX_PIP_SIZE, size)),
+            corner: settings && PIP_CORNERS[settings.corner] ? settings.corner : 'bottom-right'
+        };
+    }
+
+    function getFullFrameRect() {
+        return { x: 0, y: 0, width: 1, height: 1 };
+    }
+
+    // Same fraction both ways, so the inset keeps the frame's aspect ratio
+    function getPipRect(settings) {
+        const pip = normalizePip(settings);
+        const size = pip.size / 100;
+        return {
+            x: pip.corner.endsWith('right') ? 1 - size - PIP_MARGIN : PIP_MARGIN,
+            y: pip.corner.startsWith('bottom') ? 1 - size - PIP_MARGIN : PIP_MARGIN,
+            width: size,
+            height: size
+        };
+    }
+
+    // { [slot]: rect } for the filled slots. layerOrder is a normalized
+    // stack - picture-in-picture insets whichever filled slot is on top,
+    // and stays full frame until there are two layers to show.
+    function getLayoutRects(layout, filledSlots, layerOrder, pipSettings) {
+        const definition = LAYOUTS[normalizeLayout(layout)];
+        const slots = [...filledSlots].sort((a, b) => a - b);
+        const rects = {};
+
+        if (definition.inset) {
+            const stack = (layerOrder || slots).filter(slot => slots.includes(slot));
+            const insetSlot = slots.length > 1 ? stack[stack.length - 1] : null;
+            slots.forEach(slot => {
+                rects[slot] = slot === insetSlot ? getPipRect(pipSettings) : getFullFrameRect();
+            });
+            return rects;
+        }
+
+        const cellCount = definition.columns * definition.rows;
+        slots.forEach((slot, index) => {
+            const cell = Math.min(index, cellCount - 1);
+            rects[slot] = {
+                x: (cell % definition.columns) / definition.columns,
+                y: Math.floor(cell / definition.columns) / definition.rows,
+                width: 1 / definition.columns,
+                height: 1 / definition.rows
+            };
+        });
+        return rects;
+    }
+
+    // Rect as CSS position and size percentages for an absolutely placed layer
+    function getLayoutCss(rect) {
+        const percent = value => `${Math.round(value * 10000) / 100}%`;
+        return {
+            left: percent(rect.x),
+            top: percent(rect.y),
+            width: percent(rect.width),
+            height: percent(rect.height)
+        };
+    }
+
+    // Rect part way (progress 0-1) through a layout switch, eased in and
+    // out like the pages' CSS transition
+    function interpolateLayoutRect(from, to, progress) {
+        const clamped = Math.max(0, Math.min(1, progress));
+        const eased = clamped * clamped * (3 - 2 * clamped);
+        const rect = {};
+        ['x', 'y', 'width', 'height'].forEach(key => {
+            rect[key] = from[key] + (to[key] - from[key]) * eased;
+        });
+        return rect;
+    }
+
+    // =================== MIXER STATE ===================
+    /*
+     * Full mixer state at timeMs:
+     * { time, master: { crossfader, masterVolume, fade, fadeColor,
+     *   layerOrder, layout },
+     *   slots: { [slot]: { volume, opacity, blendMode, loop, speed, mute,
+     *   solo, <filter lanes>, <transform lanes>, outputVolume,
+     *   outputOpacity, zIndex, layoutRect, position, lastJump } } }
+     *
+     * outputVolume / outputOpacity are what the layer should actually get
+     * once the composition's crossfader (`composition.crossfader` settings,
+     * each video's `crossfaderSide`), the master volume and mute/solo are
+     * applied; volume and opacity stay the slot's own slider values.
+     * zIndex is the layer's place in the recorded layer order and
+     * layoutRect where the recorded layout puts it (see LAYOUT); slots
+     * without a video get the full frame.
+     *
+     * options.skipControls - Set of `${slot}-${lane}` keys to leave out
+     * (the create page passes its hijacked controls during overdubs);
+     * master lanes use `master-${lane}`. Skipped lanes are omitted from the
+     * state entirely.
+     */
+    function getMixerState(composition, timeMs, options = {}) {
+        const state = { time: timeMs, master: {}, slots: {} };
+        const context = createPlaybackContext(composition);
+        const activeSessions = getActiveSessions(context.sessions, timeMs);
+        const masterLayers = getMasterLayers(activeSessions);
+
+        // Outputs always use the recorded master values, even for skipped lanes
+        const master = {};
+        Object.keys(MASTER_LANES).forEach(lane => {
+            master[lane] = getMasterLaneValue(masterLayers, lane, timeMs);
+            if (!isSkipped(options, 'master', lane)) {
+                state.master[lane] = master[lane];
+            }
+        });
+
+        const layerOrder = normalizeLayerOrder(master.layerOrder, getSlotCount(composition));
+        const filledSlots = context.slots.filter(slot => context.videosBySlot[slot]);
+        const layoutRects = getLayoutRects(master.layout, filledSlots, layerOrder, composition.pip);
+
+        // Solo works across slots, so every slot's switches are needed first
+        const slotLayers = {};
+        const switches = {};
+        context.slots.forEach(slot => {
+            const video = context.videosBySlot[slot] || null;
+            slotLayers[slot] = getSlotLayers(activeSessions, slot);
+            switches[slot] = {
+                mute: getSlotLaneValue(slotLayers[slot], video, 'mute', timeMs),
+                solo: getSlotLaneValue(slotLayers[slot], video, 'solo', timeMs)
+            };
+        });
+
+        context.slots.forEach(slot => {
+            const video = context.videosBySlot[slot] || null;
+            const side = video ? video.crossfaderSide : null;
+            const isSilenced = isSlotSilenced(slot, switches);
+            const slotState = {};
+
+            Object.keys(SLOT_LANES).forEach(lane => {
+                if (isSkipped(options, slot, lane)) return;
+                slotState[lane] = getSlotLaneValue(slotLayers[slot], video, lane, timeMs);
+            });
+
+            ['volume', 'opacity'].forEach(lane => {
+                if (slotState[lane] === undefined) return;
+                const outputKey = lane === 'volume' ? 'outputVolume' : 'outputOpacity';
+                const level = getOutputLevel(slotState[lane], lane, side, master, composition.crossfader);
+                slotState[outputKey] = applyMuteSolo(level, lane, isSilenced, composition.muteVideo);
+            });
+            slotState.zIndex = getLayerZIndex(slot, layerOrder);
+            slotState.layoutRect = layoutRects[slot] || getFullFrameRect();
+
+            if (!isSkipped(options, slot, EVENT_LANE)) {
+                const lastJump = findLastJump(context, slot, timeMs);
+                slotState.lastJump = lastJump ? toJumpEvent(lastJump) : null;
+                slotState.position = findSlotPosition(context, slot, timeMs, lastJump);
+            }
+
+            state.slots[slot] = slotState;
+        });
+
+        return state;
+    }
+
+    // =================== VOLUME SMOOTHING ===================
+    // Next volume to set when ramping towards a target, to avoid crackling
+    function stepVolumeTowards(currentVolume, targetVolume) {
+        const volumeDiff = Math.abs(targetVolume - currentVolume);
+        if (volumeDiff <= 2) return targetVolume;
+
+        const step = volumeDiff > 20 ? 5 : 2;
+        return targetVolume > currentVolume ?
+            Math.min(currentVolume + step, targetVolume) :
+            Math.max(currentVolume - step, targetVolume);
+    }
+
+    // =================== COMPOSITION LENGTH ===================
+    function getCompositionDuration(composition) {
+        return (composition && composition.duration) || DEFAULT_DURATION_MS;
+    }
+
+    // Whole seconds within the allowed range, or null if not a usable length
+    function normalizeDuration(durationMs) {
+        const value = Number(durationMs);
+        if (!isFinite(value) || value <= 0) return null;
+        const wholeSeconds = Math.round(value / 1000) * 1000;
+        return Math.max(MIN_DURATION_MS, Math.min(MAX_DURATION_MS, wholeSeconds));
+    }
+
+    // "0:15", "1:00", "2:30"
+    function formatDuration(durationMs) {
+        const totalSeconds = Math.round(durationMs / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    // =================== TEMPO & QUANTIZE ===================
+    // Whole BPM within the allowed range, or null if not a usable tempo
+    function normalizeBpm(bpm) {
+        const value = Number(bpm);
+        if (!isFinite(value) || value <= 0) return null;
+        return Math.max(MIN_BPM, Math.min(MAX_BPM, Math.round(value)));
+    }
+
+    function getBeatMs(bpm) {
+        return 60000 / bpm;
+    }
+
+    function getGridMs(bpm, division) {
+        const definition = QUANTIZE_DIVISIONS[division];
+        return definition ? getBeatMs(bpm) * definition.beats : null;
+    }
+
+    // Nearest grid line to timeMs, in whole ms
+    function quantizeTime(timeMs, gridMs) {
+        return Math.max(0, Math.round(Math.round(timeMs / gridMs) * gridMs));
+    }
+
+    // Snap every point to the grid. Points landing on the same line
+    // collapse into the last one, so lanes stay strictly time ordered.
+    function quantizePoints(points, gridMs) {
+        const snapped = [];
+        (points || []).forEach(point => {
+            const timestamp = quantizeTime(point.timestamp, gridMs);
+            const last = snapped[snapped.length - 1];
+            if (last && last.timestamp === timestamp) {
+                snapped[snapped.length - 1] = { ...point, timestamp: timestamp };
+            } else {
+                snapped.push({ ...point, timestamp: timestamp });
+            }
+        });
+        return snapped;
+    }
+
+    // Copy of a session with its jumps (and optionally every value lane)
+    // snapped to the grid
+    function quantizeSession(session, gridMs, includeValueLanes = false) {
+        const controlData = {};
+        Object.keys((session && session.controlData) || {}).forEach(slot => {
+            controlData[slot] = {};
+            Object.keys(session.controlData[slot]).forEach(lane => {
+                const points = session.controlData[slot][lane];
+                const snap = lane === EVENT_LANE || includeValueLanes;
+                controlData[slot][lane] = snap ? quantizePoints(points, gridMs) : points.map(point => ({ ...point }));
+            });
+        });
+        const quantized = { ...session, controlData: controlData };
+        if (session && session.masterData) {
+            quantized.masterData = {};
+            Object.keys(session.masterData).forEach(lane => {
+                const points = session.masterData[lane];
+                quantized.masterData[lane] = includeValueLanes ? quantizePoints(points, gridMs) : points.map(point => ({ ...point }));
+            });
+        }
+        return quantized;
+    }
+
+    // =================== FILTERS ===================
+    // CSS filter string for a set of filter lane values (a slot state or a
+    // live video object). Missing lanes use their default.
+    function getFilterCss(values) {
+        const parts = [];
+        Object.keys(FILTER_LANES).forEach(lane => {
+            const definition = FILTER_LANES[lane];
+            const value = values && typeof values[lane] === 'number' ? values[lane] : definition.defaultValue;
+            if (value !== definition.defaultValue) {
+                parts.push(`${definition.cssFunction}(${value}${definition.unit})`);
+            }
+        });
+        return parts.length > 0 ? parts.join(' ') : 'none';
+    }
+
+    // =================== TRANSFORMS ===================
+    // Transform lane values with defaults filled in for missing lanes
+    function getTransformValues(values) {
+        const transform = {};
+        Object.keys(TRANSFORM_LANES).forEach(lane => {
+            transform[lane] = values && typeof values[lane] === 'number' ? values[lane] : TRANSFORM_LANES[lane].defaultValue;
+        });
+        return transform;
+    }
+
+    // CSS transform for a layer, around its centre
+    function getTransformCss(values) {
+        const transform = getTransformValues(values);
+        if (transform.offsetX === 0 && transform.offsetY === 0 && transform.zoom === 100 && transform.rotation === 0) {
+            return 'none';
+        }
+        return `translate(${transform.offsetX}%, ${transform.offsetY}%) scale(${transform.zoom / 100}) rotate(${transform.rotation}deg)`;
+    }
+
+    // CSS clip-path for a layer's crop inset
+    function getClipPathCss(values) {
+        const crop = getTransformValues(values).crop;
+        return crop > 0 ? `inset(${crop}%)` : 'none';
+    }
+
+    // =================== LABELS ===================
+    // "color-dodge" -> "Color Dodge"
+    function getBlendModeLabel(mode) {
+        return String(mode).split('-')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    return {
+        DEFAULT_DURATION_MS,
+        MIN_DURATION_MS,
+        MAX_DURATION_MS,
+        DURATION_PRESETS_MS,
+        DEFAULT_SLOT_COUNT,
+        MIN_SLOT_COUNT,
+        MAX_SLOT_COUNT,
+        INTERPOLATION_WINDOW_MS,
+        MIN_BPM,
+        MAX_BPM,
+        BEATS_PER_BAR,
+        QUANTIZE_DIVISIONS,
+        BLEND_MODES,
+        FILTER_LANES,
+        TRANSFORM_LANES,
+        SLOT_LANES,
+        EVENT_LANE,
+        MASTER_LANES,
+        CROSSFADER_CURVES,
+        CROSSFADER_TARGETS,
+        CROSSFADER_SIDES,
+        FADE_COLORS,
+        LAYOUTS,
+        PIP_CORNERS,
+        MIN_PIP_SIZE,
+        MAX_PIP_SIZE,
+        LAYOUT_TRANSITION_MS,
+        MIN_LOOP_SECONDS,
+        PLAYBACK_RATES,
+        CUE_NAME_MAX_LENGTH,
+        CUE_COLORS,
+        createSlotControlData,
+        createMasterControlData,
+        getVideosBySlot,
+        getSlotVideo,
+        getSlotCount,
+        getLayerZIndex,
+        getReorderSlotMap,
+        reorderSlotArray,
+        remapSessionSlots,
+        getSlotIndices,
+        getStartPosition,
+        getKeyframeTime,
+        normalizeCueLabel,
+        getCueLabel,
+        getCuePoints,
+        isSessionActive,
+        resolveLaneValue,
+        getJumpEvents,
+        getLastJump,
+        getSlotPosition,
+        normalizeLoopRegion,
+        getLoopWrapPosition,
+        snapPlaybackRate,
+        normalizeCrossfader,
+        getCrossfaderGain,
+        applyCrossfader,
+        getOutputLevel,
+        getFadeColor,
+        getFadeZIndex,
+        isSlotSilenced,
+        applyMuteSolo,
+        normalizeLayerOrder,
+        moveLayer,
+        isSameLaneValue,
+        normalizeLayout,
+        normalizePip,
+        getFullFrameRect,
+        getLayoutRects,
+        getLayoutCss,
+        interpolateLayoutRect,
+        getMixerState,
+        stepVolumeTowards,
+        getCompositionDuration,
+        normalizeDuration,
+        formatDuration,
+        normalizeBpm,
+        getBeatMs,
+        getGridMs,
+        quantizeTime,
+        quantizePoints,
+        quantizeSession,
+        getFilterCss,
+        getTransformValues,
+        getTransformCss,
+        getClipPathCss,
+        getBlendModeLabel
+    };
+});
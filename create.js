@@ -3,8 +3,10 @@
  * ===================================================================
  * 
  * ARCHITECTURE OVERVIEW:
- * - 6 video slots (0-5), each can hold one unique YouTube video
- * - Each slot has TWO YouTube players:
+ * - 1-12 video slots (6 by default, chosen before the first take), each
+ *   can hold one unique YouTube video or a local .mp4/.webm file dropped
+ *   from disk. Modules are generated by renderModuleSlots()
+ * - Each slot has TWO players (see player-adapters.js):
  *   1. Preview player (in module) - MUTED, for timeline scrubbing
  *   2. Main player (in composite) - handles audio, for final output
  * 
@@ -19,7 +21,8 @@
  * 
  * RECORDING SYSTEM:
  * - Captures every slider movement with precise timestamps
- * - Fixed 60-second duration for all compositions
+ * - Composition length (60 seconds by default) is chosen before the
+ *   first take and fixed for every overdub after it
  * - Saves as JSON timeline for playback/sharing
  */
 
@@ -34,11 +37,14 @@ let isReceivingLink = false;            // Flag to prevent link loops
 let usedUrls = new Set();              // Prevents duplicate videos
 let isRecording = false;               // Recording state flag
 let isCountdown = false;               // Countdown state flag
-let recordingStartTime = 0;            // When recording began
+let recordingStartTime = 0;            // When recording began (composition time 0)
+let recordingStartOffset = 0;          // Composition time the take starts at (punch pre-roll)
 let countdownInterval = null;          // 3-2-1 countdown timer
-let recordingInterval = null;          // 60-second recording timer
+let recordingInterval = null;          // Recording countdown timer
 let playbackInterval = null;           // Playback automation timer
 let YTReady = false;                   // YouTube API ready flag
+let compositionDuration = CompositionEngine.DEFAULT_DURATION_MS; // Length of this composition in ms
+let slotCount = CompositionEngine.DEFAULT_SLOT_COUNT;            // Number of video modules
 
 // Advanced Recording System
 let recordingSessions = [];            // Array of all recording sessions
@@ -57,8 +63,9 @@ let lastRecordingTime = {};           // Track last recording time for throttlin
 let currentRecordingData = {
     session: 0,
     startTime: 0,
-    duration: 60000,
-    controlData: {}  // Will contain data for each slot: {volume: [], opacity: [], timestamps: []}
+    duration: compositionDuration,
+    controlData: {}, // Will contain data for each slot: {volume: [], opacity: [], timestamps: []}
+    masterData: {}   // Composition-wide lanes: {crossfader: [], masterVolume: [], fade: [], fadeColor: [], layerOrder: [], layout: []}
 };
 
 // YouTube player instances - each slot has two players
@@ -133,6 +140,89 @@ function addVideo() {
     closeModal();
 }
 
+// =================== LOCAL VIDEO FILES ===================
+// Opens the file picker from the add-video modal
+function chooseLocalFile() {
+    document.getElementById('local-file-input').click();
+}
+
+function handleLocalFileInput(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    
+    closeModal();
+    addLocalVideo(currentSlot, file);
+}
+
+async function addLocalVideo(slot, file) {
+    console.log('Adding local video:', file.name);
+    if (isRecording || videos[slot]) return;
+    
+    if (!PlayerAdapters.isSupportedLocalFile(file)) {
+        showErrorModal('Please choose an .mp4 or .webm video file');
+        return;
+    }
+
+    let fingerprint;
+    try {
+        fingerprint = await PlayerAdapters.fingerprintFile(file);
+    } catch (error) {
+        console.error('Error reading local video:', error);
+        showErrorModal('Could not read this video file. Please try another one.');
+        return;
+    }
+
+    // Local files are keyed by content so the same footage can't be added twice
+    const url = `file:${fingerprint}`;
+    if (usedUrls.has(url)) {
+        showErrorModal('This video is already added. Please use a unique video.');
+        return;
+    }
+
+    usedUrls.add(url);
+    loadVideoInSlot(slot, url, null, {
+        fileName: file.name,
+        fingerprint: fingerprint,
+        objectUrl: URL.createObjectURL(file)
+    });
+}
+
+// Lets video files be dropped straight onto an empty module
+function setupLocalFileDrop() {
+    const modulesContainer = document.getElementById('video-modules');
+    if (!modulesContainer) return;
+    
+    modulesContainer.addEventListener('dragover', (e) => {
+        const module = e.target.closest('.video-module.empty');
+        if (!module || isRecording || !e.dataTransfer.types.includes('Files')) return;
+        
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        module.classList.add('file-drag-over');
+    });
+    
+    modulesContainer.addEventListener('dragleave', (e) => {
+        const module = e.target.closest('.video-module.empty');
+        if (module && !module.contains(e.relatedTarget)) {
+            module.classList.remove('file-drag-over');
+        }
+    });
+    
+    modulesContainer.addEventListener('drop', (e) => {
+        const module = e.target.closest('.video-module.empty');
+        if (!module) return;
+        
+        e.preventDefault();
+        module.classList.remove('file-drag-over');
+        
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            addLocalVideo(parseInt(module.dataset.slot), file);
+        }
+    });
+}
+
 // =================== VIDEO URL PROCESSING ===================
 function extractVideoId(url) {
     const regex = /(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/;
@@ -199,9 +289,9 @@ function setupTimelineScrubber(slot) {
         
         // Update current time and seek player
         videos[slot].currentTime = newTime;
-        previewPlayers[slot].seekTo(newTime);
+        previewPlayers[slot].seek(newTime);
         if (mainPlayers[slot]) {
-            mainPlayers[slot].seekTo(newTime);
+            mainPlayers[slot].seek(newTime);
         }
         
         // Update display immediately
@@ -232,8 +322,8 @@ function setupTimelineScrubber(slot) {
 }
 
 // =================== VIDEO LOADING SYSTEM ===================
-function loadVideoInSlot(slot, url, videoId) {
-    console.log('Loading video in slot:', slot, videoId);
+function loadVideoInSlot(slot, url, videoId, localFile = null) {
+    console.log('Loading video in slot:', slot, videoId || localFile.fileName);
     
     const module = document.querySelector(`[data-slot="${slot}"]`);
     
@@ -255,40 +345,74 @@ function loadVideoInSlot(slot, url, videoId) {
     videos[slot] = {
         url: url,
         videoId: videoId,
+        sourceType: localFile ? 'local' : 'youtube',
         startTime: 0,
         endTime: 60,
         volume: 50,
         opacity: 100,
+        blendMode: 'normal',
+        loop: false,                // Looping between the A/B points (see A/B LOOPS)
+        loopRegion: null,           // { inTime, outTime } once A and B are set
+        speed: 1,                   // Playback rate (see PLAYBACK SPEED)
+        mute: false,                // Mute and solo switches (see MUTE & SOLO)
+        solo: false,
+        crossfaderSide: null,       // 'a', 'b' or null (see CROSSFADER)
         linked: false,
         volumeOpacityLinked: false, // New property for internal volume-opacity linking
         locked: false,
-        title: `Video ${slot + 1}`,
+        title: localFile ? localFile.fileName : `Video ${slot + 1}`,
         duration: 0,
         currentTime: 0,
-        keyframes: [null, null, null] // Three keyframe slots
+        keyframes: [],              // Cue point times (see CUE POINTS)
+        cueLabels: []               // Optional { name, color } per cue
     };
 
+    // Filters and transforms start neutral
+    [CompositionEngine.FILTER_LANES, CompositionEngine.TRANSFORM_LANES].forEach(lanes => {
+        Object.keys(lanes).forEach(lane => {
+            videos[slot][lane] = lanes[lane].defaultValue;
+        });
+    });
+
+    if (localFile) {
+        videos[slot].fileName = localFile.fileName;
+        videos[slot].fingerprint = localFile.fingerprint;
+        videos[slot].objectUrl = localFile.objectUrl;
+    }
+
+    renderVideoModule(slot);
+    
+    // Ensure remove button is visible for new videos (in case they were hidden during recording)
+    setTimeout(() => {
+        const removeBtn = module.querySelector('.remove-btn');
+        if (removeBtn) {
+            removeBtn.style.display = 'flex';
+        }
+    }, 100);
+    
+    updatePreviewComposite();
+}
+
+// Build a filled module and its players from videos[slot]. Loading a
+// video and reordering modules both come through here.
+function renderVideoModule(slot) {
+    const video = videos[slot];
+    const module = document.querySelector(`[data-slot="${slot}"]`);
+    
     // Update module HTML
     module.className = 'video-module';
     module.onclick = null;
     module.innerHTML = `
         <button class="remove-btn" onclick="removeVideo(${slot})">×</button>
+        <div class="module-drag-handle" draggable="true" ondragstart="startModuleDrag(event, ${slot})" ondragend="endModuleDrag()"
+             title="Drag to reorder - modules further right sit on top">⠿</div>
         <div class="video-preview">
             <div id="preview-${slot}"></div>
         </div>
         <div class="video-info">
             <div class="current-time clickable-time" id="current-time-${slot}" onclick="showTimestampInput(${slot})" title="Click to enter specific timestamp">0:00</div>
-            <div class="keyframe-controls">
-                <button class="keyframe-btn empty" onclick="handleKeyframeClick(${slot}, 0)" ondblclick="setKeyframe(${slot}, 0)" id="keyframe-${slot}-0">
-                    <span class="keyframe-plus">+</span>
-                </button>
-                <button class="keyframe-btn empty" onclick="handleKeyframeClick(${slot}, 1)" ondblclick="setKeyframe(${slot}, 1)" id="keyframe-${slot}-1">
-                    <span class="keyframe-plus">+</span>
-                </button>
-                <button class="keyframe-btn empty" onclick="handleKeyframeClick(${slot}, 2)" ondblclick="setKeyframe(${slot}, 2)" id="keyframe-${slot}-2">
-                    <span class="keyframe-plus">+</span>
-                </button>
-            </div>
+            <div class="keyframe-controls" id="keyframes-${slot}"></div>
+            <div class="cue-pager" id="cue-pager-${slot}"></div>
             <div class="timeline-scrubber" id="scrubber-${slot}">
                 <div class="timeline-progress" id="progress-${slot}"></div>
                 <div class="timeline-thumb" id="thumb-${slot}" title="Drag horizontally to scrub timeline. Move cursor up while dragging for fine control."></div>
@@ -313,6 +437,44 @@ function loadVideoInSlot(slot, url, videoId) {
                 <input type="range" class="slider" min="0" max="100" value="100" 
                        oninput="updateOpacity(${slot}, this.value)" id="opc-${slot}">
             </div>
+            <div class="control-row">
+                <span class="control-icon" title="Blend mode">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                        <circle cx="9" cy="12" r="6" fill="none" stroke="currentColor" stroke-width="2"/>
+                        <circle cx="15" cy="12" r="6" fill="currentColor" opacity="0.6"/>
+                    </svg>
+                </span>
+                <select class="blend-select effect-control" id="blend-${slot}" onchange="updateBlendMode(${slot}, this.value)" title="Blend mode">
+                    ${renderBlendModeOptions('normal')}
+                </select>
+            </div>
+            <div class="control-row loop-row">
+                <button class="loop-btn effect-control" id="loop-${slot}" onclick="toggleLoop(${slot})" title="Loop A-B">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M7 7h10v3l4-4-4-4v3H5v6h2V7zm10 10H7v-3l-4 4 4 4v-3h12v-6h-2v4z"/>
+                    </svg>
+                </button>
+                <button class="loop-point-btn" id="loop-in-${slot}" onclick="setLoopPoint(${slot}, 'in')" oncontextmenu="clearLoopPoint(event, ${slot}, 'in')"></button>
+                <button class="loop-point-btn" id="loop-out-${slot}" onclick="setLoopPoint(${slot}, 'out')" oncontextmenu="clearLoopPoint(event, ${slot}, 'out')"></button>
+            </div>
+            <div class="control-row">
+                <span class="control-icon" title="Playback speed">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M20.38 8.57l-1.23 1.85a8 8 0 0 1-.22 7.58H5.07A8 8 0 0 1 15.58 6.85l1.85-1.23A10 10 0 0 0 3.35 19a2 2 0 0 0 1.72 1h13.85a2 2 0 0 0 1.74-1 10 10 0 0 0-.27-10.44zm-9.79 6.84a2 2 0 0 0 2.83 0l5.66-8.49-8.49 5.66a2 2 0 0 0 0 2.83z"/>
+                    </svg>
+                </span>
+                <select class="speed-select effect-control" id="speed-${slot}" onchange="updateSpeed(${slot}, this.value)" title="Playback speed">
+                    ${renderSpeedOptions(CompositionEngine.PLAYBACK_RATES, 1)}
+                </select>
+            </div>
+            <div class="control-row mute-row">
+                <button class="mute-btn effect-control" id="mute-${slot}" onclick="toggleMute(${slot})" title="Mute">M</button>
+                <button class="solo-btn effect-control" id="solo-${slot}" onclick="toggleSolo(${slot})" title="Solo">S</button>
+                <button class="layer-btn effect-control" id="front-${slot}" onclick="bringLayerToFront(${slot})" title="Bring to front">⤒</button>
+                <button class="layer-btn effect-control" id="back-${slot}" onclick="sendLayerToBack(${slot})" title="Send to back">⤓</button>
+            </div>
+            ${renderEffectPanel(slot, 'filter')}
+            ${renderEffectPanel(slot, 'transform')}
             <div class="module-controls">
                 <button class="control-btn lock" onclick="toggleLock(${slot})" id="lock-${slot}">
                     <svg width="10" height="10" viewBox="0 0 24 24" fill="currentColor">
@@ -329,147 +491,136 @@ function loadVideoInSlot(slot, url, videoId) {
                         <path d="M3.9 12c0-1.71 1.39-3.1 3.1-3.1h4V7H7c-2.76 0-5 2.24-5 5s2.24 5 5 5h4v-1.9H7c-1.71 0-3.1-1.39-3.1-3.1zM8 13h8v-2H8v2zm9-6h-4v1.9h4c1.71 0 3.1 1.39 3.1 3.1s-1.39 3.1-3.1 3.1h-4V17h4c2.76 0 5-2.24 5-5s-2.24-5-5-5z"/>
                     </svg>
                 </button>
+                <button class="control-btn crossfader-side-btn" onclick="cycleCrossfaderSide(${slot})" id="xfade-side-${slot}">–</button>
             </div>
         </div>
     `;
-
-    // Create YouTube players
-    if (YTReady || window.YT) {
-        createPlayers(slot, videoId);
+    setupModuleDropTarget(module);
+    renderCueButtons(slot);
+    highlightKeyboardSlot();
+
+    // Create players - local files don't need to wait for the YouTube API
+    const isLocal = video.sourceType === 'local';
+    const source = isLocal ? video.objectUrl : video.videoId;
+    if (isLocal || YTReady || window.YT) {
+        createPlayers(slot, source);
     } else {
-        setTimeout(() => createPlayers(slot, videoId), 1000);
+        setTimeout(() => createPlayers(slot, source), 1000);
     }
 
     // Setup timeline scrubber interactions
     setupTimelineScrubber(slot);
-    
-    // Ensure remove button is visible for new videos (in case they were hidden during recording)
-    setTimeout(() => {
-        const removeBtn = module.querySelector('.remove-btn');
-        if (removeBtn) {
-            removeBtn.style.display = 'flex';
-        }
-    }, 100);
-    
-    updatePreviewComposite();
 }
 
 // =================== DUAL PLAYER CREATION ===================
-function createPlayers(slot, videoId) {
+function createPlayers(slot, source) {
     console.log('Creating players for slot:', slot);
+    const playerType = PlayerAdapters.getSourceType(videos[slot]);
 
     try {
         // Create preview player (in module) - NOW HANDLES AUDIO for immediate response
-        previewPlayers[slot] = new YT.Player(`preview-${slot}`, {
+        previewPlayers[slot] = PlayerAdapters.createAdapter(playerType, `preview-${slot}`, {
             height: '100',
             width: '100%',
-            videoId: videoId,
-            playerVars: {
-                'autoplay': 0,
-                'controls': 0,  // Disable YouTube controls - app controls playhead
-                'rel': 0,       // Don't show related videos
-                'modestbranding': 1,  // Remove YouTube logo
-                'iv_load_policy': 3,  // Disable annotations
-                'showinfo': 0,  // Hide video info
-                'fs': 0,        // Disable fullscreen
-                'cc_load_policy': 0,  // Disable closed captions by default
-                'disablekb': 1, // Disable keyboard controls
-                'playsinline': 1 // Play inline on mobile
-                // REMOVED mute: 1 - preview players now handle audio
-            },
-            events: {
-                'onReady': function(event) {
-                    console.log(`Preview player ${slot} ready`);
-                    videos[slot].duration = event.target.getDuration();
-                    
-                    // Preview player now handles audio - set volume properly
-                    event.target.unMute();
-                    event.target.setVolume(videos[slot].volume);
-                    
-                    // Disable pointer events on preview player
+            source: source,
+            // No mute var - preview players now handle audio
+            onReady: function(player) {
+                console.log(`Preview player ${slot} ready`);
+                videos[slot].duration = player.getDuration();
+                renderCueMarkers(slot);
+                updateSpeedOptions(slot);
+                player.setPlaybackRate(videos[slot].speed);
+                
+                // Preview player now handles audio - set volume properly
+                player.unmute();
+                player.setVolume(getOutputLevel(slot, 'volume', videos[slot].volume));
+                
+                // Disable pointer events on preview player
+                setTimeout(() => {
+                    const previewElement = document.getElementById(`preview-${slot}`);
+                    const iframe = player.getElement();
+                    if (previewElement) {
+                        previewElement.style.pointerEvents = 'none';
+                    }
+                    if (iframe) {
+                        iframe.style.pointerEvents = 'none';
+                        iframe.style.userSelect = 'none';
+                        console.log(`Disabled pointer events for preview player ${slot}`);
+                    }
+                }, 500);
+                
+                // Start timeline updates
+                startTimelineUpdates(slot);
+                
+                // Auto-start the video when ready - ensure it actually starts
+                setTimeout(() => {
+                    player.seek(videos[slot].startTime);
                     setTimeout(() => {
-                        const previewElement = document.getElementById(`preview-${slot}`);
-                        const iframe = previewElement?.querySelector('iframe');
-                        if (previewElement) {
-                            previewElement.style.pointerEvents = 'none';
-                        }
-                        if (iframe) {
-                            iframe.style.pointerEvents = 'none';
-                            iframe.style.userSelect = 'none';
-                            console.log(`Disabled pointer events for preview player ${slot}`);
-                        }
-                    }, 500);
-                    
-                    // Start timeline updates
-                    startTimelineUpdates(slot);
+                        player.play();
+                        console.log(`Auto-started preview player ${slot}`);
+                        
+                        // Update play button to show pause state after video starts
+                        setTimeout(() => {
+                            updatePlayButtonState(slot, false); // false = not paused (playing)
+                        }, 100);
+                    }, 100);
+                }, 200);
+            },
+            onStateChange: function(state, player) {
+                // Sync main player visuals when preview plays/pauses (audio stays with preview)
+                if (state === PlayerAdapters.PlayerState.PLAYING) {
+                    // YouTube only lists a video's rates once it is playing
+                    updateSpeedOptions(slot);
                     
-                    // Auto-start the video when ready - ensure it actually starts
-                    setTimeout(() => {
-                        event.target.seekTo(videos[slot].startTime);
+                    if (mainPlayers[slot] && !syncLocks[slot]) {
+                        syncLocks[slot] = true;
+                        const currentTime = player.getCurrentTime();
+                        // Sync main player for visuals only
                         setTimeout(() => {
-                            event.target.playVideo();
-                            console.log(`Auto-started preview player ${slot}`);
-                            
-                            // Update play button to show pause state after video starts
+                            try {
+                                mainPlayers[slot].seek(currentTime);
+                                mainPlayers[slot].play();
+                            } catch (error) {
+                                console.log('Could not sync main player visuals');
+                            }
+                            // Release lock after operation
                             setTimeout(() => {
-                                updatePlayButtonState(slot, false); // false = not paused (playing)
+                                syncLocks[slot] = false;
                             }, 100);
-                        }, 100);
-                    }, 200);
-                },
-                'onStateChange': function(event) {
-                    // Sync main player visuals when preview plays/pauses (audio stays with preview)
-                    if (event.data === YT.PlayerState.PLAYING) {
-                        if (mainPlayers[slot] && !syncLocks[slot]) {
-                            syncLocks[slot] = true;
-                            const currentTime = event.target.getCurrentTime();
-                            // Sync main player for visuals only
+                        }, 50);
+                    }
+                } else if (state === PlayerAdapters.PlayerState.PAUSED) {
+                    if (mainPlayers[slot] && !syncLocks[slot]) {
+                        syncLocks[slot] = true;
+                        setTimeout(() => {
+                            try {
+                                mainPlayers[slot].pause();
+                            } catch (error) {
+                                console.log('Could not pause main player visuals');
+                            }
+                            // Release lock after operation
                             setTimeout(() => {
-                                try {
-                                    mainPlayers[slot].seekTo(currentTime);
-                                    mainPlayers[slot].playVideo();
-                                } catch (error) {
-                                    console.log('Could not sync main player visuals');
-                                }
-                                // Release lock after operation
-                                setTimeout(() => {
-                                    syncLocks[slot] = false;
-                                }, 100);
+                                syncLocks[slot] = false;
                             }, 50);
-                        }
-                    } else if (event.data === YT.PlayerState.PAUSED) {
-                        if (mainPlayers[slot] && !syncLocks[slot]) {
-                            syncLocks[slot] = true;
-                            setTimeout(() => {
-                                try {
-                                    mainPlayers[slot].pauseVideo();
-                                } catch (error) {
-                                    console.log('Could not pause main player visuals');
-                                }
-                                // Release lock after operation
-                                setTimeout(() => {
-                                    syncLocks[slot] = false;
-                                }, 50);
-                            }, 25);
-                        }
+                        }, 25);
                     }
-                },
-                'onError': function(event) {
-                    console.log(`Preview player ${slot} error:`, event.data);
-                    handleVideoError(slot, event.data);
                 }
+            },
+            onError: function(error) {
+                console.log(`Preview player ${slot} error:`, error.code);
+                handleVideoError(slot, error);
             }
         });
 
         // Create main composite player - this handles all audio
-        createMainPlayer(slot, videoId);
+        createMainPlayer(slot, source);
 
     } catch (error) {
         console.error('Error creating players:', error);
     }
 }
 
-function createMainPlayer(slot, videoId) {
+function createMainPlayer(slot, source) {
     const previewContent = document.getElementById('preview-content');
     
     // Remove placeholder text if this is the first video
@@ -483,112 +634,77 @@ function createMainPlayer(slot, videoId) {
         layer = document.createElement('div');
         layer.id = `main-layer-${slot}`;
         layer.className = 'main-video-layer';
-        layer.style.zIndex = slot; // Higher slot number = top layer (right side = on top)
-        layer.style.opacity = videos[slot].opacity / 100;
+        layer.style.zIndex = CompositionEngine.getLayerZIndex(slot, layerOrder); // Higher slot number = top layer unless restacked
+        layer.style.opacity = getOutputLevel(slot, 'opacity', videos[slot].opacity) / 100;
+        layer.style.mixBlendMode = videos[slot].blendMode;
+        layer.style.filter = CompositionEngine.getFilterCss(videos[slot]);
+        layer.style.transform = CompositionEngine.getTransformCss(videos[slot]);
+        layer.style.clipPath = CompositionEngine.getClipPathCss(videos[slot]);
         previewContent.appendChild(layer);
     }
 
     try {
         // Main player for live composite - handles audio based on mode
-        mainPlayers[slot] = new YT.Player(`main-layer-${slot}`, {
-            height: '100%',
-            width: '100%',
-            videoId: videoId,
+        mainPlayers[slot] = PlayerAdapters.createAdapter(PlayerAdapters.getSourceType(videos[slot]), `main-layer-${slot}`, {
+            source: source,
             playerVars: {
-                'autoplay': 0,
-                'controls': 0,  // No controls on main composite
-                'rel': 0,       // Don't show related videos
-                'modestbranding': 1,  // Remove YouTube logo
-                'iv_load_policy': 3,  // Disable annotations
-                'showinfo': 0,  // Hide video info
-                'fs': 0,        // Disable fullscreen
-                'cc_load_policy': 0,  // Disable closed captions by default
-                'disablekb': 1, // Disable keyboard controls
-                'playsinline': 1, // Play inline on mobile
                 'enablejsapi': 1, // Enable JavaScript API for more control
                 'origin': window.location.origin, // Set origin for security
                 'widget_referrer': window.location.origin,
                 'host': 'https://www.youtube-nocookie.com' // Use privacy-enhanced mode
             },
-            events: {
-                'onReady': function(event) {
-                    console.log(`Main player ${slot} ready`);
-                    
-                    // Hide YouTube overlays after player loads
+            onReady: function(player) {
+                console.log(`Main player ${slot} ready`);
+                
+                // Hide YouTube overlays after player loads
+                setTimeout(() => {
+                    hideYouTubeOverlays(slot);
+                }, 1000);
+                
+                // Auto-start and sync with preview player
+                setTimeout(() => {
+                    player.seek(videos[slot].startTime);
                     setTimeout(() => {
-                        hideYouTubeOverlays(slot);
-                    }, 1000);
-                    
-                    // Auto-start and sync with preview player
+                        player.play();
+                        console.log(`Auto-started main player ${slot}`);
+                    }, 100);
+                }, 300); // Start after preview player
+                
+                // MAIN PLAYERS NOW VISUAL ONLY - muted to prevent audio doubling
+                player.mute();
+                player.setVolume(0);
+                player.setPlaybackRate(videos[slot].speed);
+            },
+            onStateChange: function(state) {
+                // Hide overlays when video pauses
+                if (state === PlayerAdapters.PlayerState.PAUSED) {
                     setTimeout(() => {
-                        event.target.seekTo(videos[slot].startTime);
-                        setTimeout(() => {
-                            event.target.playVideo();
-                            console.log(`Auto-started main player ${slot}`);
-                        }, 100);
-                    }, 300); // Start after preview player
-                    
-                    // MAIN PLAYERS NOW VISUAL ONLY - muted to prevent audio doubling
-                    event.target.mute();
-                    event.target.setVolume(0);
-                },
-                'onStateChange': function(event) {
-                    // Hide overlays when video pauses
-                    if (event.data === YT.PlayerState.PAUSED) {
-                        setTimeout(() => {
-                            hideYouTubeOverlays(slot);
-                        }, 100);
-                    }
-                },
-                'onError': function(event) {
-                    console.log(`Main player ${slot} error:`, event.data);
-                    handleVideoError(slot, event.data);
+                        hideYouTubeOverlays(slot);
+                    }, 100);
                 }
+            },
+            onError: function(error) {
+                console.log(`Main player ${slot} error:`, error.code);
+                handleVideoError(slot, error);
             }
         });
     } catch (error) {
         console.error('Error creating main player:', error);
     }
+    
+    // After the adapter has taken over the layer, which resets its size
+    applyCompositeLayout();
 }
 
 // =================== VIDEO ERROR HANDLING ===================
-function handleVideoError(slot, errorCode) {
-    console.log(`Video error in slot ${slot}: ${errorCode}`);
-    
-    let errorMessage = '';
-    let shouldRemove = false;
-    
-    switch (errorCode) {
-        case 2:
-            errorMessage = 'Invalid video ID. Please check the YouTube URL and try again.';
-            shouldRemove = true;
-            break;
-        case 5:
-            errorMessage = 'Video player error. This video may not be compatible with embedded playback.';
-            shouldRemove = true;
-            break;
-        case 100:
-            errorMessage = 'Video not found or is private. Please choose a different video.';
-            shouldRemove = true;
-            break;
-        case 101:
-            errorMessage = 'This video cannot be embedded due to owner restrictions. Please choose a different video.';
-            shouldRemove = true;
-            break;
-        case 150:
-            errorMessage = 'This video cannot be embedded due to owner restrictions. Please choose a different video.';
-            shouldRemove = true;
-            break;
-        default:
-            errorMessage = 'Video playback error. Please try a different video.';
-            shouldRemove = true;
-    }
+function handleVideoError(slot, error) {
+    console.log(`Video error in slot ${slot}: ${error.code}`);
     
     // Show error message to user
-    alert(`Video Error (Slot ${slot + 1}):\n\n${errorMessage}`);
+    alert(`Video Error (Slot ${slot + 1}):\n\n${error.message}`);
     
-    // Clean up the failed video if needed
-    if (shouldRemove && videos[slot]) {
+    // Clean up the failed video
+    if (videos[slot]) {
         console.log(`Removing failed video from slot ${slot}`);
         actuallyRemoveVideo(slot);
     }
@@ -646,9 +762,9 @@ function seekToPosition(slot, event) {
     const percentage = clickX / rect.width;
     const newTime = percentage * videos[slot].duration;
     
-    previewPlayers[slot].seekTo(newTime);
+    previewPlayers[slot].seek(newTime);
     if (mainPlayers[slot]) {
-        mainPlayers[slot].seekTo(newTime);
+        mainPlayers[slot].seek(newTime);
     }
     
     console.log(`Seeked slot ${slot} to ${newTime}s`);
@@ -814,665 +930,2401 @@ function updateOpacityDebounced(slot, value) {
     }
 }
 
-// =================== LINKING SYSTEM ===================
-function updateLinkedControls(sourceSlot, type, oldValue, newValue) {
-    if (!videos[sourceSlot] || !videos[sourceSlot].linked) return;
-    
-    // Calculate the change amount instead of ratio to handle 0 values properly
-    const change = newValue - oldValue;
-    
-    videos.forEach((video, slot) => {
-        if (slot !== sourceSlot && video && video.linked && !video.locked) {
-            if (type === 'volume') {
-                // Apply the same change amount, but respect 0-100 bounds
-                const currentVolume = video.volume;
-                const newLinkedValue = Math.max(0, Math.min(100, currentVolume + change));
-                video.volume = newLinkedValue;
-                const volSlider = document.getElementById(`vol-${slot}`);
-                if (volSlider) volSlider.value = newLinkedValue;
-                
-                // Use the throttled volume update to prevent crackling
-                updateAllPlayersVolume(slot, newLinkedValue);
-                    
-                // If we're in overdubbing mode, hijack this control
-                if (isPlaybackMode) {
-                    hijackControl(slot, 'volume');
-                }
-                
-            } else if (type === 'opacity') {
-                // Apply the same change amount, but respect 0-100 bounds
-                const currentOpacity = video.opacity;
-                const newLinkedValue = Math.max(0, Math.min(100, currentOpacity + change));
-                video.opacity = newLinkedValue;
-                const opcSlider = document.getElementById(`opc-${slot}`);
-                if (opcSlider) opcSlider.value = newLinkedValue;
-                
-                updateAllLayersOpacity(slot, newLinkedValue);
-                
-                // If we're in overdubbing mode, hijack this control
-                if (isPlaybackMode) {
-                    hijackControl(slot, 'opacity');
-                }
-            }
-        }
-    });
+// =================== BLEND MODES ===================
+function renderBlendModeOptions(selectedMode) {
+    return CompositionEngine.BLEND_MODES.map(mode =>
+        `<option value="${mode}"${mode === selectedMode ? ' selected' : ''}>${CompositionEngine.getBlendModeLabel(mode)}</option>`
+    ).join('');
 }
 
-// =================== LINK AND LOCK CONTROLS ===================
-function toggleLink(slot) {
-    if (videos[slot] && !videos[slot].locked) {
-        videos[slot].linked = !videos[slot].linked;
-        const module = document.querySelector(`[data-slot="${slot}"]`);
-        const linkBtn = document.getElementById(`link-${slot}`);
-        
-        if (videos[slot].linked) {
-            linkBtn.classList.add('active');
-            module.classList.add('linked');
-            
-            // If we're linking during overdubbing, set up proper visual states
-            // BUT preserve hijacked states if they're already hijacked
-            if (isPlaybackMode && currentSession > 1) {
-                const volSlider = document.getElementById(`vol-${slot}`);
-                const opcSlider = document.getElementById(`opc-${slot}`);
-                
-                if (volSlider && !volSlider.disabled) {
-                    // Only set to playback if not already hijacked
-                    if (!hijackedControls.has(`${slot}-volume`)) {
-                        volSlider.classList.remove('hijacked');
-                        volSlider.classList.add('playback');
-                    }
-                }
-                if (opcSlider && !opcSlider.disabled) {
-                    // Only set to playback if not already hijacked
-                    if (!hijackedControls.has(`${slot}-opacity`)) {
-                        opcSlider.classList.remove('hijacked');
-                        opcSlider.classList.add('playback');
-                    }
-                }
-            }
-        } else {
-            linkBtn.classList.remove('active');
-            module.classList.remove('linked');
-        }
-        console.log('Toggled link for slot', slot, ':', videos[slot].linked);
+function updateBlendMode(slot, mode) {
+    if (!videos[slot] || videos[slot].locked) return;
+    if (!CompositionEngine.BLEND_MODES.includes(mode)) return;
+
+    videos[slot].blendMode = mode;
+    updateAllLayersBlendMode(slot, mode);
+
+    // Handle hijacking during playback mode
+    if (isPlaybackMode) {
+        hijackControl(slot, 'blendMode');
+    }
+
+    if (isRecording) {
+        recordControlChange(slot, 'blendMode', mode);
     }
+
+    console.log('Updated blend mode for slot', slot, ':', mode);
 }
 
-// =================== VOLUME-OPACITY LINKING ===================
-function toggleVolumeOpacityLink(slot) {
-    const videoObj = videos[slot];
-    if (!videoObj || !videoObj.videoId || videoObj.locked) return;
-    
-    videoObj.volumeOpacityLinked = !videoObj.volumeOpacityLinked;
-    updateVolumeOpacityLinkVisual(slot);
-    
-    console.log('Toggled volume-opacity link for slot', slot, ':', videoObj.volumeOpacityLinked);
+function updateAllLayersBlendMode(slot, mode) {
+    const mainLayer = document.getElementById(`main-layer-${slot}`);
+    if (mainLayer) {
+        mainLayer.style.mixBlendMode = mode;
+    }
 }
 
-function toggleLock(slot) {
-    const videoObj = videos[slot];
-    if (!videoObj || !videoObj.videoId) return;
+function setBlendSelectValue(slot, mode) {
+    const blendSelect = document.getElementById(`blend-${slot}`);
+    if (blendSelect) blendSelect.value = mode;
+}
 
-    // Break volume-opacity linking when locking
-    if (!videoObj.locked && videoObj.volumeOpacityLinked) {
-        videoObj.volumeOpacityLinked = false;
-        updateVolumeOpacityLinkVisual(slot);
+// =================== A/B LOOPS ===================
+// A slot can loop between an A and a B point, set before the first take
+// like cues. The loop button switches looping on and off and each switch
+// is recorded on the slot's `loop` lane. While a slot loops, the watcher
+// sends it back to A whenever it plays through B; the engine applies the
+// same rule when it works out positions for scrubbing and playback.
+const LOOP_CHECK_MS = 25;
+
+let loopWatcher = null;
+let loopLastPositions = {};             // Position seen on the previous check, per looping slot
+
+function setLoopPoint(slot, point) {
+    const video = videos[slot];
+    if (!video || !previewPlayers[slot] || video.locked || !canAddCue()) return;
+    
+    try {
+        const currentTime = previewPlayers[slot].getCurrentTime();
+        pushUndoSnapshot('set loop point');
+        video.loopRegion = { inTime: null, outTime: null, ...video.loopRegion };
+        video.loopRegion[point === 'in' ? 'inTime' : 'outTime'] = currentTime;
+        console.log(`Set loop ${point === 'in' ? 'A' : 'B'} for slot ${slot} at ${currentTime}s`);
+    } catch (error) {
+        console.log('Could not get current time for loop point');
     }
+    updateLoopControls(slot);
+}
 
-    videoObj.locked = !videoObj.locked;
-    const lockButton = document.getElementById(`lock-${slot}`);
-    const module = document.querySelector(`.video-module[data-slot="${slot}"]`);
+// Right-click removes a point
+function clearLoopPoint(event, slot, point) {
+    event.preventDefault();
+    const video = videos[slot];
+    if (!video || !video.loopRegion || video.locked || !canAddCue()) return;
     
-    if (videoObj.locked) {
+    pushUndoSnapshot('clear loop point');
+    video.loopRegion[point === 'in' ? 'inTime' : 'outTime'] = null;
+    if (video.loopRegion.inTime === null && video.loopRegion.outTime === null) {
+        video.loopRegion = null;
+    }
+    if (!CompositionEngine.normalizeLoopRegion(video.loopRegion)) {
+        setSlotLoop(slot, false);
+    }
+    updateLoopControls(slot);
+}
+
+function toggleLoop(slot) {
+    const video = videos[slot];
+    if (!video || video.locked) return;
+    if (!CompositionEngine.normalizeLoopRegion(video.loopRegion)) return;
+    
+    setSlotLoop(slot, !video.loop);
+    
+    // Handle hijacking during playback mode
+    if (isPlaybackMode) {
+        hijackControl(slot, 'loop');
+    }
+    
+    if (isRecording) {
+        recordControlChange(slot, 'loop', video.loop);
+    }
+    
+    console.log(`Loop ${video.loop ? 'on' : 'off'} for slot ${slot}`);
+}
+
+function setSlotLoop(slot, isLooping) {
+    if (!videos[slot]) return;
+    
+    videos[slot].loop = !!isLooping;
+    const loopBtn = document.getElementById(`loop-${slot}`);
+    if (loopBtn) loopBtn.classList.toggle('active', videos[slot].loop);
+    
+    delete loopLastPositions[slot];
+    updateLoopWatcher();
+}
+
+// The watcher only runs while at least one slot is looping
+function updateLoopWatcher() {
+    const anyLooping = videos.some(video => video && video.loop);
+    if (anyLooping && !loopWatcher) {
+        loopWatcher = setInterval(checkLoopRegions, LOOP_CHECK_MS);
+    } else if (!anyLooping && loopWatcher) {
+        clearInterval(loopWatcher);
+        loopWatcher = null;
+        loopLastPositions = {};
+    }
+}
+
+function checkLoopRegions() {
+    videos.forEach((video, slot) => {
+        if (!video || !video.loop || !previewPlayers[slot] || syncLocks[slot]) return;
+        
+        try {
+            const position = previewPlayers[slot].getCurrentTime();
+            const wrapTo = CompositionEngine.getLoopWrapPosition(video.loopRegion, loopLastPositions[slot], position);
+            loopLastPositions[slot] = wrapTo === null ? position : wrapTo;
+            if (wrapTo !== null) {
+                playbackJumpEvent(slot, wrapTo);
+            }
+        } catch (error) {
+            // Player not ready yet
+        }
+    });
+    
+    // A removed slot can leave nothing looping
+    updateLoopWatcher();
+}
+
+// A/B labels, and whether the points can still be moved
+function updateLoopControls(slot) {
+    const video = videos[slot];
+    if (!video) return;
+    
+    const region = video.loopRegion || {};
+    const canEdit = canAddCue() && !video.locked;
+    [['in', 'A', region.inTime], ['out', 'B', region.outTime]].forEach(([point, label, time]) => {
+        const pointBtn = document.getElementById(`loop-${point}-${slot}`);
+        if (!pointBtn) return;
+        
+        const isSet = time !== null && time !== undefined;
+        pointBtn.textContent = isSet ? `${label} ${formatTime(time)}` : label;
+        pointBtn.classList.toggle('set', isSet);
+        pointBtn.disabled = !canEdit;
+        pointBtn.title = canEdit ?
+            `Set ${label} at the current position${isSet ? ' (right-click to clear)' : ''}` :
+            `Loop ${label}`;
+    });
+    
+    const loopBtn = document.getElementById(`loop-${slot}`);
+    if (loopBtn) {
+        const hasRegion = !!CompositionEngine.normalizeLoopRegion(video.loopRegion);
+        loopBtn.classList.toggle('active', !!video.loop);
+        loopBtn.classList.toggle('no-region', !hasRegion);
+        loopBtn.title = hasRegion ? 'Loop A-B' : 'Set A and B to loop';
+    }
+}
+
+// =================== PLAYBACK SPEED ===================
+// Each slot plays at one of CompositionEngine.PLAYBACK_RATES, limited to
+// the rates its player offers for the video. Changes are recorded on the
+// `speed` lane, and the engine scales the slot's position by it, so
+// jumps and scrubbing land where the time-warped video was.
+function getSlotPlaybackRates(slot) {
+    const player = previewPlayers[slot];
+    const offered = player ? player.getAvailablePlaybackRates() : [];
+    const rates = CompositionEngine.PLAYBACK_RATES.filter(rate => offered.length === 0 || offered.includes(rate));
+    return rates.length > 0 ? rates : [1];
+}
+
+function renderSpeedOptions(rates, selectedRate) {
+    return rates.map(rate =>
+        `<option value="${rate}"${rate === selectedRate ? ' selected' : ''}>${rate}x</option>`
+    ).join('');
+}
+
+// Refill the select with the rates the player reports for this video
+function updateSpeedOptions(slot) {
+    const speedSelect = document.getElementById(`speed-${slot}`);
+    if (!speedSelect || !videos[slot]) return;
+    
+    const rates = getSlotPlaybackRates(slot);
+    speedSelect.innerHTML = renderSpeedOptions(rates, CompositionEngine.snapPlaybackRate(videos[slot].speed, rates));
+}
+
+function updateSpeed(slot, value) {
+    if (!videos[slot] || videos[slot].locked) return;
+    
+    const rate = CompositionEngine.snapPlaybackRate(parseFloat(value), getSlotPlaybackRates(slot));
+    videos[slot].speed = rate;
+    setSpeedSelectValue(slot, rate);
+    applySlotSpeed(slot, rate);
+    
+    // Handle hijacking during playback mode
+    if (isPlaybackMode) {
+        hijackControl(slot, 'speed');
+    }
+    
+    if (isRecording) {
+        recordControlChange(slot, 'speed', rate);
+    }
+    
+    console.log('Updated speed for slot', slot, ':', rate);
+}
+
+function applySlotSpeed(slot, rate) {
+    [previewPlayers[slot], mainPlayers[slot]].forEach(player => {
+        if (!player) return;
+        try {
+            player.setPlaybackRate(rate);
+        } catch (error) {
+            console.log('Could not set playback rate');
+        }
+    });
+}
+
+function setSpeedSelectValue(slot, rate) {
+    const speedSelect = document.getElementById(`speed-${slot}`);
+    if (speedSelect) speedSelect.value = String(rate);
+}
+
+// =================== MUTE & SOLO ===================
+// Mute and solo sit on top of the volume slider, so a slot keeps its
+// level while it is silenced. Each press is recorded on the slot's
+// `mute` or `solo` lane. Solo follows the usual mixer rules across every
+// slot (see CompositionEngine.isSlotSilenced), and with "Mute video" on
+// a silenced slot's layer is hidden too.
+let muteVideo = false;                  // Mute and solo hide the picture as well as the sound
+
+function toggleMute(slot) {
+    if (!videos[slot] || videos[slot].locked) return;
+    
+    setSlotSwitch(slot, 'mute', !videos[slot].mute);
+    
+    // Handle hijacking during playback mode
+    if (isPlaybackMode) {
+        hijackControl(slot, 'mute');
+    }
+    
+    if (isRecording) {
+        recordControlChange(slot, 'mute', videos[slot].mute);
+    }
+    
+    console.log(`Mute ${videos[slot].mute ? 'on' : 'off'} for slot ${slot}`);
+}
+
+function toggleSolo(slot) {
+    if (!videos[slot] || videos[slot].locked) return;
+    
+    setSlotSwitch(slot, 'solo', !videos[slot].solo);
+    
+    if (isPlaybackMode) {
+        hijackControl(slot, 'solo');
+    }
+    
+    if (isRecording) {
+        recordControlChange(slot, 'solo', videos[slot].solo);
+    }
+    
+    console.log(`Solo ${videos[slot].solo ? 'on' : 'off'} for slot ${slot}`);
+}
+
+// Set a slot's mute or solo and re-apply every slot's levels - one solo
+// changes what all the others output
+function setSlotSwitch(slot, lane, isOn) {
+    if (!videos[slot]) return;
+    
+    videos[slot][lane] = !!isOn;
+    const button = document.getElementById(`${lane}-${slot}`);
+    if (button) button.classList.toggle('active', videos[slot][lane]);
+    
+    applyAllOutputLevels();
+}
+
+function isLiveSlotSilenced(slot) {
+    const switches = {};
+    videos.forEach((video, index) => {
+        if (video) switches[index] = { mute: !!video.mute, solo: !!video.solo };
+    });
+    return CompositionEngine.isSlotSilenced(slot, switches);
+}
+
+function applyAllOutputLevels() {
+    videos.forEach((video, slot) => {
+        if (!video) return;
+        updateAllPlayersVolume(slot, video.volume);
+        updateAllLayersOpacity(slot, video.opacity);
+    });
+}
+
+// Setup-only, like the composition length - it changes how every take plays back
+function setMuteVideo(checked) {
+    if (recordingSessions.length > 0 || isRecording || isCountdown) return;
+    muteVideo = !!checked;
+    applyAllOutputLevels();
+}
+
+function updateMuteVideoToggle() {
+    const toggle = document.getElementById('mute-video-toggle');
+    if (!toggle) return;
+    toggle.checked = muteVideo;
+    toggle.disabled = isRecording || isCountdown || recordingSessions.length > 0;
+}
+
+// =================== FILTERS & TRANSFORMS ===================
+// Slider lanes that each feed one layer style, shown in fold-out panels
+const EFFECT_PANELS = {
+    filter: { title: 'Filters', lanes: CompositionEngine.FILTER_LANES, apply: updateAllLayersFilter },
+    transform: { title: 'Transform', lanes: CompositionEngine.TRANSFORM_LANES, apply: updateAllLayersTransform }
+};
+
+// Panel name ('filter' or 'transform') a lane belongs to, or null
+function findEffectPanel(lane) {
+    return Object.keys(EFFECT_PANELS).find(panel => EFFECT_PANELS[panel].lanes[lane]) || null;
+}
+
+function renderEffectPanel(slot, panel) {
+    const lanes = EFFECT_PANELS[panel].lanes;
+    const rows = Object.keys(lanes).map(lane => {
+        const control = lanes[lane];
+        return `
+                <div class="control-row effect-row">
+                    <span class="effect-label">${control.label}</span>
+                    <input type="range" class="slider effect-control" min="${control.min}" max="${control.max}" step="${control.step}" value="${control.defaultValue}"
+                           oninput="updateEffect(${slot}, '${panel}', '${lane}', this.value)" ondblclick="resetEffect(${slot}, '${panel}', '${lane}')" id="${panel}-${lane}-${slot}">
+                </div>`;
+    }).join('');
+    
+    return `
+            <button class="effect-panel-toggle" onclick="toggleEffectPanel(${slot}, '${panel}')" id="${panel}-toggle-${slot}">${EFFECT_PANELS[panel].title}</button>
+            <div class="effect-panel" id="${panel}-controls-${slot}">${rows}
+            </div>`;
+}
+
+function toggleEffectPanel(slot, panel) {
+    const panelElement = document.getElementById(`${panel}-controls-${slot}`);
+    const toggle = document.getElementById(`${panel}-toggle-${slot}`);
+    if (!panelElement) return;
+    
+    const isOpen = panelElement.classList.toggle('open');
+    if (toggle) toggle.classList.toggle('active', isOpen);
+}
+
+function updateEffect(slot, panel, lane, value) {
+    if (!videos[slot] || videos[slot].locked || !EFFECT_PANELS[panel] || !EFFECT_PANELS[panel].lanes[lane]) return;
+    
+    // Immediately update the visual state for responsiveness
+    videos[slot][lane] = parseFloat(value);
+    EFFECT_PANELS[panel].apply(slot);
+    
+    // If recording, capture this value for smooth playback (with throttling)
+    if (isRecording) {
+        recordControlChangeThrottled(slot, lane, parseFloat(value));
+    }
+    
+    // Hijack once the slider settles, same as volume and opacity
+    const timerId = `${panel}-${lane}-${slot}`;
+    if (sliderDebounceTimers[timerId]) {
+        clearTimeout(sliderDebounceTimers[timerId]);
+    }
+    
+    sliderDebounceTimers[timerId] = setTimeout(() => {
+        if (isPlaybackMode && videos[slot] && !videos[slot].locked) {
+            hijackControl(slot, lane);
+        }
+        delete sliderDebounceTimers[timerId];
+    }, 50);
+}
+
+// Double-click a slider to put it back to neutral
+function resetEffect(slot, panel, lane) {
+    const slider = document.getElementById(`${panel}-${lane}-${slot}`);
+    if (!slider || slider.disabled) return;
+    
+    slider.value = EFFECT_PANELS[panel].lanes[lane].defaultValue;
+    updateEffect(slot, panel, lane, slider.value);
+}
+
+function updateAllLayersFilter(slot) {
+    const mainLayer = document.getElementById(`main-layer-${slot}`);
+    if (mainLayer && videos[slot]) {
+        mainLayer.style.filter = CompositionEngine.getFilterCss(videos[slot]);
+    }
+}
+
+function updateAllLayersTransform(slot) {
+    const mainLayer = document.getElementById(`main-layer-${slot}`);
+    if (mainLayer && videos[slot]) {
+        mainLayer.style.transform = CompositionEngine.getTransformCss(videos[slot]);
+        mainLayer.style.clipPath = CompositionEngine.getClipPathCss(videos[slot]);
+    }
+}
+
+// Copy recorded filter and transform values onto a slot's sliders and
+// layer. During overdubs hijacked sliders keep their live value.
+function applyEffectState(slot, slotState, isOverdub = false) {
+    Object.keys(EFFECT_PANELS).forEach(panel => {
+        let changed = false;
+        Object.keys(EFFECT_PANELS[panel].lanes).forEach(lane => {
+            if (slotState[lane] === undefined) return;
+            const slider = document.getElementById(`${panel}-${lane}-${slot}`);
+            if (isOverdub && slider && slider.classList.contains('hijacked')) return;
+            
+            videos[slot][lane] = slotState[lane];
+            if (slider) {
+                slider.value = slotState[lane];
+                if (isOverdub) slider.classList.add('playback'); // Orange state
+            }
+            changed = true;
+        });
+        if (changed) {
+            EFFECT_PANELS[panel].apply(slot);
+        }
+    });
+}
+
+// =================== LINKING SYSTEM ===================
+function updateLinkedControls(sourceSlot, type, oldValue, newValue) {
+    if (!videos[sourceSlot] || !videos[sourceSlot].linked) return;
+    
+    // Calculate the change amount instead of ratio to handle 0 values properly
+    const change = newValue - oldValue;
+    
+    videos.forEach((video, slot) => {
+        if (slot !== sourceSlot && video && video.linked && !video.locked) {
+            if (type === 'volume') {
+                // Apply the same change amount, but respect 0-100 bounds
+                const currentVolume = video.volume;
+                const newLinkedValue = Math.max(0, Math.min(100, currentVolume + change));
+                video.volume = newLinkedValue;
+                const volSlider = document.getElementById(`vol-${slot}`);
+                if (volSlider) volSlider.value = newLinkedValue;
+                
+                // Use the throttled volume update to prevent crackling
+                updateAllPlayersVolume(slot, newLinkedValue);
+                    
+                // If we're in overdubbing mode, hijack this control
+                if (isPlaybackMode) {
+                    hijackControl(slot, 'volume');
+                }
+                
+            } else if (type === 'opacity') {
+                // Apply the same change amount, but respect 0-100 bounds
+                const currentOpacity = video.opacity;
+                const newLinkedValue = Math.max(0, Math.min(100, currentOpacity + change));
+                video.opacity = newLinkedValue;
+                const opcSlider = document.getElementById(`opc-${slot}`);
+                if (opcSlider) opcSlider.value = newLinkedValue;
+                
+                updateAllLayersOpacity(slot, newLinkedValue);
+                
+                // If we're in overdubbing mode, hijack this control
+                if (isPlaybackMode) {
+                    hijackControl(slot, 'opacity');
+                }
+            }
+        }
+    });
+}
+
+// =================== LINK AND LOCK CONTROLS ===================
+function toggleLink(slot) {
+    if (videos[slot] && !videos[slot].locked) {
+        pushUndoSnapshot('link');
+        videos[slot].linked = !videos[slot].linked;
+        const module = document.querySelector(`[data-slot="${slot}"]`);
+        const linkBtn = document.getElementById(`link-${slot}`);
+        
+        if (videos[slot].linked) {
+            linkBtn.classList.add('active');
+            module.classList.add('linked');
+            
+            // If we're linking during overdubbing, set up proper visual states
+            // BUT preserve hijacked states if they're already hijacked
+            if (isPlaybackMode && currentSession > 1) {
+                const volSlider = document.getElementById(`vol-${slot}`);
+                const opcSlider = document.getElementById(`opc-${slot}`);
+                
+                if (volSlider && !volSlider.disabled) {
+                    // Only set to playback if not already hijacked
+                    if (!hijackedControls.has(`${slot}-volume`)) {
+                        volSlider.classList.remove('hijacked');
+                        volSlider.classList.add('playback');
+                    }
+                }
+                if (opcSlider && !opcSlider.disabled) {
+                    // Only set to playback if not already hijacked
+                    if (!hijackedControls.has(`${slot}-opacity`)) {
+                        opcSlider.classList.remove('hijacked');
+                        opcSlider.classList.add('playback');
+                    }
+                }
+            }
+        } else {
+            linkBtn.classList.remove('active');
+            module.classList.remove('linked');
+        }
+        console.log('Toggled link for slot', slot, ':', videos[slot].linked);
+    }
+}
+
+// =================== VOLUME-OPACITY LINKING ===================
+function toggleVolumeOpacityLink(slot) {
+    const videoObj = videos[slot];
+    if (!videoObj || videoObj.locked) return;
+    
+    pushUndoSnapshot('volume-opacity link');
+    videoObj.volumeOpacityLinked = !videoObj.volumeOpacityLinked;
+    updateVolumeOpacityLinkVisual(slot);
+    
+    console.log('Toggled volume-opacity link for slot', slot, ':', videoObj.volumeOpacityLinked);
+}
+
+function toggleLock(slot) {
+    const videoObj = videos[slot];
+    if (!videoObj) return;
+
+    pushUndoSnapshot('lock');
+
+    // Break volume-opacity linking when locking
+    if (!videoObj.locked && videoObj.volumeOpacityLinked) {
+        videoObj.volumeOpacityLinked = false;
+        updateVolumeOpacityLinkVisual(slot);
+    }
+
+    videoObj.locked = !videoObj.locked;
+    const lockButton = document.getElementById(`lock-${slot}`);
+    const module = document.querySelector(`.video-module[data-slot="${slot}"]`);
+    
+    if (videoObj.locked) {
         // Lock all controls
         lockButton.classList.add('active');
             module.classList.add('locked');
             
-        // Disable sliders and controls
-            const volSlider = document.getElementById(`vol-${slot}`);
-            const opcSlider = document.getElementById(`opc-${slot}`);
-            const linkButton = document.getElementById(`link-${slot}`);
-            const playPauseBtn = document.getElementById(`play-pause-${slot}`);
+        // Disable sliders and controls
+            const volSlider = document.getElementById(`vol-${slot}`);
+            const opcSlider = document.getElementById(`opc-${slot}`);
+            const effectControls = getEffectControls(slot);
+            const linkButton = document.getElementById(`link-${slot}`);
+            const playPauseBtn = document.getElementById(`play-pause-${slot}`);
+            const scrubber = document.getElementById(`scrubber-${slot}`);
+            
+            if (volSlider) volSlider.disabled = true;
+            if (opcSlider) opcSlider.disabled = true;
+            effectControls.forEach(control => control.disabled = true);
+            if (linkButton) linkButton.disabled = true;
+            if (playPauseBtn) playPauseBtn.disabled = true;
+            if (scrubber) scrubber.style.pointerEvents = 'none';
+            
+        // Update keyframe buttons to locked state
+        updateKeyframeButtonsLockState(slot, true);
+        
+        } else {
+        // Unlock all controls
+        lockButton.classList.remove('active');
+            module.classList.remove('locked');
+            
+        // Enable sliders and controls
+            const volSlider = document.getElementById(`vol-${slot}`);
+            const opcSlider = document.getElementById(`opc-${slot}`);
+            const effectControls = getEffectControls(slot);
+            const linkButton = document.getElementById(`link-${slot}`);
+            const playPauseBtn = document.getElementById(`play-pause-${slot}`);
+            const scrubber = document.getElementById(`scrubber-${slot}`);
+            
+            if (volSlider) volSlider.disabled = false;
+            if (opcSlider) opcSlider.disabled = false;
+            effectControls.forEach(control => control.disabled = false);
+            if (linkButton) linkButton.disabled = false;
+            if (playPauseBtn) playPauseBtn.disabled = false;
+            if (scrubber) scrubber.style.pointerEvents = 'auto';
+        
+        // Update keyframe buttons to unlocked state
+        updateKeyframeButtonsLockState(slot, false);
+    }
+    
+    updateLoopControls(slot);
+    updateCrossfaderSideButton(slot);
+}
+
+// =================== INDIVIDUAL PLAY/PAUSE CONTROL ===================
+function togglePlayPause(slot) {
+    if (videos[slot] && !videos[slot].locked && previewPlayers[slot]) {
+        try {
+            const playPauseBtn = document.getElementById(`play-pause-${slot}`);
+            
+            // Get the actual player state
+            handlePlayerState(slot, previewPlayers[slot].getState(), playPauseBtn);
+            
+        } catch (error) {
+            console.log('Could not toggle play/pause for slot', slot, error);
+        }
+    }
+}
+
+function handlePlayerState(slot, playerState, playPauseBtn) {
+    console.log(`Player ${slot} state:`, playerState);
+    
+    if (playerState === PlayerAdapters.PlayerState.PLAYING) {
+        // Currently playing - pause both players
+        console.log(`Pausing slot ${slot}`);
+        if (!syncLocks[slot]) {
+            syncLocks[slot] = true;
+            previewPlayers[slot].pause();
+            
+            setTimeout(() => {
+                if (mainPlayers[slot]) {
+                    try {
+                        mainPlayers[slot].pause();
+                    } catch (error) {
+                        console.log('Could not pause main player');
+                    }
+                }
+                // Release lock
+                setTimeout(() => {
+                    syncLocks[slot] = false;
+                }, 50);
+            }, 25);
+        }
+        
+        // Update button to show play icon
+        updatePlayButtonState(slot, true);
+        
+    } else {
+        // Currently paused - play both players
+        console.log(`Playing slot ${slot}`);
+        if (!syncLocks[slot]) {
+            syncLocks[slot] = true;
+            previewPlayers[slot].play();
+            
+            setTimeout(() => {
+                if (mainPlayers[slot]) {
+                    try {
+                        const currentTime = previewPlayers[slot].getCurrentTime();
+                        mainPlayers[slot].seek(currentTime);
+                        mainPlayers[slot].play();
+                    } catch (error) {
+                        console.log('Could not play main player');
+                    }
+                }
+                // Release lock
+                setTimeout(() => {
+                    syncLocks[slot] = false;
+                }, 100);
+            }, 50);
+        }
+        
+        // Update button to show pause icon
+        updatePlayButtonState(slot, false);
+    }
+}
+
+// =================== VIDEO REMOVAL ===================
+function removeVideo(slot) {
+    console.log('Showing delete confirmation for slot:', slot);
+    if (isRecording) return;
+    
+    showDeleteConfirmation(slot);
+}
+
+function showDeleteConfirmation(slot) {
+    // Remove any existing confirmation modals
+    const existingModal = document.querySelector('.delete-confirmation-modal');
+    if (existingModal) {
+        existingModal.remove();
+    }
+    
+    const module = document.querySelector(`[data-slot="${slot}"]`);
+    const deleteBtn = module.querySelector('.remove-btn');
+    
+    if (!module || !deleteBtn) return;
+    
+    // Create confirmation modal
+    const modal = document.createElement('div');
+    modal.className = 'delete-confirmation-modal';
+    modal.innerHTML = `
+        <div class="delete-modal-content">
+            <div class="delete-modal-text">Delete video?</div>
+            <div class="delete-modal-buttons">
+                <button class="delete-modal-btn cancel" onclick="hideDeleteConfirmation()">No</button>
+                <button class="delete-modal-btn confirm" onclick="confirmDelete(${slot})">Yes</button>
+            </div>
+        </div>
+    `;
+    
+    // Position modal relative to delete button
+    const rect = deleteBtn.getBoundingClientRect();
+    modal.style.position = 'fixed';
+    modal.style.top = `${rect.top - 10}px`;
+    modal.style.left = `${rect.left - 60}px`;
+    modal.style.zIndex = '1001';
+    
+    document.body.appendChild(modal);
+}
+
+function hideDeleteConfirmation() {
+    const modal = document.querySelector('.delete-confirmation-modal');
+    if (modal) {
+        modal.remove();
+    }
+}
+
+function confirmDelete(slot) {
+    hideDeleteConfirmation();
+    actuallyRemoveVideo(slot);
+}
+
+function actuallyRemoveVideo(slot) {
+    console.log('Actually removing video from slot:', slot);
+    
+    // Clean up players, intervals and the main layer
+    clearSlotPlayers(slot);
+    
+    // Remove from data
+    if (videos[slot]) {
+        usedUrls.delete(videos[slot].url);
+        if (videos[slot].objectUrl) {
+            URL.revokeObjectURL(videos[slot].objectUrl);
+        }
+        videos[slot] = null;
+    }
+    
+    // Reset module
+    const module = document.querySelector(`[data-slot="${slot}"]`);
+    module.replaceWith(createEmptyModule(slot));
+    highlightKeyboardSlot();
+    
+    // Grid cells close up around the removed slot
+    applyCompositeLayout();
+    updatePreviewComposite();
+}
+
+function clearSlotPlayers(slot) {
+    if (previewPlayers[slot]) {
+        previewPlayers[slot].destroy();
+        delete previewPlayers[slot];
+    }
+    if (mainPlayers[slot]) {
+        mainPlayers[slot].destroy();
+        delete mainPlayers[slot];
+    }
+    if (updateIntervals[slot]) {
+        clearInterval(updateIntervals[slot]);
+        delete updateIntervals[slot];
+    }
+    
+    const mainLayer = document.getElementById(`main-layer-${slot}`);
+    if (mainLayer) {
+        mainLayer.remove();
+    }
+}
+
+function updatePreviewComposite() {
+    const previewContent = document.getElementById('preview-content');
+    const hasVideos = videos.some(v => v !== null);
+    
+    if (!hasVideos) {
+        // No videos - show starfield only if not already present
+        if (!document.getElementById('starfield-canvas')) {
+            previewContent.innerHTML = `
+                <canvas id="starfield-canvas"></canvas>
+            `;
+            // Reinitialize starfield
+            setTimeout(initializeStarfield, 100);
+        }
+    } else {
+        // Videos present - stop starfield and clear welcome content
+        stopStarfield();
+    }
+}
+
+// =================== ENHANCED RECORDING SYSTEM ===================
+function toggleRecording() {
+    if (isRecording || isCountdown) {
+        // Cannot stop during countdown or active recording
+        return;
+    } else {
+        startRecordingSession();
+    }
+}
+
+function pauseAllVideos() {
+    console.log('Pausing all videos for recording countdown...');
+    
+    videos.forEach((video, slot) => {
+        if (video) {
+            // Pause preview player
+            if (previewPlayers[slot]) {
+                try {
+                    previewPlayers[slot].pause();
+                    console.log(`Paused preview player ${slot} for countdown`);
+                } catch (error) {
+                    console.log(`Could not pause preview player ${slot}`);
+                }
+            }
+            
+            // Pause main player
+            if (mainPlayers[slot]) {
+                try {
+                    mainPlayers[slot].pause();
+                    console.log(`Paused main player ${slot} for countdown`);
+                } catch (error) {
+                    console.log(`Could not pause main player ${slot}`);
+                }
+            }
+            
+            // Update play button to show play icon (paused state)
+            updatePlayButtonState(slot, true);
+        }
+    });
+}
+
+function startRecordingSession(isRetake = false) {
+    const hasVideos = videos.some(v => v !== null);
+    if (!hasVideos) {
+        showErrorModal('Add at least one video to start splicing!');
+        return;
+    }
+
+    // Check that each loaded video has at least one keyframe set
+    const loadedVideos = videos.filter(v => v !== null);
+    const videosWithoutKeyframes = [];
+    
+    loadedVideos.forEach((video, index) => {
+        const actualSlot = videos.indexOf(video); // Get the actual slot number
+        const hasKeyframe = video.keyframes.some(keyframe => keyframe !== null);
+        if (!hasKeyframe) {
+            videosWithoutKeyframes.push(actualSlot + 1); // +1 for user-friendly numbering
+        }
+    });
+    
+    if (videosWithoutKeyframes.length > 0) {
+        const videoList = videosWithoutKeyframes.join(', ');
+        showErrorModal(`Please set at least one timestamp button in video slot${videosWithoutKeyframes.length > 1 ? 's' : ''}: ${videoList}`);
+        return;
+    }
+
+    console.log('Starting recording session...');
+    pushUndoSnapshot(isRetake ? 'retake' : (recordingSessions.length === 0 ? 'first take' : 'overdub'));
+    
+    // A retake rewinds to the sessions the pass started from
+    beginPassTake(isRetake);
+    
+    // Hide save button during recording process
+    const saveBtn = document.getElementById('save-btn');
+    saveBtn.style.display = 'none';
+    showLaneEditorButton(false);
+    showPunchControls(false);
+    
+    // First, pause all videos before countdown begins
+    pauseAllVideos();
+    
+    // Length and slot count are fixed from the first take on
+    const lengthSelect = document.getElementById('length-select');
+    if (lengthSelect) lengthSelect.disabled = true;
+    const slotCountSelect = document.getElementById('slot-count-select');
+    if (slotCountSelect) slotCountSelect.disabled = true;
+    const crossfaderCurve = document.getElementById('crossfader-curve');
+    if (crossfaderCurve) crossfaderCurve.disabled = true;
+    const crossfaderTarget = document.getElementById('crossfader-target');
+    if (crossfaderTarget) crossfaderTarget.disabled = true;
+    const muteVideoToggle = document.getElementById('mute-video-toggle');
+    if (muteVideoToggle) muteVideoToggle.disabled = true;
+    
+    // Determine if this is first session or overdub
+    const isFirstSession = recordingSessions.length === 0;
+    currentSession = recordingSessions.length + 1;
+    
+    // Overdubs can be limited to the punch range
+    activePunch = isFirstSession ? null : getPunchForNextPass();
+    recordingStartOffset = activePunch ? Math.max(0, activePunch.inMs - activePunch.preRollMs) : 0;
+    
+    // Update UI to show appropriate state
+    const recordBtn = document.getElementById('record-btn');
+    if (isFirstSession) {
+        recordBtn.textContent = 'Splicing...';
+        recordBtn.disabled = true;
+    } else {
+        recordBtn.textContent = 'Overdubbing...';
+        recordBtn.disabled = true;
+        // Start playback of previous sessions (controls unlock when actual recording starts)
+        startPlaybackMode();
+    }
+    
+    // Start countdown
+    startCountdown();
+    renderTakesPanel();
+}
+
+function startCountdown() {
+    isCountdown = true;
+    let countdown = 3;
+    
+    // Hide empty module slots during countdown so videos move to final positions
+    hideEmptyModuleSlots();
+    
+    // Create timer overlay with black background overlay
+    createTimerOverlay();
+    createCountdownBlackOverlay();
+    updateTimerDisplay(`${countdown}`, true); // true = countdown mode
+    
+    countdownInterval = setInterval(() => {
+        countdown--;
+        if (countdown > 0) {
+            updateTimerDisplay(`${countdown}`, true);
+        } else if (countdown === 0) {
+            updateTimerDisplay('GO!', true);
+            // Start fading out black overlay during "GO!" to compensate for slower transition
+            setTimeout(() => {
+                fadeOutBlackOverlay();
+            }, 300); // Start fade 300ms into "GO!" phase
+        } else {
+            // Countdown finished, start actual recording
+            clearInterval(countdownInterval);
+            isCountdown = false;
+            startActualRecording();
+        }
+    }, 1000);
+}
+
+function startActualRecording() {
+    console.log('Starting actual recording...');
+    isRecording = true;
+    // Timestamps are composition time, so a punched take starts part way in
+    recordingStartTime = Date.now() - recordingStartOffset;
+    
+    // Reset throttling timers for new recording session
+    lastRecordingTime = {};
+    
+    // Remove empty timestamp button spaces to prevent new timestamp creation
+    removeEmptyTimestampButtons();
+    
+    // Hide remove buttons permanently for this art piece
+    hideVideoRemoveButtons();
+    
+    // Empty slots already hidden during countdown
+    
+    // Set body attribute to hide remove buttons via CSS
+    document.body.setAttribute('data-recording-started', 'true');
+    
+    // If this is an overdub session, unlock controls now - a punched
+    // overdub waits for the punch-in point and only plays back before it
+    if (currentSession > 1) {
+        const preRollMs = activePunch ? activePunch.inMs - recordingStartOffset : 0;
+        if (preRollMs > 0) {
+            punchInTimeout = setTimeout(punchIn, preRollMs);
+        } else {
+            unlockControlsForOverdubbing();
+            // Set all timestamp buttons to orange (overdub initial state)
+            setTimestampButtonsOverdubState();
+        }
+    }
+    
+    // A punched take starts where the earlier sessions have each video
+    const startState = recordingStartOffset > 0 ?
+        CompositionEngine.getMixerState(getEngineComposition(), recordingStartOffset) : null;
+    
+    // Seek all loaded videos to their leftmost keyframe and start playing
+    videos.forEach((video, slot) => {
+        if (video && previewPlayers[slot]) {
+            // Find the leftmost (first) keyframe that has a time set
+            const leftmostKeyframe = startState && startState.slots[slot] ?
+                startState.slots[slot].position :
+                video.keyframes.find(keyframe => keyframe !== null);
+            
+            if (leftmostKeyframe !== undefined && leftmostKeyframe !== null) {
+                console.log(`Seeking slot ${slot} to ${leftmostKeyframe}s`);
+                
+                // Seek both players to the leftmost keyframe
+                if (previewPlayers[slot]) {
+                    previewPlayers[slot].seek(leftmostKeyframe);
+                    setTimeout(() => {
+                        previewPlayers[slot].play();
+                    }, 100);
+                }
+                
+                if (mainPlayers[slot]) {
+                    setTimeout(() => {
+                        mainPlayers[slot].seek(leftmostKeyframe);
+                        setTimeout(() => {
+                            mainPlayers[slot].play();
+                        }, 50);
+                    }, 50);
+                }
+                
+                // Update the video's current time
+                video.currentTime = leftmostKeyframe;
+            }
+        }
+    });
+
+    // Initialize recording data for this session
+    currentRecordingData = {
+        session: currentSession,
+        startTime: recordingStartTime,
+        duration: compositionDuration,
+        controlData: {},
+        masterData: CompositionEngine.createMasterControlData()
+    };
+    if (activePunch) {
+        currentRecordingData.punch = { inMs: activePunch.inMs, outMs: activePunch.outMs };
+    }
+    
+    // Initialize control data for each loaded video
+    videos.forEach((video, slot) => {
+        if (video) {
+            currentRecordingData.controlData[slot] = CompositionEngine.createSlotControlData();
+        }
+    });
+    
+    // The first take starts from whatever was set up beforehand
+    if (currentSession === 1) {
+        recordInitialLaneValues();
+    }
+    
+    // Start recording timer for the composition length (or up to punch-out)
+    const endTime = activePunch ? activePunch.outMs : compositionDuration;
+    let timeLeft = Math.round((endTime - recordingStartOffset) / 1000);
+    updateTimerDisplay(getRecordingTimerText(timeLeft), false); // false = recording mode
+    
+    recordingInterval = setInterval(() => {
+        timeLeft--;
+        updateTimerDisplay(getRecordingTimerText(Math.max(timeLeft, 0)), false);
+        
+        if (timeLeft <= 0 && !activePunch) {
+            stopRecording();
+        }
+    }, 1000);
+    
+    // Punch-out lands between timer ticks
+    if (activePunch) {
+        punchOutTimeout = setTimeout(stopRecording, endTime - recordingStartOffset);
+    }
+    
+    // Lock timeline scrubbers during recording (but allow other controls)
+    videos.forEach((video, slot) => {
+        if (video) {
             const scrubber = document.getElementById(`scrubber-${slot}`);
-            
-            if (volSlider) volSlider.disabled = true;
-            if (opcSlider) opcSlider.disabled = true;
-            if (linkButton) linkButton.disabled = true;
-            if (playPauseBtn) playPauseBtn.disabled = true;
             if (scrubber) scrubber.style.pointerEvents = 'none';
             
-        // Update keyframe buttons to locked state
-        updateKeyframeButtonsLockState(slot, true);
-        
-        } else {
-        // Unlock all controls
-        lockButton.classList.remove('active');
-            module.classList.remove('locked');
-            
-        // Enable sliders and controls
-            const volSlider = document.getElementById(`vol-${slot}`);
-            const opcSlider = document.getElementById(`opc-${slot}`);
-            const linkButton = document.getElementById(`link-${slot}`);
+            // Disable play/pause buttons during recording
             const playPauseBtn = document.getElementById(`play-pause-${slot}`);
+            if (playPauseBtn) {
+                playPauseBtn.disabled = true;
+                playPauseBtn.style.opacity = '0.5';
+                playPauseBtn.style.cursor = 'not-allowed';
+            }
+            
+            // Update visual state for overdub mode
+            if (currentSession > 1) {
+                updateControlVisualState(slot);
+            }
+        }
+    });
+    
+    console.log(`Started recording session ${currentSession}`);
+}
+
+function stopRecording() {
+    console.log('Stopping recording...');
+    isRecording = false;
+    
+    // Stop timers
+    if (recordingInterval) {
+        clearInterval(recordingInterval);
+        recordingInterval = null;
+    }
+    clearPunchTimers();
+    if (playbackInterval) {
+        clearInterval(playbackInterval);
+        playbackInterval = null;
+    }
+    
+    // Stop playback mode
+    isPlaybackMode = false;
+    hijackedControls.clear();
+    
+    // Pause all videos when recording ends
+    videos.forEach((video, slot) => {
+        if (video) {
+            if (previewPlayers[slot]) {
+                try {
+                    previewPlayers[slot].pause();
+                    console.log(`Paused preview player ${slot}`);
+                } catch (error) {
+                    console.log(`Could not pause preview player ${slot}`);
+                }
+            }
+            if (mainPlayers[slot]) {
+                try {
+                    mainPlayers[slot].pause();
+                    console.log(`Paused main player ${slot}`);
+                } catch (error) {
+                    console.log(`Could not pause main player ${slot}`);
+                }
+            }
+            
+            // Re-enable timeline scrubbers and play/pause buttons after recording
             const scrubber = document.getElementById(`scrubber-${slot}`);
+            if (scrubber) {
+                scrubber.style.pointerEvents = 'auto';
+            }
             
-            if (volSlider) volSlider.disabled = false;
-            if (opcSlider) opcSlider.disabled = false;
-            if (linkButton) linkButton.disabled = false;
-            if (playPauseBtn) playPauseBtn.disabled = false;
-            if (scrubber) scrubber.style.pointerEvents = 'auto';
-        
-        // Update keyframe buttons to unlocked state
-        updateKeyframeButtonsLockState(slot, false);
+            const playPauseBtn = document.getElementById(`play-pause-${slot}`);
+            if (playPauseBtn) {
+                playPauseBtn.disabled = false;
+                playPauseBtn.style.opacity = '1';
+                playPauseBtn.style.cursor = 'pointer';
+            }
+            
+            // Update play button to show play icon (paused state)
+            updatePlayButtonState(slot, true);
+        }
+    });
+    
+    // Save recording data
+    currentRecordingData.duration = Date.now() - recordingStartTime;
+    recordingSessions.push({...currentRecordingData});
+    
+    // Lock all controls between sessions (except during overdubbing)
+    lockAllControlsBetweenSessions();
+    
+    // Clear overdub visual states
+    clearOverdubVisualStates();
+    
+    // Update UI
+    const recordBtn = document.getElementById('record-btn');
+    recordBtn.textContent = recordingSessions.length === 1 ? 'Keep Splicing' : 'Keep Splicing';
+    recordBtn.disabled = false;
+    
+    // Show save button after first recording session
+    const saveBtn = document.getElementById('save-btn');
+    saveBtn.style.display = 'block';
+    saveBtn.disabled = false;
+    showLaneEditorButton(true);
+    
+    // Keep this take alongside the pass's earlier takes
+    registerPassTake();
+    activePunch = null;
+    recordingStartOffset = 0;
+    showPunchControls(true);
+    
+    // Remove timer overlay
+    removeTimerOverlay();
+    
+    console.log(`Completed recording session ${currentSession}:`, currentRecordingData);
+}
+
+// =================== UNDO / REDO HISTORY ===================
+// Snapshots of the recording state - sessions plus each slot's keyframes
+// and link/lock flags. One is taken before every take or overdub (so
+// hijack deletions come back too), every setup change and every lane edit.
+const MAX_HISTORY_SNAPSHOTS = 50;
+let undoStack = [];
+let redoStack = [];
+let isRestoringHistory = false;         // Restores reuse toggleLock, which would push again
+
+function captureRecordingSnapshot() {
+    return {
+        sessions: JSON.parse(JSON.stringify(recordingSessions)),
+        slots: videos.map(video => video ? {
+            keyframes: [...video.keyframes],
+            cueLabels: [...(video.cueLabels || [])],
+            loopRegion: video.loopRegion ? { ...video.loopRegion } : null,
+            crossfaderSide: video.crossfaderSide || null,
+            linked: video.linked,
+            volumeOpacityLinked: video.volumeOpacityLinked,
+            locked: video.locked
+        } : null),
+        takes: captureTakesSnapshot()
+    };
+}
+
+function pushUndoSnapshot(reason) {
+    // Changes made during a take are covered by the snapshot taken before it
+    if (isRecording || isRestoringHistory) return;
+    
+    undoStack.push(captureRecordingSnapshot());
+    if (undoStack.length > MAX_HISTORY_SNAPSHOTS) {
+        undoStack.shift();
     }
+    redoStack = [];
+    console.log(`Saved undo point: ${reason}`);
 }
 
-// =================== INDIVIDUAL PLAY/PAUSE CONTROL ===================
-function togglePlayPause(slot) {
-    if (videos[slot] && !videos[slot].locked && previewPlayers[slot]) {
-        try {
-            const playPauseBtn = document.getElementById(`play-pause-${slot}`);
-            
-            // Get the actual player state
-            previewPlayers[slot].getPlayerState().then ? 
-                previewPlayers[slot].getPlayerState().then(state => handlePlayerState(slot, state, playPauseBtn)) :
-                handlePlayerState(slot, previewPlayers[slot].getPlayerState(), playPauseBtn);
-                
-        } catch (error) {
-            console.log('Could not toggle play/pause for slot', slot, error);
-        }
+function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+}
+
+function undoRecordingChange() {
+    stepRecordingHistory(undoStack, redoStack, 'Undo');
+}
+
+function redoRecordingChange() {
+    stepRecordingHistory(redoStack, undoStack, 'Redo');
+}
+
+function stepRecordingHistory(fromStack, toStack, label) {
+    if (isRecording || isCountdown || fromStack.length === 0) return;
+    
+    toStack.push(captureRecordingSnapshot());
+    isRestoringHistory = true;
+    try {
+        restoreRecordingSnapshot(fromStack.pop());
+    } finally {
+        isRestoringHistory = false;
     }
+    console.log(`${label}: now at ${recordingSessions.length} session(s)`);
 }
 
-function handlePlayerState(slot, playerState, playPauseBtn) {
-    console.log(`Player ${slot} state:`, playerState);
+function restoreRecordingSnapshot(snapshot) {
+    const hadSessions = recordingSessions.length > 0;
     
-    if (playerState === YT.PlayerState.PLAYING) {
-        // Currently playing - pause both players
-        console.log(`Pausing slot ${slot}`);
-        if (!syncLocks[slot]) {
-            syncLocks[slot] = true;
-            previewPlayers[slot].pauseVideo();
-            
-            setTimeout(() => {
-                if (mainPlayers[slot]) {
-                    try {
-                        mainPlayers[slot].pauseVideo();
-                    } catch (error) {
-                        console.log('Could not pause main player');
-                    }
-                }
-                // Release lock
-                setTimeout(() => {
-                    syncLocks[slot] = false;
-                }, 50);
-            }, 25);
+    closeLaneEditor();
+    recordingSessions = snapshot.sessions;
+    currentSession = recordingSessions.length;
+    restoreTakesSnapshot(snapshot.takes);
+    
+    snapshot.slots.forEach((slotState, slot) => {
+        const video = videos[slot];
+        if (!slotState || !video) return;
+        
+        video.keyframes = [...slotState.keyframes];
+        video.cueLabels = [...slotState.cueLabels];
+        video.loopRegion = slotState.loopRegion ? { ...slotState.loopRegion } : null;
+        if (!CompositionEngine.normalizeLoopRegion(video.loopRegion)) {
+            setSlotLoop(slot, false);
+        }
+        if (video.crossfaderSide !== slotState.crossfaderSide) {
+            video.crossfaderSide = slotState.crossfaderSide;
+            updateAllLayersOpacity(slot, video.opacity);
+            updateAllPlayersVolume(slot, video.volume);
         }
         
-        // Update button to show play icon
-        updatePlayButtonState(slot, true);
+        video.linked = slotState.linked;
+        const linkBtn = document.getElementById(`link-${slot}`);
+        const module = document.querySelector(`.video-module[data-slot="${slot}"]`);
+        if (linkBtn) linkBtn.classList.toggle('active', video.linked);
+        if (module) module.classList.toggle('linked', video.linked);
+        
+        // toggleLock owns the lock visuals and control states
+        if (video.locked !== slotState.locked) {
+            toggleLock(slot);
+        }
+        video.volumeOpacityLinked = slotState.volumeOpacityLinked;
+        updateVolumeOpacityLinkVisual(slot);
         
+        renderCueButtons(slot);
+    });
+    
+    refreshSessionControls(hadSessions);
+}
+
+// Put the recording controls in the state that matches recordingSessions
+function refreshSessionControls(hadSessions) {
+    const recordBtn = document.getElementById('record-btn');
+    const saveBtn = document.getElementById('save-btn');
+    
+    if (recordingSessions.length > 0) {
+        lockAllControlsBetweenSessions();
+        recordBtn.textContent = 'Keep Splicing';
+        saveBtn.style.display = 'block';
+        saveBtn.disabled = false;
+        showLaneEditorButton(true);
+        showPunchControls(true);
     } else {
-        // Currently paused - play both players
-        console.log(`Playing slot ${slot}`);
-        if (!syncLocks[slot]) {
-            syncLocks[slot] = true;
-            previewPlayers[slot].playVideo();
-            
-            setTimeout(() => {
-                if (mainPlayers[slot]) {
-                    try {
-                        const currentTime = previewPlayers[slot].getCurrentTime();
-                        mainPlayers[slot].seekTo(currentTime);
-                        mainPlayers[slot].playVideo();
-                    } catch (error) {
-                        console.log('Could not play main player');
-                    }
-                }
-                // Release lock
-                setTimeout(() => {
-                    syncLocks[slot] = false;
-                }, 100);
-            }, 50);
+        recordBtn.textContent = 'Splice';
+        saveBtn.style.display = 'none';
+        saveBtn.disabled = true;
+        showLaneEditorButton(false);
+        showPunchControls(false);
+        
+        // Undoing the first take goes back to setup
+        if (hadSessions) {
+            unlockControlsForSetup();
         }
+    }
+    
+    updateLengthSelect();
+    updateSlotCountSelect();
+    updateCrossfaderControls();
+    updateLayoutControls();
+    updateMuteVideoToggle();
+}
+
+function unlockControlsForSetup() {
+    setMasterControlsDisabled(false);
+    
+    videos.forEach((video, slot) => {
+        if (!video) return;
         
-        // Update button to show pause icon
-        updatePlayButtonState(slot, false);
+        // Locked modules keep their controls disabled
+        const enabled = !video.locked;
+        const volSlider = document.getElementById(`vol-${slot}`);
+        const opcSlider = document.getElementById(`opc-${slot}`);
+        const linkButton = document.getElementById(`link-${slot}`);
+        const lockButton = document.getElementById(`lock-${slot}`);
+        const playPauseBtn = document.getElementById(`play-pause-${slot}`);
+        const scrubber = document.getElementById(`scrubber-${slot}`);
+        
+        if (volSlider) volSlider.disabled = !enabled;
+        if (opcSlider) opcSlider.disabled = !enabled;
+        getEffectControls(slot).forEach(control => control.disabled = !enabled);
+        if (linkButton) linkButton.disabled = !enabled;
+        if (lockButton) lockButton.disabled = false;
+        if (playPauseBtn) playPauseBtn.disabled = !enabled;
+        if (scrubber) scrubber.style.pointerEvents = enabled ? 'auto' : 'none';
+        
+        const module = document.querySelector(`[data-slot="${slot}"]`);
+        if (module) {
+            module.classList.remove('locked-between-sessions');
+        }
+    });
+    
+    showVideoRemoveButtons();
+    showEmptyModuleSlots();
+    document.body.removeAttribute('data-recording-started');
+}
+
+function handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    
+    // Leave text fields their own undo
+    const target = event.target;
+    if (target && (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && target.type !== 'range'))) return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoRecordingChange();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redoRecordingChange();
     }
 }
 
-// =================== VIDEO REMOVAL ===================
-function removeVideo(slot) {
-    console.log('Showing delete confirmation for slot:', slot);
-    if (isRecording) return;
+// =================== PUNCH IN / OUT ===================
+// An overdub can be limited to a window of the composition. It starts
+// preRollMs before punch-in with the controls locked (earlier sessions
+// just play back), records from punch-in and stops at punch-out. The
+// session keeps the window as `punch`, and the engine only lets it
+// override earlier sessions inside it.
+const PUNCH_MIN_RANGE_MS = 1000;
+const PUNCH_SNAP_MS = 100;
+const PUNCH_PRE_ROLL_OPTIONS_MS = [0, 1000, 2000, 4000];
+
+let punchEnabled = false;
+let punchRange = null;                 // { inMs, outMs, preRollMs }
+let activePunch = null;                // Range of the overdub being recorded
+let punchInTimeout = null;
+let punchOutTimeout = null;
+let punchDrag = null;                  // Marker being dragged: 'in' or 'out'
+
+function getPunchForNextPass() {
+    return punchEnabled && punchRange ? { ...punchRange } : null;
+}
+
+// Controls unlock at the punch-in point
+function punchIn() {
+    punchInTimeout = null;
+    if (!isRecording) return;
     
-    showDeleteConfirmation(slot);
+    console.log(`Punched in at ${activePunch.inMs}ms`);
+    unlockControlsForOverdubbing();
+    setTimestampButtonsOverdubState();
+    
+    // Scrubbers and play/pause stay locked for the rest of the take
+    videos.forEach((video, slot) => {
+        if (!video) return;
+        const scrubber = document.getElementById(`scrubber-${slot}`);
+        if (scrubber) scrubber.style.pointerEvents = 'none';
+        const playPauseBtn = document.getElementById(`play-pause-${slot}`);
+        if (playPauseBtn) playPauseBtn.disabled = true;
+        updateControlVisualState(slot);
+    });
 }
 
-function showDeleteConfirmation(slot) {
-    // Remove any existing confirmation modals
-    const existingModal = document.querySelector('.delete-confirmation-modal');
-    if (existingModal) {
-        existingModal.remove();
+function isPunchPreRoll() {
+    return isRecording && !!activePunch && Date.now() - recordingStartTime < activePunch.inMs;
+}
+
+function clearPunchTimers() {
+    if (punchInTimeout) {
+        clearTimeout(punchInTimeout);
+        punchInTimeout = null;
+    }
+    if (punchOutTimeout) {
+        clearTimeout(punchOutTimeout);
+        punchOutTimeout = null;
     }
+}
+
+function getRecordingTimerText(timeLeft) {
+    if (isPunchPreRoll()) {
+        const untilPunchIn = Math.ceil((activePunch.inMs - (Date.now() - recordingStartTime)) / 1000);
+        return `IN ${untilPunchIn}`;
+    }
+    return `${timeLeft}s`;
+}
+
+function togglePunch() {
+    if (isRecording || isCountdown) return;
     
-    const module = document.querySelector(`[data-slot="${slot}"]`);
-    const deleteBtn = module.querySelector('.remove-btn');
+    punchEnabled = !punchEnabled;
+    if (punchEnabled && !punchRange) {
+        punchRange = {
+            inMs: snapPunchTime(compositionDuration * 0.25),
+            outMs: snapPunchTime(compositionDuration * 0.75),
+            preRollMs: 2000
+        };
+    }
+    console.log(`Punch recording ${punchEnabled ? 'on' : 'off'}`);
+    renderPunchPanel();
+}
+
+// Punch only applies to overdubs, so it appears after the first take
+function showPunchControls(visible) {
+    const punchBtn = document.getElementById('punch-btn');
+    if (punchBtn) punchBtn.style.display = visible ? 'block' : 'none';
     
-    if (!module || !deleteBtn) return;
+    if (visible) {
+        renderPunchPanel();
+    } else {
+        const panel = document.getElementById('punch-panel');
+        if (panel) panel.style.display = 'none';
+    }
+}
+
+function resetPunch() {
+    clearPunchTimers();
+    punchEnabled = false;
+    punchRange = null;
+    activePunch = null;
+    recordingStartOffset = 0;
+    showPunchControls(false);
+}
+
+function renderPunchPanel() {
+    const punchBtn = document.getElementById('punch-btn');
+    if (punchBtn) punchBtn.classList.toggle('active', punchEnabled);
+    
+    const panel = document.getElementById('punch-panel');
+    if (!panel) return;
+    panel.style.display = punchEnabled ? 'block' : 'none';
+    if (!punchEnabled || !punchRange) return;
+    
+    const preRollSelect = document.getElementById('punch-pre-roll');
+    if (preRollSelect) {
+        preRollSelect.innerHTML = PUNCH_PRE_ROLL_OPTIONS_MS.map(ms =>
+            `<option value="${ms}"${ms === punchRange.preRollMs ? ' selected' : ''}>${ms === 0 ? 'No pre-roll' : `${ms / 1000}s pre-roll`}</option>`
+        ).join('');
+    }
+    
+    const label = document.getElementById('punch-range-label');
+    if (label) {
+        label.textContent = `${formatPunchTime(punchRange.inMs)} – ${formatPunchTime(punchRange.outMs)}`;
+    }
+    
+    const inPercent = punchRange.inMs / compositionDuration * 100;
+    const outPercent = punchRange.outMs / compositionDuration * 100;
+    const range = document.getElementById('punch-range');
+    if (range) {
+        range.style.left = `${inPercent}%`;
+        range.style.width = `${outPercent - inPercent}%`;
+    }
+    const inMarker = document.getElementById('punch-in-marker');
+    if (inMarker) inMarker.style.left = `${inPercent}%`;
+    const outMarker = document.getElementById('punch-out-marker');
+    if (outMarker) outMarker.style.left = `${outPercent}%`;
+}
+
+function setPunchPreRoll(value) {
+    if (!punchRange) return;
+    punchRange.preRollMs = parseInt(value) || 0;
+}
+
+// "0:12.5"
+function formatPunchTime(timeMs) {
+    return `${CompositionEngine.formatDuration(Math.floor(timeMs / 1000) * 1000)}.${Math.floor(timeMs % 1000 / 100)}`;
+}
+
+function snapPunchTime(timeMs) {
+    return Math.round(timeMs / PUNCH_SNAP_MS) * PUNCH_SNAP_MS;
+}
+
+function startPunchMarkerDrag(event, marker) {
+    if (isRecording || isCountdown) return;
+    event.preventDefault();
+    punchDrag = marker;
+    document.addEventListener('mousemove', handlePunchMarkerDrag);
+    document.addEventListener('mouseup', stopPunchMarkerDrag);
+}
+
+function handlePunchMarkerDrag(event) {
+    const strip = document.getElementById('punch-strip');
+    if (!punchDrag || !strip || !punchRange) return;
+    
+    const rect = strip.getBoundingClientRect();
+    const ratio = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    const time = snapPunchTime(ratio * compositionDuration);
+    
+    if (punchDrag === 'in') {
+        punchRange.inMs = Math.max(0, Math.min(time, punchRange.outMs - PUNCH_MIN_RANGE_MS));
+    } else {
+        punchRange.outMs = Math.min(compositionDuration, Math.max(time, punchRange.inMs + PUNCH_MIN_RANGE_MS));
+    }
+    renderPunchPanel();
+}
+
+function stopPunchMarkerDrag() {
+    punchDrag = null;
+    document.removeEventListener('mousemove', handlePunchMarkerDrag);
+    document.removeEventListener('mouseup', stopPunchMarkerDrag);
+}
+
+// =================== TEMPO & QUANTIZE ===================
+// Optional BPM for the composition. It draws a bar/beat grid under the
+// recording timer and lets takes snap jumps (and optionally slider
+// moves) to the nearest grid line as they are recorded.
+const TAP_TEMPO_RESET_MS = 2000;        // A pause this long starts a new tap sequence
+const TAP_TEMPO_MAX_TAPS = 8;
+
+let compositionBpm = null;              // Beats per minute, null when no tempo is set
+let quantizeDivision = 'off';           // Key of CompositionEngine.QUANTIZE_DIVISIONS, or 'off'
+let quantizeSliders = false;            // Snap slider moves too, not just jumps
+let tapTempoTimes = [];
+let beatGridFrame = null;
+
+function setCompositionBpm(value) {
+    compositionBpm = value === '' ? null : CompositionEngine.normalizeBpm(value);
+    console.log(`Tempo ${compositionBpm ? `set to ${compositionBpm} BPM` : 'cleared'}`);
+    updateTempoControls();
+}
+
+function tapTempo() {
+    const now = Date.now();
+    if (tapTempoTimes.length > 0 && now - tapTempoTimes[tapTempoTimes.length - 1] > TAP_TEMPO_RESET_MS) {
+        tapTempoTimes = [];
+    }
+    tapTempoTimes.push(now);
+    if (tapTempoTimes.length > TAP_TEMPO_MAX_TAPS) {
+        tapTempoTimes.shift();
+    }
+    
+    // Average the gaps between taps once there are two
+    if (tapTempoTimes.length > 1) {
+        const span = tapTempoTimes[tapTempoTimes.length - 1] - tapTempoTimes[0];
+        setCompositionBpm(60000 / (span / (tapTempoTimes.length - 1)));
+    }
+}
+
+function setQuantizeDivision(value) {
+    quantizeDivision = CompositionEngine.QUANTIZE_DIVISIONS[value] ? value : 'off';
+    updateTempoControls();
+}
+
+function setQuantizeSliders(checked) {
+    quantizeSliders = !!checked;
+}
+
+function updateTempoControls() {
+    const bpmInput = document.getElementById('bpm-input');
+    if (bpmInput && document.activeElement !== bpmInput) {
+        bpmInput.value = compositionBpm || '';
+    }
+    
+    const quantizeSelect = document.getElementById('quantize-select');
+    if (quantizeSelect) {
+        quantizeSelect.innerHTML = '<option value="off">No quantize</option>' +
+            Object.keys(CompositionEngine.QUANTIZE_DIVISIONS).map(division =>
+                `<option value="${division}"${division === quantizeDivision ? ' selected' : ''}>Quantize ${CompositionEngine.QUANTIZE_DIVISIONS[division].label}</option>`
+            ).join('');
+        quantizeSelect.disabled = !compositionBpm;
+    }
+    
+    const slidersToggle = document.getElementById('quantize-sliders');
+    if (slidersToggle) {
+        slidersToggle.checked = quantizeSliders;
+        slidersToggle.disabled = !getQuantizeGridMs();
+    }
+}
+
+function getQuantizeGridMs() {
+    if (!compositionBpm || quantizeDivision === 'off') return null;
+    return CompositionEngine.getGridMs(compositionBpm, quantizeDivision);
+}
+
+// Recording time for a new point, snapped when quantize applies to its lane
+function quantizeRecordedTime(timestamp, controlType) {
+    const gridMs = getQuantizeGridMs();
+    if (!gridMs || (controlType !== CompositionEngine.EVENT_LANE && !quantizeSliders)) return timestamp;
+    
+    // Never snap back out of a punch window
+    const earliest = activePunch ? activePunch.inMs : 0;
+    return Math.max(earliest, CompositionEngine.quantizeTime(timestamp, gridMs));
+}
+
+function resetTempo() {
+    compositionBpm = null;
+    quantizeDivision = 'off';
+    quantizeSliders = false;
+    tapTempoTimes = [];
+    updateTempoControls();
+}
+
+// =================== BEAT GRID ===================
+function createBeatGrid() {
+    removeBeatGrid();
+    if (!compositionBpm) return;
+    
+    const previewContent = document.getElementById('preview-content');
+    const grid = document.createElement('div');
+    grid.id = 'beat-grid';
+    grid.className = 'beat-grid';
+    grid.innerHTML = `
+        <div class="beat-grid-pulse" id="beat-grid-pulse"></div>
+        <canvas class="beat-grid-canvas" id="beat-grid-canvas"></canvas>
+    `;
+    previewContent.appendChild(grid);
+    
+    beatGridFrame = requestAnimationFrame(drawBeatGrid);
+}
+
+function drawBeatGrid() {
+    const canvas = document.getElementById('beat-grid-canvas');
+    if (!canvas) {
+        beatGridFrame = null;
+        return;
+    }
+    
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+    
+    const context = canvas.getContext('2d');
+    const beatMs = CompositionEngine.getBeatMs(compositionBpm);
+    const elapsed = isRecording ? Date.now() - recordingStartTime : 0;
+    const toX = timeMs => timeMs / compositionDuration * width;
+    
+    context.clearRect(0, 0, width, height);
+    
+    // Bars are full height, beats half height
+    for (let beat = 0; beat * beatMs <= compositionDuration; beat++) {
+        const isBar = beat % CompositionEngine.BEATS_PER_BAR === 0;
+        const x = Math.round(toX(beat * beatMs)) + 0.5;
+        context.strokeStyle = isBar ? 'rgba(255, 255, 255, 0.8)' : 'rgba(255, 255, 255, 0.3)';
+        context.beginPath();
+        context.moveTo(x, isBar ? 0 : height / 2);
+        context.lineTo(x, height);
+        context.stroke();
+    }
+    
+    if (activePunch) {
+        context.fillStyle = 'rgba(255, 71, 87, 0.25)';
+        context.fillRect(toX(activePunch.inMs), 0, toX(activePunch.outMs - activePunch.inMs), height);
+    }
+    
+    context.fillStyle = '#ff4757';
+    context.fillRect(toX(elapsed) - 1, 0, 2, height);
+    
+    // Flash on every beat, brighter on the downbeat
+    const pulse = document.getElementById('beat-grid-pulse');
+    if (pulse && isRecording) {
+        const beatIndex = Math.floor(elapsed / beatMs);
+        const sinceBeat = elapsed - beatIndex * beatMs;
+        pulse.classList.toggle('on', sinceBeat < 120);
+        pulse.classList.toggle('downbeat', beatIndex % CompositionEngine.BEATS_PER_BAR === 0);
+    }
+    
+    beatGridFrame = requestAnimationFrame(drawBeatGrid);
+}
+
+function removeBeatGrid() {
+    if (beatGridFrame) {
+        cancelAnimationFrame(beatGridFrame);
+        beatGridFrame = null;
+    }
+    const grid = document.getElementById('beat-grid');
+    if (grid) {
+        grid.remove();
+    }
+}
+
+// =================== CROSSFADER ===================
+// Each slot can sit on side A or B of the crossfader (or on neither).
+// The crossfader scales the opacity and/or volume of the two sides
+// against each other on top of the slots' own sliders, so moving it
+// never moves a slot slider and a slot hijack stays a slot hijack. Its
+// moves are recorded on the session's master `crossfader` lane; the
+// curve and target are set before the first take and saved with the cut.
+let crossfaderPosition = 50;            // 0 = all A, 100 = all B
+let crossfaderSettings = CompositionEngine.normalizeCrossfader(null);
+
+function updateCrossfader(value) {
+    setCrossfaderPosition(value);
+    
+    // Handle hijacking during playback mode
+    if (isPlaybackMode) {
+        hijackMasterControl('crossfader');
+    }
+    
+    if (isRecording) {
+        recordMasterChangeThrottled('crossfader', crossfaderPosition);
+    }
+}
+
+// Move the crossfader and re-apply every assigned slot's output levels
+function setCrossfaderPosition(value) {
+    crossfaderPosition = Math.max(0, Math.min(100, parseInt(value)));
+    setMasterControlValue('crossfader', crossfaderPosition);
+    
+    videos.forEach((video, slot) => {
+        if (!video || !video.crossfaderSide) return;
+        updateAllLayersOpacity(slot, video.opacity);
+        updateAllPlayersVolume(slot, video.volume);
+    });
+}
+
+// Side button cycles: neither -> A -> B -> neither
+function cycleCrossfaderSide(slot) {
+    const video = videos[slot];
+    if (!video || video.locked || !canAddCue()) return;
     
-    // Create confirmation modal
-    const modal = document.createElement('div');
-    modal.className = 'delete-confirmation-modal';
-    modal.innerHTML = `
-        <div class="delete-modal-content">
-            <div class="delete-modal-text">Delete video?</div>
-            <div class="delete-modal-buttons">
-                <button class="delete-modal-btn cancel" onclick="hideDeleteConfirmation()">No</button>
-                <button class="delete-modal-btn confirm" onclick="confirmDelete(${slot})">Yes</button>
-            </div>
-        </div>
-    `;
+    pushUndoSnapshot('crossfader side');
+    const sides = [null, ...CompositionEngine.CROSSFADER_SIDES];
+    video.crossfaderSide = sides[(sides.indexOf(video.crossfaderSide || null) + 1) % sides.length];
+    console.log(`Slot ${slot} crossfader side: ${video.crossfaderSide || 'none'}`);
     
-    // Position modal relative to delete button
-    const rect = deleteBtn.getBoundingClientRect();
-    modal.style.position = 'fixed';
-    modal.style.top = `${rect.top - 10}px`;
-    modal.style.left = `${rect.left - 60}px`;
-    modal.style.zIndex = '1001';
+    updateCrossfaderSideButton(slot);
+    setCrossfaderPosition(crossfaderPosition);
+    updateAllLayersOpacity(slot, video.opacity);
+    updateAllPlayersVolume(slot, video.volume);
+}
+
+function updateCrossfaderSideButton(slot) {
+    const sideBtn = document.getElementById(`xfade-side-${slot}`);
+    const video = videos[slot];
+    if (!sideBtn || !video) return;
     
-    document.body.appendChild(modal);
+    const side = video.crossfaderSide || null;
+    sideBtn.textContent = side ? side.toUpperCase() : '–';
+    sideBtn.classList.toggle('side-a', side === 'a');
+    sideBtn.classList.toggle('side-b', side === 'b');
+    sideBtn.disabled = video.locked || !canAddCue();
+    sideBtn.title = side ? `Crossfader side ${side.toUpperCase()} (set before the first take)` : 'Not on the crossfader (click for side A)';
 }
 
-function hideDeleteConfirmation() {
-    const modal = document.querySelector('.delete-confirmation-modal');
-    if (modal) {
-        modal.remove();
-    }
+function setCrossfaderCurve(value) {
+    crossfaderSettings = CompositionEngine.normalizeCrossfader({ ...crossfaderSettings, curve: value });
+    setCrossfaderPosition(crossfaderPosition);
 }
 
-function confirmDelete(slot) {
-    hideDeleteConfirmation();
-    actuallyRemoveVideo(slot);
+function setCrossfaderTarget(value) {
+    crossfaderSettings = CompositionEngine.normalizeCrossfader({ ...crossfaderSettings, target: value });
+    
+    // Levels the crossfader no longer drives go back to the slot values
+    videos.forEach((video, slot) => {
+        if (!video) return;
+        updateAllLayersOpacity(slot, video.opacity);
+        updateAllPlayersVolume(slot, video.volume);
+    });
 }
 
-function actuallyRemoveVideo(slot) {
-    console.log('Actually removing video from slot:', slot);
+function updateCrossfaderControls() {
+    const setupOnly = !isRecording && !isCountdown && recordingSessions.length === 0;
     
-    // Clean up players and intervals
-    if (previewPlayers[slot]) {
-        previewPlayers[slot].destroy();
-        delete previewPlayers[slot];
-    }
-    if (mainPlayers[slot]) {
-        mainPlayers[slot].destroy();
-        delete mainPlayers[slot];
-    }
-    if (updateIntervals[slot]) {
-        clearInterval(updateIntervals[slot]);
-        delete updateIntervals[slot];
+    const curveSelect = document.getElementById('crossfader-curve');
+    if (curveSelect) {
+        curveSelect.innerHTML = Object.keys(CompositionEngine.CROSSFADER_CURVES).map(curve =>
+            `<option value="${curve}"${curve === crossfaderSettings.curve ? ' selected' : ''}>${CompositionEngine.CROSSFADER_CURVES[curve]}</option>`
+        ).join('');
+        curveSelect.disabled = !setupOnly;
     }
     
-    // Remove from data
-    if (videos[slot]) {
-        usedUrls.delete(videos[slot].url);
-        videos[slot] = null;
+    const targetSelect = document.getElementById('crossfader-target');
+    if (targetSelect) {
+        targetSelect.innerHTML = Object.keys(CompositionEngine.CROSSFADER_TARGETS).map(target =>
+            `<option value="${target}"${target === crossfaderSettings.target ? ' selected' : ''}>${CompositionEngine.CROSSFADER_TARGETS[target]}</option>`
+        ).join('');
+        targetSelect.disabled = !setupOnly;
     }
     
-    // Remove main layer
-    const mainLayer = document.getElementById(`main-layer-${slot}`);
-    if (mainLayer) {
-        mainLayer.remove();
+    const slider = document.getElementById('crossfader-slider');
+    if (slider) slider.value = crossfaderPosition;
+}
+
+function resetCrossfader() {
+    crossfaderPosition = 50;
+    crossfaderSettings = CompositionEngine.normalizeCrossfader(null);
+    updateCrossfaderControls();
+}
+
+// =================== MASTER BUS ===================
+// Master volume scales every slot's audio on top of its slider (and the
+// crossfader), and the master fade dips the whole composite to black or
+// white through a layer above every slot. Both are recorded on the
+// session's master lanes like the crossfader, and hijack the same way.
+let masterVolume = 100;
+let masterFade = 0;                     // 0 = clear, 100 = fully faded
+let masterFadeColor = 'black';          // Key of CompositionEngine.FADE_COLORS
+
+function updateMasterVolume(value) {
+    setMasterVolume(value);
+    if (isPlaybackMode) {
+        hijackMasterControl('masterVolume');
+    }
+    if (isRecording) {
+        recordMasterChangeThrottled('masterVolume', masterVolume);
     }
-    
-    // Reset module
-    const module = document.querySelector(`[data-slot="${slot}"]`);
-    module.className = 'video-module empty';
-    module.innerHTML = '<div class="add-icon">+</div>';
-    module.onclick = () => openModal(slot);
-    
-    updatePreviewComposite();
 }
 
-function updatePreviewComposite() {
-    const previewContent = document.getElementById('preview-content');
-    const hasVideos = videos.some(v => v !== null);
-    
-    if (!hasVideos) {
-        // No videos - show starfield only if not already present
-        if (!document.getElementById('starfield-canvas')) {
-            previewContent.innerHTML = `
-                <canvas id="starfield-canvas"></canvas>
-            `;
-            // Reinitialize starfield
-            setTimeout(initializeStarfield, 100);
-        }
-    } else {
-        // Videos present - stop starfield and clear welcome content
-        stopStarfield();
+function updateMasterFade(value) {
+    setMasterFade(value);
+    if (isPlaybackMode) {
+        hijackMasterControl('fade');
+    }
+    if (isRecording) {
+        recordMasterChangeThrottled('fade', masterFade);
     }
 }
 
-// =================== ENHANCED RECORDING SYSTEM ===================
-function toggleRecording() {
-    if (isRecording || isCountdown) {
-        // Cannot stop during countdown or active recording
-        return;
-    } else {
-        startRecordingSession();
+function updateMasterFadeColor(value) {
+    setMasterFadeColor(value);
+    if (isPlaybackMode) {
+        hijackMasterControl('fadeColor');
+    }
+    
+    if (isRecording) {
+        recordMasterChange('fadeColor', masterFadeColor);
     }
 }
 
-function pauseAllVideos() {
-    console.log('Pausing all videos for recording countdown...');
+function setMasterVolume(value) {
+    masterVolume = Math.max(0, Math.min(100, parseInt(value)));
+    setMasterControlValue('masterVolume', masterVolume);
     
     videos.forEach((video, slot) => {
-        if (video) {
-            // Pause preview player
-            if (previewPlayers[slot]) {
-                try {
-                    previewPlayers[slot].pauseVideo();
-                    console.log(`Paused preview player ${slot} for countdown`);
-                } catch (error) {
-                    console.log(`Could not pause preview player ${slot}`);
-                }
-            }
-            
-            // Pause main player
-            if (mainPlayers[slot]) {
-                try {
-                    mainPlayers[slot].pauseVideo();
-                    console.log(`Paused main player ${slot} for countdown`);
-                } catch (error) {
-                    console.log(`Could not pause main player ${slot}`);
-                }
-            }
-            
-            // Update play button to show play icon (paused state)
-            updatePlayButtonState(slot, true);
-        }
+        if (video) updateAllPlayersVolume(slot, video.volume);
     });
 }
 
-function startRecordingSession() {
-    const hasVideos = videos.some(v => v !== null);
-    if (!hasVideos) {
-        showErrorModal('Add at least one video to start splicing!');
-        return;
-    }
+function setMasterFade(value) {
+    masterFade = Math.max(0, Math.min(100, parseInt(value)));
+    setMasterControlValue('fade', masterFade);
+    applyMasterFade();
+}
 
-    // Check that each loaded video has at least one keyframe set
-    const loadedVideos = videos.filter(v => v !== null);
-    const videosWithoutKeyframes = [];
-    
-    loadedVideos.forEach((video, index) => {
-        const actualSlot = videos.indexOf(video); // Get the actual slot number
-        const hasKeyframe = video.keyframes.some(keyframe => keyframe !== null);
-        if (!hasKeyframe) {
-            videosWithoutKeyframes.push(actualSlot + 1); // +1 for user-friendly numbering
+function setMasterFadeColor(value) {
+    masterFadeColor = CompositionEngine.FADE_COLORS[value] ? value : 'black';
+    setMasterControlValue('fadeColor', masterFadeColor);
+    applyMasterFade();
+}
+
+// The fade layer is created on demand - the composite is rebuilt when videos come and go
+function applyMasterFade() {
+    const previewContent = document.getElementById('preview-content');
+    if (!previewContent) return;
+    
+    let overlay = document.getElementById('master-fade-overlay');
+    if (!overlay) {
+        if (masterFade === 0) return;
+        overlay = document.createElement('div');
+        overlay.id = 'master-fade-overlay';
+        overlay.className = 'master-fade-overlay';
+        overlay.style.zIndex = CompositionEngine.getFadeZIndex();
+        previewContent.appendChild(overlay);
+    }
+    overlay.style.background = CompositionEngine.getFadeColor(masterFadeColor);
+    overlay.style.opacity = masterFade / 100;
+}
+
+// A slot's volume or opacity as its player or layer should get it
+function getOutputLevel(slot, lane, value) {
+    const side = videos[slot] ? videos[slot].crossfaderSide : null;
+    const level = CompositionEngine.getOutputLevel(value, lane, side, getMasterValues(), crossfaderSettings);
+    return CompositionEngine.applyMuteSolo(level, lane, isLiveSlotSilenced(slot), muteVideo);
+}
+
+function getMasterValues() {
+    return {
+        crossfader: crossfaderPosition,
+        masterVolume: masterVolume,
+        fade: masterFade,
+        fadeColor: masterFadeColor,
+        layerOrder: layerOrder,
+        layout: compositeLayout
+    };
+}
+
+// Apply recorded master lanes; during overdubs a hijacked control keeps the live value
+function applyMasterState(master, isOverdub = false) {
+    Object.keys(master).forEach(lane => {
+        const element = getMasterControlElement(lane);
+        if (isOverdub) {
+            if (element && element.classList.contains('hijacked')) return;
+            if (element) element.classList.add('playback'); // Orange state
+        }
+        if (CompositionEngine.isSameLaneValue(getMasterValues()[lane], master[lane])) return;
+        
+        switch (lane) {
+            case 'crossfader':
+                setCrossfaderPosition(master[lane]);
+                break;
+            case 'masterVolume':
+                setMasterVolume(master[lane]);
+                break;
+            case 'fade':
+                setMasterFade(master[lane]);
+                break;
+            case 'fadeColor':
+                setMasterFadeColor(master[lane]);
+                break;
+            case 'layerOrder':
+                setLayerOrder(master[lane]);
+                break;
+            case 'layout':
+                setCompositeLayout(master[lane]);
+                break;
         }
     });
-    
-    if (videosWithoutKeyframes.length > 0) {
-        const videoList = videosWithoutKeyframes.join(', ');
-        showErrorModal(`Please set at least one timestamp button in video slot${videosWithoutKeyframes.length > 1 ? 's' : ''}: ${videoList}`);
-        return;
+}
+
+function getMasterControlElement(lane) {
+    const ids = {
+        crossfader: 'crossfader-slider',
+        masterVolume: 'master-volume-slider',
+        fade: 'master-fade-slider',
+        fadeColor: 'master-fade-color',
+        layout: 'layout-select'
+    };
+    return ids[lane] ? document.getElementById(ids[lane]) : null;
+}
+
+function setMasterControlValue(lane, value) {
+    const element = getMasterControlElement(lane);
+    if (element && element.value !== String(value)) {
+        element.value = value;
     }
+}
 
-    console.log('Starting recording session...');
+// Master controls lock, unlock and show playback/hijack states with the modules
+function setMasterControlsDisabled(disabled) {
+    document.querySelectorAll('.master-control').forEach(control => {
+        control.disabled = disabled;
+    });
+}
+
+function setMasterControlsVisualState(state) {
+    document.querySelectorAll('.master-control').forEach(control => {
+        control.classList.remove('playback', 'recording', 'hijacked');
+        if (state) control.classList.add(state);
+    });
+}
+
+function resetMasterBus() {
+    resetCrossfader();
+    setMasterVolume(100);
+    setMasterFadeColor('black');
+    setMasterFade(0);
+    setLayerOrder(null);
+    resetCompositeLayout();
+    setMasterControlsDisabled(false);
+    setMasterControlsVisualState(null);
+}
+
+// =================== LAYER ORDER ===================
+// Layers stack by slot number until one is brought to the front or sent
+// to the back. Every move stores the whole stack (bottom to top) on the
+// session's `layerOrder` master lane, so takes replay each restack and
+// an overdub hijacks it like the other master controls.
+let layerOrder = null;                  // Slots bottom to top, null = by slot number
+
+function bringLayerToFront(slot) {
+    restackLayer(slot, 'front');
+}
+
+function sendLayerToBack(slot) {
+    restackLayer(slot, 'back');
+}
+
+function restackLayer(slot, direction) {
+    if (!videos[slot] || videos[slot].locked) return;
     
-    // Hide save button during recording process
-    const saveBtn = document.getElementById('save-btn');
-    saveBtn.style.display = 'none';
+    setLayerOrder(CompositionEngine.moveLayer(layerOrder, slot, direction, slotCount));
     
-    // First, pause all videos before countdown begins
-    pauseAllVideos();
+    if (isPlaybackMode) {
+        hijackMasterControl('layerOrder');
+    }
     
-    // Determine if this is first session or overdub
-    const isFirstSession = recordingSessions.length === 0;
-    currentSession = recordingSessions.length + 1;
+    if (isRecording) {
+        recordMasterChange('layerOrder', layerOrder);
+    }
     
-    // Update UI to show appropriate state
-    const recordBtn = document.getElementById('record-btn');
-    if (isFirstSession) {
-        recordBtn.textContent = 'Splicing...';
-        recordBtn.disabled = true;
-    } else {
-        recordBtn.textContent = 'Overdubbing...';
-        recordBtn.disabled = true;
-        // Start playback of previous sessions (controls unlock when actual recording starts)
-        startPlaybackMode();
+    console.log(`Slot ${slot} moved to the ${direction}`);
+}
+
+function setLayerOrder(order) {
+    layerOrder = order ? CompositionEngine.normalizeLayerOrder(order, slotCount) : null;
+    
+    for (let slot = 0; slot < slotCount; slot++) {
+        const layer = document.getElementById(`main-layer-${slot}`);
+        if (layer) layer.style.zIndex = CompositionEngine.getLayerZIndex(slot, layerOrder);
     }
     
-    // Start countdown
-    startCountdown();
+    // Picture-in-picture insets whichever layer is on top
+    applyCompositeLayout();
 }
 
-function startCountdown() {
-    isCountdown = true;
-    let countdown = 3;
+// =================== COMPOSITE LAYOUT ===================
+// Layers stack over the full frame until another layout is picked: a
+// grid or split screen (cells filled in slot order) or picture-in-picture
+// with the top layer as the inset. Each switch is recorded on the
+// session's `layout` master lane and animates through the layers' CSS
+// transition. The inset's size and corner are set before the first take
+// and saved with the cut, like the crossfader curve.
+let compositeLayout = 'stacked';        // Key of CompositionEngine.LAYOUTS
+let pipSettings = CompositionEngine.normalizePip(null);
+
+function updateCompositeLayout(value) {
+    setCompositeLayout(value);
+    if (isPlaybackMode) {
+        hijackMasterControl('layout');
+    }
     
-    // Hide empty module slots during countdown so videos move to final positions
-    hideEmptyModuleSlots();
+    if (isRecording) {
+        recordMasterChange('layout', compositeLayout);
+    }
     
-    // Create timer overlay with black background overlay
-    createTimerOverlay();
-    createCountdownBlackOverlay();
-    updateTimerDisplay(`${countdown}`, true); // true = countdown mode
+    console.log(`Composite layout: ${compositeLayout}`);
+}
+
+function setCompositeLayout(value) {
+    compositeLayout = CompositionEngine.normalizeLayout(value);
+    setMasterControlValue('layout', compositeLayout);
+    applyCompositeLayout();
+}
+
+function setPipSize(value) {
+    pipSettings = CompositionEngine.normalizePip({ ...pipSettings, size: value });
+    applyCompositeLayout();
+}
+
+function setPipCorner(value) {
+    pipSettings = CompositionEngine.normalizePip({ ...pipSettings, corner: value });
+    applyCompositeLayout();
+}
+
+// Place every main layer in its layout rect - called whenever the
+// layout, the stack or the filled slots change
+function applyCompositeLayout() {
+    const filledSlots = [];
+    videos.forEach((video, slot) => {
+        if (video) filledSlots.push(slot);
+    });
+    const stack = CompositionEngine.normalizeLayerOrder(layerOrder, slotCount);
+    const rects = CompositionEngine.getLayoutRects(compositeLayout, filledSlots, stack, pipSettings);
     
-    countdownInterval = setInterval(() => {
-        countdown--;
-        if (countdown > 0) {
-            updateTimerDisplay(`${countdown}`, true);
-        } else if (countdown === 0) {
-            updateTimerDisplay('GO!', true);
-            // Start fading out black overlay during "GO!" to compensate for slower transition
-            setTimeout(() => {
-                fadeOutBlackOverlay();
-            }, 300); // Start fade 300ms into "GO!" phase
-        } else {
-            // Countdown finished, start actual recording
-            clearInterval(countdownInterval);
-            isCountdown = false;
-            startActualRecording();
-        }
-    }, 1000);
+    for (let slot = 0; slot < slotCount; slot++) {
+        const layer = document.getElementById(`main-layer-${slot}`);
+        if (!layer) continue;
+        Object.assign(layer.style, CompositionEngine.getLayoutCss(rects[slot] || CompositionEngine.getFullFrameRect()));
+    }
 }
 
-function startActualRecording() {
-    console.log('Starting actual recording...');
-    isRecording = true;
-    recordingStartTime = Date.now();
+function updateLayoutControls() {
+    const setupOnly = !isRecording && !isCountdown && recordingSessions.length === 0;
     
-    // Reset throttling timers for new recording session
-    lastRecordingTime = {};
+    const layoutSelect = document.getElementById('layout-select');
+    if (layoutSelect) {
+        layoutSelect.innerHTML = Object.keys(CompositionEngine.LAYOUTS).map(layout =>
+            `<option value="${layout}"${layout === compositeLayout ? ' selected' : ''}>${CompositionEngine.LAYOUTS[layout].label}</option>`
+        ).join('');
+    }
     
-    // Remove empty timestamp button spaces to prevent new timestamp creation
-    removeEmptyTimestampButtons();
+    const cornerSelect = document.getElementById('pip-corner');
+    if (cornerSelect) {
+        cornerSelect.innerHTML = Object.keys(CompositionEngine.PIP_CORNERS).map(corner =>
+            `<option value="${corner}"${corner === pipSettings.corner ? ' selected' : ''}>${CompositionEngine.PIP_CORNERS[corner]}</option>`
+        ).join('');
+        cornerSelect.disabled = !setupOnly;
+    }
+    
+    const sizeSlider = document.getElementById('pip-size-slider');
+    if (sizeSlider) {
+        sizeSlider.min = CompositionEngine.MIN_PIP_SIZE;
+        sizeSlider.max = CompositionEngine.MAX_PIP_SIZE;
+        sizeSlider.value = pipSettings.size;
+        sizeSlider.disabled = !setupOnly;
+    }
+}
+
+function resetCompositeLayout() {
+    compositeLayout = 'stacked';
+    pipSettings = CompositionEngine.normalizePip(null);
+    updateLayoutControls();
+    applyCompositeLayout();
+}
+
+// =================== COMPOSITION LENGTH ===================
+// Length can only change before the first take - every session shares it
+function setCompositionLength(value) {
+    const select = document.getElementById('length-select');
+    if (recordingSessions.length > 0 || isRecording || isCountdown) {
+        if (select) select.value = String(compositionDuration);
+        return;
+    }
     
-    // Hide remove buttons permanently for this art piece
-    hideVideoRemoveButtons();
+    let duration = Number(value);
+    if (value === 'custom') {
+        const input = prompt('Composition length in seconds:', Math.round(compositionDuration / 1000));
+        duration = input === null ? null : CompositionEngine.normalizeDuration(parseFloat(input) * 1000);
+        if (duration === null) {
+            if (input !== null) {
+                showErrorModal(`Please enter a length between ${CompositionEngine.MIN_DURATION_MS / 1000} and ${CompositionEngine.MAX_DURATION_MS / 1000} seconds`);
+            }
+            updateLengthSelect();
+            return;
+        }
+    }
     
-    // Empty slots already hidden during countdown
+    compositionDuration = duration;
+    console.log('Composition length set to', compositionDuration, 'ms');
+    updateLengthSelect();
+}
+
+// Show the current length, adding an option for custom values
+function updateLengthSelect() {
+    const select = document.getElementById('length-select');
+    if (!select) return;
     
-    // Set body attribute to hide remove buttons via CSS
-    document.body.setAttribute('data-recording-started', 'true');
+    const customOption = select.querySelector('option[value="custom"]');
+    select.querySelectorAll('option[data-custom-length]').forEach(option => option.remove());
     
-    // If this is an overdub session, unlock controls now
-    if (currentSession > 1) {
-        unlockControlsForOverdubbing();
-        // Set all timestamp buttons to orange (overdub initial state)
-        setTimestampButtonsOverdubState();
+    if (!CompositionEngine.DURATION_PRESETS_MS.includes(compositionDuration)) {
+        const option = document.createElement('option');
+        option.value = String(compositionDuration);
+        option.textContent = CompositionEngine.formatDuration(compositionDuration);
+        option.dataset.customLength = 'true';
+        select.insertBefore(option, customOption);
     }
     
-    // Seek all loaded videos to their leftmost keyframe and start playing
-    videos.forEach((video, slot) => {
-        if (video && previewPlayers[slot]) {
-            // Find the leftmost (first) keyframe that has a time set
-            const leftmostKeyframe = video.keyframes.find(keyframe => keyframe !== null);
-            
-            if (leftmostKeyframe !== undefined && leftmostKeyframe !== null) {
-                console.log(`Seeking slot ${slot} to leftmost keyframe at ${leftmostKeyframe}s`);
-                
-                // Seek both players to the leftmost keyframe
-                if (previewPlayers[slot]) {
-                    previewPlayers[slot].seekTo(leftmostKeyframe);
-                    setTimeout(() => {
-                        previewPlayers[slot].playVideo();
-                    }, 100);
-                }
-                
-                if (mainPlayers[slot]) {
-                    setTimeout(() => {
-                        mainPlayers[slot].seekTo(leftmostKeyframe);
-                        setTimeout(() => {
-                            mainPlayers[slot].playVideo();
-                        }, 50);
-                    }, 50);
-                }
-                
-                // Update the video's current time
-                video.currentTime = leftmostKeyframe;
-            }
-        }
-    });
+    select.value = String(compositionDuration);
+    select.disabled = recordingSessions.length > 0 || isRecording || isCountdown;
+}
 
-    // Initialize recording data for this session
-    currentRecordingData = {
-        session: currentSession,
-        startTime: recordingStartTime,
-        duration: 60000,
-        controlData: {}
-    };
+// =================== SLOT COUNT ===================
+function createEmptyModule(slot) {
+    const module = document.createElement('div');
+    module.className = 'video-module empty';
+    module.dataset.slot = slot;
+    module.innerHTML = '<div class="add-icon">+</div>';
+    module.onclick = () => openModal(slot);
+    setupModuleDropTarget(module);
+    return module;
+}
+
+// Add or remove empty modules so there are exactly slotCount of them
+function renderModuleSlots() {
+    const container = document.getElementById('video-modules');
+    if (!container) return;
     
-    // Initialize control data for each loaded video
-    videos.forEach((video, slot) => {
-        if (video) {
-            currentRecordingData.controlData[slot] = {
-                volume: [],
-                opacity: [],
-                timestamps: []
-            };
+    container.querySelectorAll('.video-module').forEach(module => {
+        if (parseInt(module.dataset.slot) >= slotCount) {
+            module.remove();
         }
     });
     
-    // Start 60-second recording timer
-    let timeLeft = 60;
-    updateTimerDisplay(`${timeLeft}s`, false); // false = recording mode
-    
-    recordingInterval = setInterval(() => {
-        timeLeft--;
-        updateTimerDisplay(`${timeLeft}s`, false);
-        
-        if (timeLeft <= 0) {
-            stopRecording();
+    for (let slot = 0; slot < slotCount; slot++) {
+        if (!container.querySelector(`[data-slot="${slot}"]`)) {
+            const nextModule = Array.from(container.querySelectorAll('.video-module'))
+                .find(module => parseInt(module.dataset.slot) > slot);
+            container.insertBefore(createEmptyModule(slot), nextModule || null);
         }
-    }, 1000);
+    }
+    refreshKeyboardSlot();
+}
+
+// Slot count can only change before the first take, and never below a filled slot
+function setSlotCount(value) {
+    const count = parseInt(value);
     
-    // Lock timeline scrubbers during recording (but allow other controls)
-    videos.forEach((video, slot) => {
-        if (video) {
-            const scrubber = document.getElementById(`scrubber-${slot}`);
-            if (scrubber) scrubber.style.pointerEvents = 'none';
-            
-            // Disable play/pause buttons during recording
-            const playPauseBtn = document.getElementById(`play-pause-${slot}`);
-            if (playPauseBtn) {
-                playPauseBtn.disabled = true;
-                playPauseBtn.style.opacity = '0.5';
-                playPauseBtn.style.cursor = 'not-allowed';
-            }
-            
-            // Update visual state for overdub mode
-            if (currentSession > 1) {
-                updateControlVisualState(slot);
-            }
-        }
-    });
+    if (recordingSessions.length > 0 || isRecording || isCountdown) {
+        updateSlotCountSelect();
+        return;
+    }
     
-    console.log(`Started recording session ${currentSession}`);
+    const highestFilledSlot = videos.reduce((highest, video, slot) => video ? slot : highest, -1);
+    if (count <= highestFilledSlot) {
+        showErrorModal(`Remove the video in slot ${highestFilledSlot + 1} before using fewer slots`);
+        updateSlotCountSelect();
+        return;
+    }
+    
+    slotCount = Math.max(CompositionEngine.MIN_SLOT_COUNT, Math.min(CompositionEngine.MAX_SLOT_COUNT, count));
+    console.log('Slot count set to', slotCount);
+    setLayerOrder(layerOrder);
+    renderModuleSlots();
+    updateSlotCountSelect();
 }
 
-function stopRecording() {
-    console.log('Stopping recording...');
-    isRecording = false;
+function updateSlotCountSelect() {
+    const select = document.getElementById('slot-count-select');
+    if (!select) return;
     
-    // Stop timers
-    if (recordingInterval) {
-        clearInterval(recordingInterval);
-        recordingInterval = null;
+    if (select.options.length === 0) {
+        for (let count = CompositionEngine.MIN_SLOT_COUNT; count <= CompositionEngine.MAX_SLOT_COUNT; count++) {
+            const option = document.createElement('option');
+            option.value = String(count);
+            option.textContent = `${count} ${count === 1 ? 'slot' : 'slots'}`;
+            select.appendChild(option);
+        }
     }
-    if (playbackInterval) {
-        clearInterval(playbackInterval);
-        playbackInterval = null;
+    
+    select.value = String(slotCount);
+    select.disabled = recordingSessions.length > 0 || isRecording || isCountdown;
+}
+
+// =================== MODULE ORDER ===================
+// Modules are dragged by their handle to a new position, and the ones in
+// between shift over one. A module's slot is also its stacking order
+// (see CompositionEngine.getLayerZIndex), so this is how a video moves
+// above or below the others, and the live stack goes back to slot order
+// (see LAYER ORDER). Everything keyed by slot goes with its video:
+// recorded sessions, every take, the undo history, its cue page and the
+// keyboard selection. MIDI mappings stay with the position.
+let moduleDragSlot = null;              // Slot whose handle is being dragged
+
+function canReorderModules() {
+    return !isRecording && !isCountdown && !isCompositionPlaying && !document.getElementById('playback-overlay');
+}
+
+function startModuleDrag(event, slot) {
+    if (!canReorderModules() || !videos[slot]) {
+        event.preventDefault();
+        return;
     }
     
-    // Stop playback mode
-    isPlaybackMode = false;
-    hijackedControls.clear();
+    moduleDragSlot = slot;
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', String(slot));
     
-    // Pause all videos when recording ends
-    videos.forEach((video, slot) => {
-        if (video) {
-            if (previewPlayers[slot]) {
-                try {
-                    previewPlayers[slot].pauseVideo();
-                    console.log(`Paused preview player ${slot}`);
-                } catch (error) {
-                    console.log(`Could not pause preview player ${slot}`);
-                }
-            }
-            if (mainPlayers[slot]) {
-                try {
-                    mainPlayers[slot].pauseVideo();
-                    console.log(`Paused main player ${slot}`);
-                } catch (error) {
-                    console.log(`Could not pause main player ${slot}`);
-                }
-            }
-            
-            // Re-enable timeline scrubbers and play/pause buttons after recording
-            const scrubber = document.getElementById(`scrubber-${slot}`);
-            if (scrubber) {
-                scrubber.style.pointerEvents = 'auto';
-            }
-            
-            const playPauseBtn = document.getElementById(`play-pause-${slot}`);
-            if (playPauseBtn) {
-                playPauseBtn.disabled = false;
-                playPauseBtn.style.opacity = '1';
-                playPauseBtn.style.cursor = 'pointer';
-            }
-            
-            // Update play button to show play icon (paused state)
-            updatePlayButtonState(slot, true);
+    // Drag the whole module, not just the handle
+    const module = document.querySelector(`.video-module[data-slot="${slot}"]`);
+    if (module) {
+        event.dataTransfer.setDragImage(module, 20, 20);
+        module.classList.add('module-dragging');
+    }
+}
+
+function endModuleDrag() {
+    moduleDragSlot = null;
+    document.querySelectorAll('.video-module').forEach(module => {
+        module.classList.remove('module-dragging', 'module-drop-target');
+    });
+}
+
+// Filled and empty modules both take drops
+function setupModuleDropTarget(module) {
+    module.ondragover = handleModuleDragOver;
+    module.ondragleave = () => module.classList.remove('module-drop-target');
+    module.ondrop = handleModuleDrop;
+}
+
+function handleModuleDragOver(event) {
+    if (moduleDragSlot === null) return;
+    
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    const module = event.currentTarget;
+    module.classList.toggle('module-drop-target', parseInt(module.dataset.slot) !== moduleDragSlot);
+}
+
+function handleModuleDrop(event) {
+    if (moduleDragSlot === null) return;
+    
+    event.preventDefault();
+    const fromSlot = moduleDragSlot;
+    endModuleDrag();
+    moveModule(fromSlot, parseInt(event.currentTarget.dataset.slot));
+}
+
+function moveModule(fromSlot, toSlot) {
+    if (!canReorderModules() || !videos[fromSlot] || fromSlot === toSlot || !(toSlot >= 0 && toSlot < slotCount)) return;
+    
+    const slotMap = CompositionEngine.getReorderSlotMap(slotCount, fromSlot, toSlot);
+    const movedSlots = Object.keys(slotMap).map(Number).filter(slot => slotMap[slot] !== slot);
+    console.log(`Moving module ${fromSlot + 1} to position ${toSlot + 1}`);
+    
+    closeLaneEditor();
+    stopTakeAudition();
+    
+    // Rebuilt players pick up where the old ones were
+    movedSlots.forEach(slot => {
+        if (!videos[slot] || !previewPlayers[slot]) return;
+        try {
+            videos[slot].startTime = previewPlayers[slot].getCurrentTime();
+        } catch (error) {
+            console.log(`Could not read the position of slot ${slot} before moving it`);
         }
     });
+    movedSlots.forEach(clearSlotPlayers);
     
-    // Save recording data
-    currentRecordingData.duration = Date.now() - recordingStartTime;
-    recordingSessions.push({...currentRecordingData});
+    // Renumber everything keyed by slot
+    videos = CompositionEngine.reorderSlotArray(Array.from({ length: slotCount }, (_, slot) => videos[slot] || null), slotMap);
+    recordingSessions = recordingSessions.map(session => CompositionEngine.remapSessionSlots(session, slotMap));
+    remapTakeSlots(passTakes, slotMap);
+    [...undoStack, ...redoStack].forEach(snapshot => remapRecordingSnapshot(snapshot, slotMap));
     
-    // Lock all controls between sessions (except during overdubbing)
-    lockAllControlsBetweenSessions();
+    const pages = {};
+    Object.keys(cuePages).forEach(slot => {
+        pages[slotMap[slot]] = cuePages[slot];
+    });
+    cuePages = pages;
+    keyboardSlot = slotMap[keyboardSlot];
+    setLayerOrder(null);
+    loopLastPositions = {};
+    currentPlaybackVolumes = {};
     
-    // Clear overdub visual states
-    clearOverdubVisualStates();
+    movedSlots.forEach(slot => {
+        if (videos[slot]) {
+            renderVideoModule(slot);
+            restoreModuleControls(slot);
+        } else {
+            document.querySelector(`[data-slot="${slot}"]`).replaceWith(createEmptyModule(slot));
+        }
+    });
     
-    // Update UI
-    const recordBtn = document.getElementById('record-btn');
-    recordBtn.textContent = recordingSessions.length === 1 ? 'Keep Splicing' : 'Keep Splicing';
-    recordBtn.disabled = false;
+    // Between takes the rebuilt modules lock like the rest
+    refreshSessionControls(false);
+    if (recordingSessions.length > 0) {
+        hideEmptyModuleSlots();
+        hideVideoRemoveButtons();
+    }
+    highlightKeyboardSlot();
+    renderKeymapLegend();
+}
+
+// Undo points hold slot-keyed sessions and slot states too
+function remapRecordingSnapshot(snapshot, slotMap) {
+    snapshot.sessions = snapshot.sessions.map(session => CompositionEngine.remapSessionSlots(session, slotMap));
+    snapshot.slots = CompositionEngine.reorderSlotArray(snapshot.slots, slotMap);
+    if (snapshot.takes) {
+        remapTakeSlots(snapshot.takes.passTakes, slotMap);
+    }
+}
+
+// A rebuilt module starts from the HTML defaults - put the video's own
+// settings back on its controls
+function restoreModuleControls(slot) {
+    const video = videos[slot];
+    const module = document.querySelector(`.video-module[data-slot="${slot}"]`);
     
-    // Show save button after first recording session
-    const saveBtn = document.getElementById('save-btn');
-    saveBtn.style.display = 'block';
-    saveBtn.disabled = false;
+    document.getElementById(`vol-${slot}`).value = video.volume;
+    document.getElementById(`opc-${slot}`).value = video.opacity;
+    setBlendSelectValue(slot, video.blendMode);
+    updateSpeedOptions(slot);
+    applyEffectState(slot, video);
+    setSlotLoop(slot, video.loop);
+    updateLoopControls(slot);
+    ['mute', 'solo'].forEach(lane => {
+        const button = document.getElementById(`${lane}-${slot}`);
+        if (button) button.classList.toggle('active', !!video[lane]);
+    });
     
-    // Remove timer overlay
-    removeTimerOverlay();
+    document.getElementById(`link-${slot}`).classList.toggle('active', video.linked);
+    module.classList.toggle('linked', video.linked);
+    updateVolumeOpacityLinkVisual(slot);
     
-    console.log(`Completed recording session ${currentSession}:`, currentRecordingData);
+    // toggleLock owns the lock visuals and control states
+    if (video.locked) {
+        video.locked = false;
+        isRestoringHistory = true;
+        try {
+            toggleLock(slot);
+        } finally {
+            isRestoringHistory = false;
+        }
+    }
 }
 
 // =================== TIMER OVERLAY SYSTEM ===================
@@ -1486,6 +3338,7 @@ function createTimerOverlay() {
     overlay.className = 'timer-overlay';
     
     previewContent.appendChild(overlay);
+    createBeatGrid();
 }
 
 function createCountdownBlackOverlay() {
@@ -1533,11 +3386,24 @@ function removeTimerOverlay() {
     if (overlay) {
         overlay.remove();
     }
+    removeBeatGrid();
     // Also remove black overlay when timer is removed
     removeCountdownBlackOverlay();
 }
 
 // =================== PLAYBACK MODE SYSTEM ===================
+// Composition view of the current editor state for the composition engine
+function getEngineComposition(sessions = recordingSessions) {
+    return {
+        videos: videos,
+        sessions: sessions,
+        duration: compositionDuration,
+        crossfader: crossfaderSettings,
+        pip: pipSettings,
+        muteVideo: muteVideo
+    };
+}
+
 function startPlaybackMode() {
     if (recordingSessions.length === 0) return;
     
@@ -1547,181 +3413,351 @@ function startPlaybackMode() {
     // Reset playback volume tracking for smooth transitions
     currentPlaybackVolumes = {};
     
-    // Start playback automation
-    const playbackStartTime = Date.now();
+    // Previous sessions replay against the recording clock, so nothing is
+    // applied during the countdown. A punched take starts with every video
+    // already placed, so only later jumps fire.
+    let lastElapsed = recordingStartOffset > 0 ? recordingStartOffset : -1;
     
     playbackInterval = setInterval(() => {
-        const elapsed = Date.now() - playbackStartTime;
+        if (!isRecording) return;
+        
+        const elapsed = Date.now() - recordingStartTime;
+        const composition = getEngineComposition();
+        const options = { skipControls: hijackedControls };
         
-        // Playback all previous sessions' data
-        recordingSessions.forEach(session => {
-            playbackSessionData(session, elapsed);
+        // Playback all previous sessions' data, except hijacked controls
+        applyOverdubPlaybackState(CompositionEngine.getMixerState(composition, elapsed, options));
+        CompositionEngine.getJumpEvents(composition, lastElapsed, elapsed, options).forEach(event => {
+            playbackJumpEvent(event.slot, event.time);
         });
+        lastElapsed = elapsed;
         
-        // Stop playback at 60 seconds
-        if (elapsed >= 60000) {
+        // Stop playback at the end of the composition
+        if (elapsed >= compositionDuration) {
             clearInterval(playbackInterval);
             playbackInterval = null;
         }
     }, 100); // Update every 100ms for smooth playback
 }
 
-function playbackSessionData(session, currentTime) {
-    // Playback volume, opacity, and timestamp data for each slot
-    Object.keys(session.controlData).forEach(slot => {
-        const slotData = session.controlData[slot];
-        const slotNum = parseInt(slot);
+function applyOverdubPlaybackState(state) {
+    // Master lanes go first so the slot levels below use them
+    applyMasterState(state.master, true);
+    
+    Object.keys(state.slots).forEach(key => {
+        const slot = parseInt(key);
+        const slotState = state.slots[key];
+        if (!videos[slot]) return;
+        
+        if (slotState.volume !== undefined) {
+            const volumeSlider = document.getElementById(`vol-${slot}`);
+            if (volumeSlider && !volumeSlider.classList.contains('hijacked')) {
+                volumeSlider.value = slotState.volume;
+                volumeSlider.classList.add('playback'); // Orange state
+                // Apply volume smoothly with a tiny ramp to prevent crackling
+                applyVolumeSmooth(slot, slotState.volume);
+            }
+        }
         
-        if (videos[slotNum] && !hijackedControls.has(`${slot}-volume`)) {
-            playbackVolumeData(slotNum, slotData.volume, currentTime);
+        if (slotState.opacity !== undefined) {
+            const opacitySlider = document.getElementById(`opc-${slot}`);
+            if (opacitySlider && !opacitySlider.classList.contains('hijacked')) {
+                opacitySlider.value = slotState.opacity;
+                opacitySlider.classList.add('playback'); // Orange state
+                updateAllLayersOpacity(slot, slotState.opacity);
+            }
+        }
+        
+        if (slotState.blendMode !== undefined) {
+            const blendSelect = document.getElementById(`blend-${slot}`);
+            if (blendSelect && !blendSelect.classList.contains('hijacked')) {
+                blendSelect.value = slotState.blendMode;
+                blendSelect.classList.add('playback'); // Orange state
+                updateAllLayersBlendMode(slot, slotState.blendMode);
+            }
         }
         
-        if (videos[slotNum] && !hijackedControls.has(`${slot}-opacity`)) {
-            playbackOpacityData(slotNum, slotData.opacity, currentTime);
+        if (slotState.loop !== undefined) {
+            const loopBtn = document.getElementById(`loop-${slot}`);
+            if (loopBtn && !loopBtn.classList.contains('hijacked')) {
+                loopBtn.classList.add('playback'); // Orange state
+                if (videos[slot].loop !== slotState.loop) setSlotLoop(slot, slotState.loop);
+            }
         }
         
-        if (videos[slotNum] && !hijackedControls.has(`${slot}-timestamps`)) {
-            playbackTimestampData(slotNum, slotData.timestamps, currentTime);
+        ['mute', 'solo'].forEach(lane => {
+            if (slotState[lane] === undefined) return;
+            const button = document.getElementById(`${lane}-${slot}`);
+            if (button && !button.classList.contains('hijacked')) {
+                button.classList.add('playback'); // Orange state
+                if (videos[slot][lane] !== slotState[lane]) setSlotSwitch(slot, lane, slotState[lane]);
+            }
+        });
+        
+        if (slotState.speed !== undefined) {
+            const speedSelect = document.getElementById(`speed-${slot}`);
+            if (speedSelect && !speedSelect.classList.contains('hijacked')) {
+                speedSelect.classList.add('playback'); // Orange state
+                if (videos[slot].speed !== slotState.speed) {
+                    videos[slot].speed = slotState.speed;
+                    setSpeedSelectValue(slot, slotState.speed);
+                    applySlotSpeed(slot, slotState.speed);
+                }
+            }
         }
+        
+        applyEffectState(slot, slotState, true);
     });
 }
 
-// Track current volume for each slot to enable smooth transitions
-let currentPlaybackVolumes = {};
+// Track current volume for each slot to enable smooth transitions
+let currentPlaybackVolumes = {};
+
+function applyVolumeSmooth(slot, targetVolume) {
+    if (!previewPlayers[slot]) return;
+    
+    // Initialize current volume if not set
+    if (currentPlaybackVolumes[slot] === undefined) {
+        try {
+            currentPlaybackVolumes[slot] = previewPlayers[slot].getVolume();
+        } catch (error) {
+            currentPlaybackVolumes[slot] = 50; // Default
+        }
+    }
+    
+    const outputVolume = getOutputLevel(slot, 'volume', targetVolume);
+    const nextVolume = CompositionEngine.stepVolumeTowards(currentPlaybackVolumes[slot], outputVolume);
+    try {
+        previewPlayers[slot].setVolume(nextVolume);
+        currentPlaybackVolumes[slot] = nextVolume;
+    } catch (error) {
+        console.log('Could not set volume');
+    }
+}
+
+function playbackJumpEvent(slot, targetTime) {
+    // Only trigger the actual jump - don't change visual states
+    // The playback from previous sessions should not affect current session's visual indicators
+    if (!videos[slot] || !previewPlayers[slot] || syncLocks[slot]) return;
+    
+    syncLocks[slot] = true;
+    previewPlayers[slot].seek(targetTime);
+    
+    setTimeout(() => {
+        if (mainPlayers[slot]) {
+            try {
+                mainPlayers[slot].seek(targetTime);
+            } catch (error) {
+                console.log('Could not seek main player');
+            }
+        }
+        setTimeout(() => {
+            syncLocks[slot] = false;
+        }, 50);
+    }, 25);
+}
+
+// =================== CUE POINTS ===================
+// A slot's keyframes are its cue points - as many as needed, each with an
+// optional name and colour in `cueLabels`. The module shows them
+// CUE_PAGE_SIZE at a time with a pager and marks all of them on the
+// scrubber. Buttons keep the keyframe-<slot>-<index> ids, so recording
+// and playback address cues by keyframe index as before.
+const CUE_PAGE_SIZE = 3;
+
+let cuePages = {};                      // Pager page shown per slot
+
+// New cues can only be added before the first take, like the old + buttons
+function canAddCue() {
+    return !isRecording && !isCountdown && recordingSessions.length === 0;
+}
+
+// Filled cue buttons on the visible page
+function getKeyframeButtons(slot) {
+    const container = document.getElementById(`keyframes-${slot}`);
+    return container ? Array.from(container.querySelectorAll('.keyframe-btn[data-keyframe-index]')) : [];
+}
+
+// Every button on the visible page, in order - cues then the add button
+function getCuePageButtons(slot) {
+    const container = document.getElementById(`keyframes-${slot}`);
+    return container ? Array.from(container.querySelectorAll('.keyframe-btn')) : [];
+}
 
-function applyVolumeSmooth(slot, targetVolume) {
-    if (!previewPlayers[slot]) return;
+function renderCueButtons(slot) {
+    const container = document.getElementById(`keyframes-${slot}`);
+    if (!videos[slot] || !container) return;
     
-    // Initialize current volume if not set
-    if (currentPlaybackVolumes[slot] === undefined) {
-        try {
-            currentPlaybackVolumes[slot] = previewPlayers[slot].getVolume();
-        } catch (error) {
-            currentPlaybackVolumes[slot] = 50; // Default
-        }
-    }
+    // Carry the overdub colouring over to the new page
+    const oldButtons = getKeyframeButtons(slot);
+    const slotStates = ['overdub-initial', 'overdub-hijacked'].filter(state => oldButtons.some(btn => btn.classList.contains(state)));
+    const laneStates = oldButtons.length > 0 ? ['playback', 'recording', 'hijacked'].filter(state => oldButtons[0].classList.contains(state)) : [];
     
-    const currentVolume = currentPlaybackVolumes[slot];
-    const volumeDiff = Math.abs(targetVolume - currentVolume);
+    const items = CompositionEngine.getCuePoints(videos[slot]).map(cue => cue.keyframeIndex);
+    if (canAddCue()) items.push(null);
+    const pageCount = Math.max(1, Math.ceil(items.length / CUE_PAGE_SIZE));
+    const page = Math.max(0, Math.min(cuePages[slot] || 0, pageCount - 1));
+    cuePages[slot] = page;
     
-    // If the volume change is small, apply it directly
-    if (volumeDiff <= 2) {
-        try {
-            previewPlayers[slot].setVolume(targetVolume);
-            currentPlaybackVolumes[slot] = targetVolume;
-        } catch (error) {
-            console.log('Could not set volume');
-        }
-    } else {
-        // For larger changes, apply a small step to reduce crackling
-        const step = volumeDiff > 20 ? 5 : 2;
-        const nextVolume = currentVolume + (targetVolume > currentVolume ? step : -step);
-        const clampedVolume = targetVolume > currentVolume ? 
-            Math.min(nextVolume, targetVolume) : 
-            Math.max(nextVolume, targetVolume);
-        
-        try {
-            previewPlayers[slot].setVolume(clampedVolume);
-            currentPlaybackVolumes[slot] = clampedVolume;
-        } catch (error) {
-            console.log('Could not set volume');
+    container.innerHTML = items.slice(page * CUE_PAGE_SIZE, (page + 1) * CUE_PAGE_SIZE).map(keyframeIndex => keyframeIndex === null ?
+        `<button class="keyframe-btn empty" onclick="addCue(${slot})" title="Add a cue at the current position"${videos[slot].locked ? ' disabled' : ''}>
+            <span class="keyframe-plus">+</span>
+        </button>` :
+        `<button class="keyframe-btn" id="keyframe-${slot}-${keyframeIndex}" data-keyframe-index="${keyframeIndex}"></button>`
+    ).join('');
+    
+    const module = document.querySelector(`.video-module[data-slot="${slot}"]`);
+    const isPlaybackOnly = module && module.classList.contains('playback-mode');
+    getKeyframeButtons(slot).forEach(keyframeBtn => {
+        const keyframeIndex = parseInt(keyframeBtn.dataset.keyframeIndex);
+        if (isPlaybackOnly) {
+            updateKeyframeButtonForPlayback(slot, keyframeIndex);
+        } else {
+            updateKeyframeButton(slot, keyframeIndex);
+            keyframeBtn.disabled = videos[slot].locked;
         }
+        keyframeBtn.classList.add(...slotStates);
+    });
+    const firstBtn = getKeyframeButtons(slot)[0];
+    if (firstBtn) firstBtn.classList.add(...laneStates);
+    
+    const pager = document.getElementById(`cue-pager-${slot}`);
+    if (pager) {
+        pager.style.display = pageCount > 1 ? 'flex' : 'none';
+        pager.innerHTML = `
+            <button class="cue-page-btn" onclick="showCuePage(${slot}, ${page - 1})" ${page === 0 ? 'disabled' : ''}>‹</button>
+            <span class="cue-page-label">${page + 1} / ${pageCount}</span>
+            <button class="cue-page-btn" onclick="showCuePage(${slot}, ${page + 1})" ${page === pageCount - 1 ? 'disabled' : ''}>›</button>
+        `;
     }
+    
+    renderCueMarkers(slot);
+    
+    // The A/B points and crossfader side follow the same rules as the + button
+    updateLoopControls(slot);
+    updateCrossfaderSideButton(slot);
+}
+
+// Paging stays available during takes, so any cue can be reached
+function showCuePage(slot, page) {
+    cuePages[slot] = page;
+    renderCueButtons(slot);
 }
 
-function playbackVolumeData(slot, volumeData, currentTime) {
-    // Find the current and next volume points for smooth interpolation
-    let currentPoint = null;
-    let nextPoint = null;
+function addCue(slot) {
+    if (!videos[slot] || !canAddCue()) return;
     
-    for (let i = 0; i < volumeData.length; i++) {
-        if (volumeData[i].timestamp <= currentTime) {
-            currentPoint = volumeData[i];
-        }
-        if (volumeData[i].timestamp > currentTime && !nextPoint) {
-            nextPoint = volumeData[i];
-            break;
-        }
+    // Show the page the new cue lands on
+    cuePages[slot] = Math.floor(CompositionEngine.getCuePoints(videos[slot]).length / CUE_PAGE_SIZE);
+    setKeyframe(slot, videos[slot].keyframes.length);
+}
+
+// Cue names are kept as typed, so escape them wherever they go into markup
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Name or time, with the cue colour as a stripe under the button
+function applyCueLabel(keyframeBtn, slot, keyframeIndex) {
+    const keyframeTime = videos[slot].keyframes[keyframeIndex];
+    const label = CompositionEngine.getCueLabel(videos[slot], keyframeIndex);
+    keyframeBtn.title = `${label.name ? `${label.name} - ` : ''}${formatTime(keyframeTime)}${isRecording ? '' : ' (right-click to name)'}`;
+    keyframeBtn.classList.toggle('cue-colored', !!label.color);
+    if (label.color) {
+        keyframeBtn.style.setProperty('--cue-color', label.color);
+    } else {
+        keyframeBtn.style.removeProperty('--cue-color');
     }
+    return `<span class="keyframe-time">${label.name ? escapeHtml(label.name) : formatTime(keyframeTime)}</span>`;
+}
+
+function renderCueMarkers(slot) {
+    const scrubber = document.getElementById(`scrubber-${slot}`);
+    if (!scrubber || !videos[slot]) return;
     
-    if (currentPoint) {
-        let interpolatedValue = currentPoint.value;
-        
-        // Smooth interpolation between current and next points
-        if (nextPoint) {
-            const timeDiff = nextPoint.timestamp - currentPoint.timestamp;
-            const valueDiff = nextPoint.value - currentPoint.value;
-            const timeProgress = (currentTime - currentPoint.timestamp) / timeDiff;
-            
-            // Use smooth interpolation only for small time differences to avoid lag
-            if (timeDiff < 500) { // Only interpolate within 500ms gaps
-                interpolatedValue = currentPoint.value + (valueDiff * timeProgress);
-                interpolatedValue = Math.round(interpolatedValue); // Round to whole numbers
-            }
-        }
-        
-        const volumeSlider = document.getElementById(`vol-${slot}`);
-        if (volumeSlider && !volumeSlider.classList.contains('hijacked')) {
-            volumeSlider.value = interpolatedValue;
-            volumeSlider.classList.add('playback'); // Orange state
-            // Apply volume smoothly with a tiny ramp to prevent crackling
-            if (previewPlayers[slot]) {
-                applyVolumeSmooth(slot, interpolatedValue);
-            }
-        }
-    }
+    scrubber.querySelectorAll('.cue-marker').forEach(marker => marker.remove());
+    const duration = videos[slot].duration;
+    if (!(duration > 0)) return;
+    
+    // Same inset as the thumb, so a marker sits where the thumb lands on a jump
+    CompositionEngine.getCuePoints(videos[slot]).forEach(cue => {
+        const marker = document.createElement('div');
+        marker.className = 'cue-marker';
+        marker.style.left = `calc(6px + (100% - 12px) * ${Math.min(1, cue.time / duration)})`;
+        if (cue.color) marker.style.background = cue.color;
+        scrubber.insertBefore(marker, scrubber.firstChild);
+    });
 }
 
-function playbackOpacityData(slot, opacityData, currentTime) {
-    // Similar to volume playback
-    const opacityPoint = opacityData.find(point => 
-        Math.abs(point.timestamp - currentTime) < 100
-    );
+// =================== CUE EDITOR ===================
+function editCue(event, slot, keyframeIndex) {
+    event.preventDefault();
+    if (!videos[slot] || isRecording || isCountdown || CompositionEngine.getKeyframeTime(videos[slot], keyframeIndex) === null) return;
     
-    if (opacityPoint) {
-        const opacitySlider = document.getElementById(`opc-${slot}`);
-        if (opacitySlider && !opacitySlider.classList.contains('hijacked')) {
-            opacitySlider.value = opacityPoint.value;
-            opacitySlider.classList.add('playback'); // Orange state
-            // Update actual opacity
-            const mainLayer = document.getElementById(`main-layer-${slot}`);
-            if (mainLayer) {
-                mainLayer.style.opacity = opacityPoint.value / 100;
-            }
+    closeCueEditor();
+    const label = CompositionEngine.getCueLabel(videos[slot], keyframeIndex);
+    
+    const modal = document.createElement('div');
+    modal.id = 'cue-editor-modal';
+    modal.className = 'custom-modal';
+    modal.innerHTML = `
+        <div class="custom-modal-content">
+            <div class="custom-modal-title">Cue at ${formatTime(videos[slot].keyframes[keyframeIndex])}</div>
+            <input type="text" class="custom-modal-input" id="cue-name-input" placeholder="Name (optional)" maxlength="${CompositionEngine.CUE_NAME_MAX_LENGTH}" value="${escapeHtml(label.name)}">
+            <div class="cue-color-swatches" id="cue-color-swatches">
+                <button class="cue-color-swatch none${label.color ? '' : ' selected'}" data-color="" onclick="selectCueColor(this)" title="No colour"></button>
+                ${CompositionEngine.CUE_COLORS.map(color =>
+                    `<button class="cue-color-swatch${color === label.color ? ' selected' : ''}" data-color="${color}" style="background: ${color};" onclick="selectCueColor(this)"></button>`
+                ).join('')}
+            </div>
+            <div class="custom-modal-buttons">
+                <button class="custom-modal-btn cancel" onclick="closeCueEditor()">Cancel</button>
+                <button class="custom-modal-btn primary" onclick="applyCueEdit(${slot}, ${keyframeIndex})">Save</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    
+    const input = document.getElementById('cue-name-input');
+    input.focus();
+    input.select();
+    input.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            applyCueEdit(slot, keyframeIndex);
+        } else if (e.key === 'Escape') {
+            closeCueEditor();
         }
-    }
+    });
+}
+
+function selectCueColor(swatch) {
+    document.querySelectorAll('#cue-color-swatches .cue-color-swatch').forEach(button => {
+        button.classList.toggle('selected', button === swatch);
+    });
 }
 
-function playbackTimestampData(slot, timestampData, currentTime) {
-    // Playback timestamp button clicks from previous sessions
-    const timestampPoint = timestampData.find(point => 
-        Math.abs(point.timestamp - currentTime) < 100
-    );
+function applyCueEdit(slot, keyframeIndex) {
+    const input = document.getElementById('cue-name-input');
+    const swatch = document.querySelector('#cue-color-swatches .cue-color-swatch.selected');
+    if (!videos[slot] || !input) return;
     
-    if (timestampPoint) {
-        // Only trigger the actual jump - don't change visual states
-        // The playback from previous sessions should not affect current session's visual indicators
-        if (timestampPoint.action === 'jump') {
-            const targetTime = videos[slot].keyframes[timestampPoint.keyframeIndex];
-            if (targetTime !== null && previewPlayers[slot] && !syncLocks[slot]) {
-                syncLocks[slot] = true;
-                previewPlayers[slot].seekTo(targetTime);
-                
-                setTimeout(() => {
-                    if (mainPlayers[slot]) {
-                        try {
-                            mainPlayers[slot].seekTo(targetTime);
-                        } catch (error) {
-                            console.log('Could not seek main player');
-                        }
-                    }
-                    setTimeout(() => {
-                        syncLocks[slot] = false;
-                    }, 50);
-                }, 25);
-            }
-        }
-        // Do NOT change button visual states - they should only change when user actually clicks them
+    pushUndoSnapshot('edit cue');
+    
+    videos[slot].cueLabels = videos[slot].cueLabels || [];
+    videos[slot].cueLabels[keyframeIndex] = CompositionEngine.normalizeCueLabel({
+        name: input.value,
+        color: swatch ? swatch.dataset.color : null
+    });
+    console.log(`Updated cue ${keyframeIndex} for slot ${slot}`);
+    
+    closeCueEditor();
+    renderCueButtons(slot);
+}
+
+function closeCueEditor() {
+    const modal = document.getElementById('cue-editor-modal');
+    if (modal) {
+        modal.remove();
     }
 }
 
@@ -1729,6 +3765,8 @@ function playbackTimestampData(slot, timestampData, currentTime) {
 function setKeyframe(slot, keyframeIndex) {
     if (!videos[slot] || !previewPlayers[slot] || videos[slot].locked) return;
     
+    pushUndoSnapshot('set keyframe');
+    
     // Handle hijacking during playback mode
     if (isPlaybackMode) {
         hijackControl(slot, 'timestamps');
@@ -1736,6 +3774,9 @@ function setKeyframe(slot, keyframeIndex) {
     
     try {
         const currentTime = previewPlayers[slot].getCurrentTime();
+        while (videos[slot].keyframes.length < keyframeIndex) {
+            videos[slot].keyframes.push(null);
+        }
         videos[slot].keyframes[keyframeIndex] = currentTime;
         
         // Record timestamp data if currently recording
@@ -1743,8 +3784,8 @@ function setKeyframe(slot, keyframeIndex) {
             recordTimestampChange(slot, keyframeIndex, currentTime, 'set');
         }
         
-        // Update button appearance using the proper function that includes delete button
-        updateKeyframeButton(slot, keyframeIndex);
+        // Redraw the cue row - a new cue can add a page
+        renderCueButtons(slot);
         
         console.log(`Set keyframe ${keyframeIndex} for slot ${slot} at ${currentTime}s`);
         
@@ -1754,7 +3795,10 @@ function setKeyframe(slot, keyframeIndex) {
 }
 
 function jumpToKeyframe(slot, keyframeIndex) {
-    if (!videos[slot] || videos[slot].keyframes[keyframeIndex] === null || videos[slot].locked) return;
+    if (!videos[slot] || CompositionEngine.getKeyframeTime(videos[slot], keyframeIndex) === null || videos[slot].locked) return;
+    
+    // Earlier sessions own the videos until punch-in
+    if (isPunchPreRoll()) return;
     
     const targetTime = videos[slot].keyframes[keyframeIndex];
     
@@ -1767,7 +3811,7 @@ function jumpToKeyframe(slot, keyframeIndex) {
     try {
         if (previewPlayers[slot]) {
             syncLocks[slot] = true;
-            previewPlayers[slot].seekTo(targetTime);
+            previewPlayers[slot].seek(targetTime);
             
             // Record timestamp jump if currently recording
             if (isRecording) {
@@ -1778,7 +3822,7 @@ function jumpToKeyframe(slot, keyframeIndex) {
             setTimeout(() => {
                 if (mainPlayers[slot]) {
                     try {
-                        mainPlayers[slot].seekTo(targetTime);
+                        mainPlayers[slot].seek(targetTime);
                     } catch (error) {
                         console.log('Could not seek main player');
                     }
@@ -1800,21 +3844,24 @@ function jumpToKeyframe(slot, keyframeIndex) {
 function deleteKeyframe(slot, keyframeIndex) {
     if (!videos[slot] || videos[slot].locked) return;
     
+    pushUndoSnapshot('delete keyframe');
+    
     // Handle hijacking during playback mode
     if (isPlaybackMode) {
         hijackControl(slot, 'timestamps');
     }
     
-    // Clear the keyframe
+    // Clear the keyframe - the slot stays null so later cues keep their index
     videos[slot].keyframes[keyframeIndex] = null;
+    if (videos[slot].cueLabels) videos[slot].cueLabels[keyframeIndex] = null;
     
     // Record timestamp deletion if currently recording
     if (isRecording) {
         recordTimestampChange(slot, keyframeIndex, null, 'delete');
     }
     
-    // Update button back to empty state
-    updateKeyframeButton(slot, keyframeIndex);
+    // Redraw the cue row without it
+    renderCueButtons(slot);
     
     console.log(`Deleted keyframe ${keyframeIndex} for slot ${slot}`);
 }
@@ -1823,15 +3870,11 @@ function deleteKeyframe(slot, keyframeIndex) {
 function recordTimestampChange(slot, keyframeIndex, time, action) {
     if (!isRecording) return;
     
-    const timestamp = Date.now() - recordingStartTime;
+    const timestamp = quantizeRecordedTime(Date.now() - recordingStartTime, CompositionEngine.EVENT_LANE);
     
     // Initialize slot data if needed
     if (!currentRecordingData.controlData[slot]) {
-        currentRecordingData.controlData[slot] = {
-            volume: [],
-            opacity: [],
-            timestamps: []
-        };
+        currentRecordingData.controlData[slot] = CompositionEngine.createSlotControlData();
     }
     
     // Add timestamp action
@@ -1895,20 +3938,11 @@ function updateKeyframeButton(slot, keyframeIndex) {
     const keyframeBtn = document.getElementById(`keyframe-${slot}-${keyframeIndex}`);
     if (!keyframeBtn) return;
     
-    const keyframeTime = videos[slot].keyframes[keyframeIndex];
+    const keyframeTime = CompositionEngine.getKeyframeTime(videos[slot], keyframeIndex);
     
     if (keyframeTime === null) {
-        // Empty state - shows plus sign for setting keyframe (only when not recording and no sessions exist)
-        if (!isRecording && recordingSessions.length === 0) {
-            keyframeBtn.className = 'keyframe-btn empty';
-            keyframeBtn.onclick = () => handleKeyframeClick(slot, keyframeIndex);
-            keyframeBtn.ondblclick = () => setKeyframe(slot, keyframeIndex);
-            keyframeBtn.innerHTML = '<span class="keyframe-plus">+</span>';
-            keyframeBtn.style.display = 'flex'; // Show the button
-        } else {
-            // Hide empty buttons during recording or between sessions
-            keyframeBtn.style.display = 'none';
-        }
+        // Cleared cues are not shown - renderCueButtons() adds the + button
+        keyframeBtn.style.display = 'none';
     } else {
         // Filled state - behavior depends on recording state
         keyframeBtn.style.display = 'flex'; // Always show filled buttons
@@ -1917,31 +3951,35 @@ function updateKeyframeButton(slot, keyframeIndex) {
             // During recording: read-only mode (no delete button, light blue color, jump only)
             keyframeBtn.className = 'keyframe-btn filled recording';
             keyframeBtn.innerHTML = `
-                <span class="keyframe-time">${formatTime(keyframeTime)}</span>
+                ${applyCueLabel(keyframeBtn, slot, keyframeIndex)}
             `;
             // Only allow jumping during recording
             keyframeBtn.onclick = () => jumpToKeyframe(slot, keyframeIndex);
             keyframeBtn.ondblclick = null; // Disable double-click editing during recording
+            keyframeBtn.oncontextmenu = event => event.preventDefault();
         } else if (recordingSessions.length === 0) {
             // Before any recording: full edit mode (with delete button, grey color)
             keyframeBtn.className = 'keyframe-btn filled';
             keyframeBtn.innerHTML = `
-                <span class="keyframe-time">${formatTime(keyframeTime)}</span>
+                ${applyCueLabel(keyframeBtn, slot, keyframeIndex)}
                 <button class="keyframe-delete-btn" onclick="event.stopPropagation(); deleteKeyframe(${slot}, ${keyframeIndex})" title="Delete timestamp">×</button>
             `;
             // Single click: jump to keyframe (test)
             // Double click: replace keyframe
+            // Right click: name and colour
             keyframeBtn.onclick = () => handleKeyframeClick(slot, keyframeIndex);
             keyframeBtn.ondblclick = () => setKeyframe(slot, keyframeIndex);
+            keyframeBtn.oncontextmenu = event => editCue(event, slot, keyframeIndex);
         } else {
             // Between sessions: locked state (no delete button, no editing)
             keyframeBtn.className = 'keyframe-btn filled locked';
             keyframeBtn.innerHTML = `
-                <span class="keyframe-time">${formatTime(keyframeTime)}</span>
+                ${applyCueLabel(keyframeBtn, slot, keyframeIndex)}
             `;
-            // Only allow jumping between sessions (for testing)
+            // Only allow jumping between sessions (for testing) - names and colours can still change
             keyframeBtn.onclick = () => jumpToKeyframe(slot, keyframeIndex);
             keyframeBtn.ondblclick = null; // No editing between sessions
+            keyframeBtn.oncontextmenu = event => editCue(event, slot, keyframeIndex);
         }
     }
 }
@@ -1950,7 +3988,7 @@ function updateKeyframeButtonForPlayback(slot, keyframeIndex) {
     const keyframeBtn = document.getElementById(`keyframe-${slot}-${keyframeIndex}`);
     if (!keyframeBtn) return;
     
-    const keyframeTime = videos[slot].keyframes[keyframeIndex];
+    const keyframeTime = CompositionEngine.getKeyframeTime(videos[slot], keyframeIndex);
     
     if (keyframeTime === null) {
         // Hide empty buttons during playback
@@ -1960,7 +3998,7 @@ function updateKeyframeButtonForPlayback(slot, keyframeIndex) {
         keyframeBtn.style.display = 'flex';
         keyframeBtn.className = 'keyframe-btn filled playback-readonly';
         keyframeBtn.innerHTML = `
-            <span class="keyframe-time">${formatTime(keyframeTime)}</span>
+            ${applyCueLabel(keyframeBtn, slot, keyframeIndex)}
         `;
         keyframeBtn.onclick = null; // Disable clicking during playback
         keyframeBtn.ondblclick = null;
@@ -1972,20 +4010,21 @@ function removeEmptyTimestampButtons() {
     console.log('Hiding empty timestamp buttons for recording...');
     videos.forEach((video, slot) => {
         if (video) {
-            for (let i = 0; i < 3; i++) {
-                updateKeyframeButton(slot, i);
-            }
+            renderCueButtons(slot);
         }
     });
 }
 
 function lockAllControlsBetweenSessions() {
     console.log('Locking all controls between recording sessions...');
+    setMasterControlsDisabled(true);
+    setMasterControlsVisualState(null);
     videos.forEach((video, slot) => {
         if (video) {
             // Lock all sliders
             const volSlider = document.getElementById(`vol-${slot}`);
             const opcSlider = document.getElementById(`opc-${slot}`);
+            const effectControls = getEffectControls(slot);
             const linkButton = document.getElementById(`link-${slot}`);
             const lockButton = document.getElementById(`lock-${slot}`);
             const playPauseBtn = document.getElementById(`play-pause-${slot}`);
@@ -1993,15 +4032,14 @@ function lockAllControlsBetweenSessions() {
             
             if (volSlider) volSlider.disabled = true;
             if (opcSlider) opcSlider.disabled = true;
+            effectControls.forEach(control => control.disabled = true);
             if (linkButton) linkButton.disabled = true;
             if (lockButton) lockButton.disabled = true;
             if (playPauseBtn) playPauseBtn.disabled = true;
             if (scrubber) scrubber.style.pointerEvents = 'none';
             
             // Update all timestamp buttons to locked state
-            for (let i = 0; i < 3; i++) {
-                updateKeyframeButton(slot, i);
-            }
+            renderCueButtons(slot);
             
             // Reset visual states
             resetControlVisualState(slot);
@@ -2020,12 +4058,15 @@ function unlockControlsForOverdubbing() {
     
     // Clear hijacked controls from previous session to ensure fresh start
     hijackedControls.clear();
+    setMasterControlsDisabled(false);
+    setMasterControlsVisualState('playback');
     
     videos.forEach((video, slot) => {
         if (video) {
             // Unlock sliders and buttons for overdubbing
             const volSlider = document.getElementById(`vol-${slot}`);
             const opcSlider = document.getElementById(`opc-${slot}`);
+            const effectControls = getEffectControls(slot);
             const linkButton = document.getElementById(`link-${slot}`);
             const lockButton = document.getElementById(`lock-${slot}`);
             const playPauseBtn = document.getElementById(`play-pause-${slot}`);
@@ -2043,6 +4084,11 @@ function unlockControlsForOverdubbing() {
                 opcSlider.classList.remove('hijacked');
                 opcSlider.classList.add('playback');
             }
+            effectControls.forEach(control => {
+                control.disabled = false;
+                control.classList.remove('hijacked');
+                control.classList.add('playback');
+            });
             if (linkButton) linkButton.disabled = false;
             if (lockButton) lockButton.disabled = false;
             if (playPauseBtn) playPauseBtn.disabled = false;
@@ -2063,15 +4109,12 @@ function setTimestampButtonsOverdubState() {
     console.log('Setting timestamp buttons to overdub initial state (orange)...');
     videos.forEach((video, slot) => {
         if (video) {
-            for (let i = 0; i < 3; i++) {
-                const keyframeBtn = document.getElementById(`keyframe-${slot}-${i}`);
-                if (keyframeBtn && video.keyframes[i] !== null) {
-                    // Clear any existing states first
-                    keyframeBtn.classList.remove('overdub-hijacked', 'playback', 'hijacked');
-                    // Set to initial orange state
-                    keyframeBtn.classList.add('overdub-initial');
-                }
-            }
+            getKeyframeButtons(slot).forEach(keyframeBtn => {
+                // Clear any existing states first
+                keyframeBtn.classList.remove('overdub-hijacked', 'playback', 'hijacked');
+                // Set to initial orange state
+                keyframeBtn.classList.add('overdub-initial');
+            });
         }
     });
 }
@@ -2080,38 +4123,35 @@ function setTimestampButtonsHijackedState() {
     console.log('Setting all timestamp buttons to hijacked state (blue) - previous data deleted...');
     videos.forEach((video, slot) => {
         if (video) {
-            for (let i = 0; i < 3; i++) {
-                const keyframeBtn = document.getElementById(`keyframe-${slot}-${i}`);
-                if (keyframeBtn && video.keyframes[i] !== null) {
-                    keyframeBtn.classList.remove('overdub-initial');
-                    keyframeBtn.classList.add('overdub-hijacked');
-                }
-            }
+            getKeyframeButtons(slot).forEach(keyframeBtn => {
+                keyframeBtn.classList.remove('overdub-initial');
+                keyframeBtn.classList.add('overdub-hijacked');
+            });
         }
     });
 }
 
 function clearOverdubVisualStates() {
     console.log('Clearing overdub visual states...');
+    setMasterControlsVisualState(null);
     videos.forEach((video, slot) => {
         if (video) {
             // Clear timestamp button states
-            for (let i = 0; i < 3; i++) {
-                const keyframeBtn = document.getElementById(`keyframe-${slot}-${i}`);
-                if (keyframeBtn) {
-                    keyframeBtn.classList.remove('overdub-initial', 'overdub-hijacked');
-                }
-            }
+            getKeyframeButtons(slot).forEach(keyframeBtn => {
+                keyframeBtn.classList.remove('overdub-initial', 'overdub-hijacked');
+            });
             
             // Clear slider states
             const volSlider = document.getElementById(`vol-${slot}`);
             const opcSlider = document.getElementById(`opc-${slot}`);
+            const effectControls = getEffectControls(slot);
             if (volSlider) {
                 volSlider.classList.remove('playback', 'hijacked');
             }
             if (opcSlider) {
                 opcSlider.classList.remove('playback', 'hijacked');
             }
+            effectControls.forEach(control => control.classList.remove('playback', 'hijacked'));
         }
     });
 }
@@ -2144,7 +4184,7 @@ function showVideoRemoveButtons() {
 
 function hideEmptyModuleSlots() {
     console.log('Hiding empty module slots - no new videos can be added...');
-    for (let slot = 0; slot < 6; slot++) {
+    for (let slot = 0; slot < slotCount; slot++) {
         if (!videos[slot]) {
             const module = document.querySelector(`[data-slot="${slot}"]`);
             if (module && module.classList.contains('empty')) {
@@ -2156,7 +4196,7 @@ function hideEmptyModuleSlots() {
 
 function showEmptyModuleSlots() {
     console.log('Showing empty module slots - new art piece creation...');
-    for (let slot = 0; slot < 6; slot++) {
+    for (let slot = 0; slot < slotCount; slot++) {
         const module = document.querySelector(`[data-slot="${slot}"]`);
         if (module) {
             module.style.display = 'block';
@@ -2167,7 +4207,7 @@ function showEmptyModuleSlots() {
 function handleKeyframeClick(slot, keyframeIndex) {
     if (!videos[slot] || videos[slot].locked) return;
     
-    const keyframeTime = videos[slot].keyframes[keyframeIndex];
+    const keyframeTime = CompositionEngine.getKeyframeTime(videos[slot], keyframeIndex);
     
     if (keyframeTime !== null) {
         // Keyframe exists - jump to it (testing)
@@ -2178,6 +4218,15 @@ function handleKeyframeClick(slot, keyframeIndex) {
     }
 }
 
+// Whether MIDI or the keyboard may fire a cue button - only when a click
+// would, and never while the piece plays back (composition playback,
+// take audition, the saved-piece overlay) or counts in
+function canFireCue(slot, cueBtn) {
+    if (!videos[slot] || !cueBtn || !cueBtn.onclick) return false;
+    if (isCompositionPlaying || isCountdown || document.getElementById('playback-overlay')) return false;
+    return !cueBtn.disabled && !cueBtn.classList.contains('playback-readonly') && cueBtn.style.display !== 'none';
+}
+
 // =================== FULLSCREEN FUNCTIONS ===================
 function enterFullscreen() {
     if (!document.fullscreenElement) {
@@ -2192,8 +4241,9 @@ function enterFullscreen() {
 }
 
 function setupEventListeners() {
-    // Any additional event listeners can be added here
-    // Currently handled by existing onload and other functions
+    // Most listeners are inline onclick handlers; file drops and shortcuts need real ones
+    setupLocalFileDrop();
+    document.addEventListener('keydown', handleHistoryShortcut);
 }
 
 function autoEnterFullscreen() {
@@ -2299,17 +4349,30 @@ function hijackControl(slot, controlType) {
         
         // Handle timestamp buttons visual state for overdubbing
         if (controlType === 'timestamps' && currentSession > 1) {
-            for (let i = 0; i < 3; i++) {
-                const keyframeBtn = document.getElementById(`keyframe-${slot}-${i}`);
-                if (keyframeBtn && videos[slot] && videos[slot].keyframes[i] !== null) {
-                    keyframeBtn.classList.remove('overdub-initial');
-                    keyframeBtn.classList.add('overdub-hijacked');
-                }
-            }
+            getKeyframeButtons(slot).forEach(keyframeBtn => {
+                keyframeBtn.classList.remove('overdub-initial');
+                keyframeBtn.classList.add('overdub-hijacked');
+            });
         }
     }
 }
 
+// Master lanes belong to no slot, so module linking never spreads them
+function hijackMasterControl(lane) {
+    const controlKey = `master-${lane}`;
+    if (!isPlaybackMode || hijackedControls.has(controlKey)) return;
+    
+    console.log(`Hijacking control: ${controlKey}`);
+    hijackedControls.add(controlKey);
+    deleteFutureMasterData(lane, Date.now() - recordingStartTime);
+    
+    const element = getMasterControlElement(lane);
+    if (element) {
+        element.classList.remove('playback', 'recording', 'hijacked');
+        element.classList.add('hijacked');
+    }
+}
+
 function collectLinkedControlsToHijack(sourceSlot, sourceControlType, controlsToHijack) {
     const sourceVideo = videos[sourceSlot];
     if (!sourceVideo) return;
@@ -2320,8 +4383,8 @@ function collectLinkedControlsToHijack(sourceSlot, sourceControlType, controlsTo
         controlsToHijack.add(`${sourceSlot}-${linkedControl}`);
     }
     
-    // Handle cross-module linking (but NEVER for timestamps)
-    if (sourceVideo.linked && sourceControlType !== 'timestamps') {
+    // Handle cross-module linking (only the linked sliders, NEVER timestamps)
+    if (sourceVideo.linked && (sourceControlType === 'volume' || sourceControlType === 'opacity')) {
         videos.forEach((video, slot) => {
             if (slot !== sourceSlot && video && video.linked && !video.locked) {
                 // Add the same control type for all linked modules
@@ -2339,6 +4402,10 @@ function collectLinkedControlsToHijack(sourceSlot, sourceControlType, controlsTo
 }
 
 function deleteFutureRecordingData(slot, controlType, fromTime) {
+    // A punched take only covers its window - the engine lets it override
+    // earlier sessions there, and their data after punch-out must survive
+    if (activePunch) return;
+    
     // Remove future data from all previous sessions
     recordingSessions.forEach(session => {
         if (session.controlData[slot] && session.controlData[slot][controlType]) {
@@ -2351,6 +4418,18 @@ function deleteFutureRecordingData(slot, controlType, fromTime) {
     console.log(`Deleted future ${controlType} data for slot ${slot} from ${fromTime}ms`);
 }
 
+function deleteFutureMasterData(lane, fromTime) {
+    if (activePunch) return;
+    
+    recordingSessions.forEach(session => {
+        if (session.masterData && session.masterData[lane]) {
+            session.masterData[lane] = session.masterData[lane].filter(point => point.timestamp < fromTime);
+        }
+    });
+    
+    console.log(`Deleted future master ${lane} data from ${fromTime}ms`);
+}
+
 function updateControlVisualState(slot, controlType = null, state = 'playback') {
     if (controlType) {
         // Update specific control
@@ -2361,7 +4440,7 @@ function updateControlVisualState(slot, controlType = null, state = 'playback')
         }
     } else {
         // Update all controls for slot
-        ['volume', 'opacity', 'timestamps'].forEach(type => {
+        getRecordedControlTypes().forEach(type => {
             const element = getControlElement(slot, type);
             if (element) {
                 element.classList.remove('playback', 'recording', 'hijacked');
@@ -2372,7 +4451,7 @@ function updateControlVisualState(slot, controlType = null, state = 'playback')
 }
 
 function resetControlVisualState(slot) {
-    ['volume', 'opacity', 'timestamps'].forEach(type => {
+    getRecordedControlTypes().forEach(type => {
         const element = getControlElement(slot, type);
         if (element) {
             element.classList.remove('playback', 'recording', 'hijacked');
@@ -2380,44 +4459,121 @@ function resetControlVisualState(slot) {
     });
 }
 
+// Every lane a slot records, plus the keyframe event lane
+function getRecordedControlTypes() {
+    return [...Object.keys(CompositionEngine.SLOT_LANES), CompositionEngine.EVENT_LANE];
+}
+
 function getControlElement(slot, controlType) {
     switch(controlType) {
         case 'volume':
             return document.getElementById(`vol-${slot}`);
         case 'opacity':
             return document.getElementById(`opc-${slot}`);
+        case 'blendMode':
+            return document.getElementById(`blend-${slot}`);
+        case 'loop':
+            return document.getElementById(`loop-${slot}`);
+        case 'speed':
+            return document.getElementById(`speed-${slot}`);
+        case 'mute':
+        case 'solo':
+            return document.getElementById(`${controlType}-${slot}`);
         case 'timestamps':
-            // Return first timestamp button (will handle all three)
-            return document.getElementById(`keyframe-${slot}-0`);
-        default:
-            return null;
+            // Return first visible cue button (stands for the whole lane)
+            return getKeyframeButtons(slot)[0] || null;
+        default: {
+            const panel = findEffectPanel(controlType);
+            return panel ? document.getElementById(`${panel}-${controlType}-${slot}`) : null;
+        }
     }
 }
 
+// Blend mode, filter and transform controls lock and unlock together
+function getEffectControls(slot) {
+    return Array.from(document.querySelectorAll(`.video-module[data-slot="${slot}"] .effect-control`));
+}
+
 // =================== ENHANCED RECORDING DATA CAPTURE ===================
+// Discrete switches (blend mode, loop, speed, mute/solo, fade colour,
+// layer order, layout) record every change through these two directly;
+// sliders go through the throttled versions below.
 function recordControlChange(slot, controlType, value) {
     if (!isRecording) return;
     
-    const timestamp = Date.now() - recordingStartTime;
+    const timestamp = quantizeRecordedTime(Date.now() - recordingStartTime, controlType);
     
     // Initialize slot data if needed
     if (!currentRecordingData.controlData[slot]) {
-        currentRecordingData.controlData[slot] = {
-            volume: [],
-            opacity: [],
-            timestamps: []
-        };
+        currentRecordingData.controlData[slot] = CompositionEngine.createSlotControlData();
     }
     
-    // Add data point
-    currentRecordingData.controlData[slot][controlType].push({
-        timestamp: timestamp,
-        value: value
-    });
+    // Add data point - quantized moves on the same grid line keep the latest value
+    const points = currentRecordingData.controlData[slot][controlType];
+    const lastPoint = points[points.length - 1];
+    if (lastPoint && lastPoint.timestamp === timestamp) {
+        lastPoint.value = value;
+    } else {
+        points.push({
+            timestamp: timestamp,
+            value: value
+        });
+    }
     
     console.log(`Recorded ${controlType} change for slot ${slot}: ${value} at ${timestamp}ms`);
 }
 
+function recordMasterChange(lane, value) {
+    if (!isRecording) return;
+    
+    const timestamp = quantizeRecordedTime(Date.now() - recordingStartTime, lane);
+    const points = currentRecordingData.masterData[lane];
+    const lastPoint = points[points.length - 1];
+    if (lastPoint && lastPoint.timestamp === timestamp) {
+        lastPoint.value = value;
+    } else {
+        points.push({
+            timestamp: timestamp,
+            value: value
+        });
+    }
+    
+    console.log(`Recorded master ${lane} change: ${value} at ${timestamp}ms`);
+}
+
+function recordMasterChangeThrottled(lane, value) {
+    if (!isRecording) return;
+    
+    const now = Date.now();
+    const throttleKey = `master-${lane}`;
+    if (!lastRecordingTime[throttleKey] || now - lastRecordingTime[throttleKey] >= 25) {
+        recordMasterChange(lane, value);
+        lastRecordingTime[throttleKey] = now;
+    }
+}
+
+// Store every lane's starting value at 0ms so playback begins from the
+// settings made before the first take, not from the lane defaults
+function recordInitialLaneValues() {
+    videos.forEach((video, slot) => {
+        if (!video) return;
+        Object.keys(CompositionEngine.SLOT_LANES).forEach(lane => {
+            if (video[lane] === undefined) return;
+            currentRecordingData.controlData[slot][lane].push({
+                timestamp: 0,
+                value: video[lane]
+            });
+        });
+    });
+    const masterValues = getMasterValues();
+    Object.keys(CompositionEngine.MASTER_LANES).forEach(lane => {
+        currentRecordingData.masterData[lane].push({
+            timestamp: 0,
+            value: masterValues[lane]
+        });
+    });
+}
+
 function recordControlChangeThrottled(slot, controlType, value) {
     if (!isRecording) return;
     
@@ -2443,6 +4599,10 @@ function saveComposition() {
         return;
     }
 
+    // Keep edits still open in the lane editor
+    applyLaneEdits();
+    stopTakeAudition();
+
     // Show custom naming modal instead of browser prompt
     showNamingModal();
 }
@@ -2529,10 +4689,11 @@ function showThumbnailSelectionModal(artPieceName) {
         thumbnailsHTML = `
             <div class="thumbnail-grid" id="thumbnail-grid">
                 ${loadedVideos.map(({ video, slot }) => {
-                    const thumbnailUrl = `https://img.youtube.com/vi/${video.videoId}/mqdefault.jpg`;
-                    console.log(`Creating thumbnail for slot ${slot}: ${thumbnailUrl}`);
+                    const thumbnailUrl = getVideoThumbnailUrl(slot);
+                    const thumbnailId = video.videoId || 'local';
+                    console.log(`Creating thumbnail for slot ${slot}`);
                     return `
-                        <div class="thumbnail-option" onclick="highlightThumbnail('${video.videoId}', ${slot})" data-video-id="${video.videoId}" data-slot="${slot}">
+                        <div class="thumbnail-option" onclick="highlightThumbnail('${thumbnailId}', ${slot})" data-video-id="${thumbnailId}" data-slot="${slot}">
                             <img src="${thumbnailUrl}" alt="Video ${slot + 1}">
                             <div class="thumbnail-label">Video ${slot + 1}</div>
                         </div>
@@ -2566,6 +4727,26 @@ function showThumbnailSelectionModal(artPieceName) {
 
 let selectedThumbnailData = null;
 
+// YouTube slots use the hosted thumbnail; local files grab the current frame
+function getVideoThumbnailUrl(slot) {
+    const video = videos[slot];
+    if (video.sourceType !== 'local') {
+        return `https://img.youtube.com/vi/${video.videoId}/mqdefault.jpg`;
+    }
+    
+    try {
+        const videoElement = mainPlayers[slot].getElement();
+        const canvas = document.createElement('canvas');
+        canvas.width = 320;
+        canvas.height = 180;
+        canvas.getContext('2d').drawImage(videoElement, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+        console.log('Could not capture local video frame:', error);
+        return '';
+    }
+}
+
 function highlightThumbnail(videoId, slot) {
     // Remove previous selection
     const previousSelected = document.querySelector('.thumbnail-option.selected');
@@ -2594,8 +4775,8 @@ function saveThumbnailSelection(artPieceName) {
     
     console.log(`Selected thumbnail from video ${selectedThumbnailData.slot + 1} for art piece: ${artPieceName}`);
     
-    // Get the YouTube thumbnail URL
-    const thumbnailUrl = `https://img.youtube.com/vi/${selectedThumbnailData.videoId}/mqdefault.jpg`;
+    // Get the thumbnail URL (YouTube image or a captured frame for local files)
+    const thumbnailUrl = getVideoThumbnailUrl(selectedThumbnailData.slot);
     
     // Close modal and save with selected thumbnail (no browser alert)
     closeThumbnailSelectionModal();
@@ -2609,16 +4790,47 @@ function saveCompositionWithThumbnailSilent(name, thumbnailUrl) {
         id: Date.now(),
         name: name,
         createdAt: new Date().toISOString(),
-        videos: videos.filter(v => v !== null).map(v => ({
-            url: v.url,
-            videoId: v.videoId,
-            title: v.title,
-            keyframes: v.keyframes || [null, null, null] // Include keyframe data
-        })),
+        videos: videos.map((v, slot) => {
+            if (!v) return null;
+            const savedVideo = {
+                slot: slot,
+                url: v.url,
+                videoId: v.videoId,
+                title: v.title,
+                keyframes: v.keyframes || [], // Include keyframe data
+                cueLabels: v.cueLabels || []
+            };
+            if (CompositionEngine.normalizeLoopRegion(v.loopRegion)) {
+                savedVideo.loopRegion = v.loopRegion;
+            }
+            if (v.crossfaderSide) {
+                savedVideo.crossfaderSide = v.crossfaderSide;
+            }
+            // Local files can't be stored - keep enough to ask for them again
+            if (v.sourceType === 'local') {
+                savedVideo.sourceType = 'local';
+                savedVideo.fileName = v.fileName;
+                savedVideo.fingerprint = v.fingerprint;
+            }
+            return savedVideo;
+        }).filter(v => v !== null),
         sessions: recordingSessions,
-        duration: 60000,
+        duration: compositionDuration,
+        slotCount: slotCount,
         thumbnail: thumbnailUrl
     };
+    if (compositionBpm) {
+        composition.bpm = compositionBpm;
+    }
+    if (videos.some(v => v && v.crossfaderSide)) {
+        composition.crossfader = { ...crossfaderSettings };
+    }
+    if (recordingSessions.some(session => session.masterData && (session.masterData.layout || []).some(point => point.value === 'pip'))) {
+        composition.pip = { ...pipSettings };
+    }
+    if (muteVideo) {
+        composition.muteVideo = true;
+    }
     
     // Generate composition hash for duplicate detection
     composition.compositionHash = generateCompositionHash(composition);
@@ -2663,14 +4875,14 @@ function initializeCompositionPlayback() {
             // Find the leftmost keyframe for this video
             const leftmostKeyframe = video.keyframes.find(keyframe => keyframe !== null);
             if (leftmostKeyframe !== undefined && leftmostKeyframe !== null) {
-                previewPlayers[slot].seekTo(leftmostKeyframe);
+                previewPlayers[slot].seek(leftmostKeyframe);
                 if (mainPlayers[slot]) {
-                    mainPlayers[slot].seekTo(leftmostKeyframe);
+                    mainPlayers[slot].seek(leftmostKeyframe);
                 }
                 // Also seek modal players
                 if (window.modalPlayers && window.modalPlayers[slot]) {
                     try {
-                        window.modalPlayers[slot].seekTo(leftmostKeyframe);
+                        window.modalPlayers[slot].seek(leftmostKeyframe);
                     } catch (error) {
                         console.log('Could not seek modal player');
                     }
@@ -2678,14 +4890,14 @@ function initializeCompositionPlayback() {
             }
             
             // Pause all videos initially
-            previewPlayers[slot].pauseVideo();
+            previewPlayers[slot].pause();
             if (mainPlayers[slot]) {
-                mainPlayers[slot].pauseVideo();
+                mainPlayers[slot].pause();
             }
             // Also pause modal players
             if (window.modalPlayers && window.modalPlayers[slot]) {
                 try {
-                    window.modalPlayers[slot].pauseVideo();
+                    window.modalPlayers[slot].pause();
                 } catch (error) {
                     console.log('Could not pause modal player');
                 }
@@ -2733,14 +4945,14 @@ function startCompositionPlayback() {
     // Start all videos playing (including modal players if they exist)
     videos.forEach((video, slot) => {
         if (video && previewPlayers[slot]) {
-            previewPlayers[slot].playVideo();
+            previewPlayers[slot].play();
             if (mainPlayers[slot]) {
-                mainPlayers[slot].playVideo();
+                mainPlayers[slot].play();
             }
             // Also play modal players for thumbnail capture
             if (window.modalPlayers && window.modalPlayers[slot]) {
                 try {
-                    window.modalPlayers[slot].playVideo();
+                    window.modalPlayers[slot].play();
                 } catch (error) {
                     console.log('Could not play modal player');
                 }
@@ -2750,6 +4962,7 @@ function startCompositionPlayback() {
     
     // Start playback automation (replay recorded actions)
     const playbackStartTime = Date.now();
+    let lastElapsed = compositionPlaybackTime > 0 ? compositionPlaybackTime : -1;
     
     compositionPlaybackInterval = setInterval(() => {
         const elapsed = Date.now() - playbackStartTime + compositionPlaybackTime;
@@ -2758,12 +4971,11 @@ function startCompositionPlayback() {
         updatePlaybackDisplay(elapsed);
         
         // Apply recorded actions at the correct times
-        recordingSessions.forEach(session => {
-            playbackRecordedActions(session, elapsed);
-        });
+        playbackRecordedActions(recordingSessions, lastElapsed, elapsed);
+        lastElapsed = elapsed;
         
-        // Stop at 60 seconds
-        if (elapsed >= 60000) {
+        // Stop at the end of the composition
+        if (elapsed >= compositionDuration) {
             pauseCompositionPlayback();
         }
     }, 100);
@@ -2776,14 +4988,14 @@ function pauseCompositionPlayback() {
     // Pause all videos (including modal players if they exist)
     videos.forEach((video, slot) => {
         if (video && previewPlayers[slot]) {
-            previewPlayers[slot].pauseVideo();
+            previewPlayers[slot].pause();
             if (mainPlayers[slot]) {
-                mainPlayers[slot].pauseVideo();
+                mainPlayers[slot].pause();
             }
             // Also pause modal players
             if (window.modalPlayers && window.modalPlayers[slot]) {
                 try {
-                    window.modalPlayers[slot].pauseVideo();
+                    window.modalPlayers[slot].pause();
                 } catch (error) {
                     console.log('Could not pause modal player');
                 }
@@ -2819,148 +5031,137 @@ function scrubComposition(timeMs) {
     compositionPlaybackTime = parseInt(timeMs);
     
     // Apply recorded state at this time
-    recordingSessions.forEach(session => {
-        applyStateAtTime(session, compositionPlaybackTime);
-    });
+    applyStateAtTime(recordingSessions, compositionPlaybackTime);
     
     updatePlaybackDisplay(compositionPlaybackTime);
 }
 
-function playbackRecordedActions(session, currentTime) {
+function playbackRecordedActions(sessions, fromTime, currentTime) {
     // Apply volume, opacity, and timestamp changes at correct times
-    Object.keys(session.controlData).forEach(slot => {
-        const slotData = session.controlData[slot];
-        const slotNum = parseInt(slot);
+    const composition = getEngineComposition(sessions);
+    const state = CompositionEngine.getMixerState(composition, currentTime);
+    
+    applyMasterState(state.master);
+    
+    Object.keys(state.slots).forEach(key => {
+        const slotNum = parseInt(key);
+        const slotState = state.slots[key];
         
         if (videos[slotNum]) {
-            // Apply volume changes - find the most recent value at or before current time
-            if (slotData.volume && slotData.volume.length > 0) {
-                let latestVolume = null;
-                for (let i = slotData.volume.length - 1; i >= 0; i--) {
-                    if (slotData.volume[i].timestamp <= currentTime) {
-                        latestVolume = slotData.volume[i];
-                        break;
-                    }
-                }
-                
-                if (latestVolume && videos[slotNum].volume !== latestVolume.value) {
-                    videos[slotNum].volume = latestVolume.value;
+            if (videos[slotNum].volume !== slotState.volume) {
+                videos[slotNum].volume = slotState.volume;
                 const volumeSlider = document.getElementById(`vol-${slotNum}`);
                 if (volumeSlider) {
-                        volumeSlider.value = latestVolume.value;
+                    volumeSlider.value = slotState.volume;
                 }
                 if (previewPlayers[slotNum]) {
-                        previewPlayers[slotNum].setVolume(latestVolume.value);
-                    }
+                    previewPlayers[slotNum].setVolume(slotState.outputVolume);
                 }
             }
             
-            // Apply opacity changes - find the most recent value at or before current time
-            if (slotData.opacity && slotData.opacity.length > 0) {
-                let latestOpacity = null;
-                for (let i = slotData.opacity.length - 1; i >= 0; i--) {
-                    if (slotData.opacity[i].timestamp <= currentTime) {
-                        latestOpacity = slotData.opacity[i];
-                        break;
-                    }
-                }
-                
-                if (latestOpacity && videos[slotNum].opacity !== latestOpacity.value) {
-                    videos[slotNum].opacity = latestOpacity.value;
+            if (videos[slotNum].opacity !== slotState.opacity) {
+                videos[slotNum].opacity = slotState.opacity;
                 const opacitySlider = document.getElementById(`opc-${slotNum}`);
                 if (opacitySlider) {
-                        opacitySlider.value = latestOpacity.value;
-                }
-                const mainLayer = document.getElementById(`main-layer-${slotNum}`);
-                if (mainLayer) {
-                        mainLayer.style.opacity = latestOpacity.value / 100;
-                    }
+                    opacitySlider.value = slotState.opacity;
                 }
+                updateAllLayersOpacity(slotNum, slotState.opacity);
             }
             
-            // Apply timestamp button activity - only for exact matches (visual feedback)
-            if (slotData.timestamps && slotData.timestamps.length > 0) {
-            const timestampPoint = slotData.timestamps.find(point => 
-                Math.abs(point.timestamp - currentTime) < 100
-            );
-            if (timestampPoint) {
-                // Light up the keyframe button that was clicked
-                const keyframeBtn = document.getElementById(`keyframe-${slotNum}-${timestampPoint.keyframeIndex}`);
-                if (keyframeBtn) {
-                    keyframeBtn.classList.add('playback-active');
-                    // Remove active class after brief highlight
-                    setTimeout(() => {
-                        if (keyframeBtn) keyframeBtn.classList.remove('playback-active');
-                    }, 400);
-                }
-                
-                // If it was a jump action, actually perform the jump
-                if (timestampPoint.action === 'jump' && timestampPoint.time !== null) {
-                    jumpToKeyframe(slotNum, timestampPoint.keyframeIndex);
-                    }
-                }
+            if (videos[slotNum].blendMode !== slotState.blendMode) {
+                videos[slotNum].blendMode = slotState.blendMode;
+                setBlendSelectValue(slotNum, slotState.blendMode);
+                updateAllLayersBlendMode(slotNum, slotState.blendMode);
+            }
+            
+            if (videos[slotNum].loop !== slotState.loop) {
+                setSlotLoop(slotNum, slotState.loop);
             }
+            
+            if (videos[slotNum].speed !== slotState.speed) {
+                videos[slotNum].speed = slotState.speed;
+                setSpeedSelectValue(slotNum, slotState.speed);
+                applySlotSpeed(slotNum, slotState.speed);
+            }
+            
+            ['mute', 'solo'].forEach(lane => {
+                if (videos[slotNum][lane] !== slotState[lane]) setSlotSwitch(slotNum, lane, slotState[lane]);
+            });
+            
+            applyEffectState(slotNum, slotState);
+        }
+    });
+    
+    // Timestamp button activity - each recorded jump fires exactly once
+    CompositionEngine.getJumpEvents(composition, fromTime, currentTime).forEach(event => {
+        if (!videos[event.slot]) return;
+        
+        // Light up the keyframe button that was clicked, or the pager when it is on another page
+        const keyframeBtn = document.getElementById(`keyframe-${event.slot}-${event.keyframeIndex}`) ||
+            document.getElementById(`cue-pager-${event.slot}`);
+        if (keyframeBtn) {
+            keyframeBtn.classList.add('playback-active');
+            // Remove active class after brief highlight
+            setTimeout(() => {
+                if (keyframeBtn) keyframeBtn.classList.remove('playback-active');
+            }, 400);
         }
+        
+        // Seek to the recorded position - comped takes can jump mid-keyframe
+        playbackJumpEvent(event.slot, event.time);
     });
 }
 
-function applyStateAtTime(session, targetTime) {
+function applyStateAtTime(sessions, targetTime) {
     // Apply the state that should exist at a specific time
-    Object.keys(session.controlData).forEach(slot => {
-        const slotData = session.controlData[slot];
-        const slotNum = parseInt(slot);
+    const state = CompositionEngine.getMixerState(getEngineComposition(sessions), targetTime);
+    applyMasterState(state.master);
+    
+    Object.keys(state.slots).forEach(key => {
+        const slotNum = parseInt(key);
+        const slotState = state.slots[key];
         
         if (videos[slotNum]) {
-            // Find latest volume value at or before target time
-            if (slotData.volume && slotData.volume.length > 0) {
-                let latestVolume = null;
-                for (let i = slotData.volume.length - 1; i >= 0; i--) {
-                    if (slotData.volume[i].timestamp <= targetTime) {
-                        latestVolume = slotData.volume[i];
-                        break;
-                    }
-                }
-                
-                if (latestVolume) {
-                videos[slotNum].volume = latestVolume.value;
-                const volumeSlider = document.getElementById(`vol-${slotNum}`);
-                if (volumeSlider) volumeSlider.value = latestVolume.value;
-                if (previewPlayers[slotNum]) {
-                    // Use smooth application for scrubbing too
-                    applyVolumeSmooth(slotNum, latestVolume.value);
-                }
-                }
+            videos[slotNum].volume = slotState.volume;
+            const volumeSlider = document.getElementById(`vol-${slotNum}`);
+            if (volumeSlider) volumeSlider.value = slotState.volume;
+            if (previewPlayers[slotNum]) {
+                // Use smooth application for scrubbing too
+                applyVolumeSmooth(slotNum, slotState.volume);
             }
             
-            // Find latest opacity value at or before target time
-            if (slotData.opacity && slotData.opacity.length > 0) {
-                let latestOpacity = null;
-                for (let i = slotData.opacity.length - 1; i >= 0; i--) {
-                    if (slotData.opacity[i].timestamp <= targetTime) {
-                        latestOpacity = slotData.opacity[i];
-                        break;
-                    }
-                }
-                
-                if (latestOpacity) {
-                videos[slotNum].opacity = latestOpacity.value;
-                const opacitySlider = document.getElementById(`opc-${slotNum}`);
-                if (opacitySlider) opacitySlider.value = latestOpacity.value;
-                const mainLayer = document.getElementById(`main-layer-${slotNum}`);
-                if (mainLayer) {
-                    mainLayer.style.opacity = latestOpacity.value / 100;
-                }
-                // Also update modal layer opacity
-                const modalLayer = document.getElementById(`modal-layer-${slotNum}`);
-                if (modalLayer) {
-                    modalLayer.style.opacity = latestOpacity.value / 100;
-                }
-                // Update playback layer opacity
-                const playbackLayer = document.getElementById(`playback-layer-${slotNum}`);
-                if (playbackLayer) {
-                    playbackLayer.style.opacity = latestOpacity.value / 100;
-                    }
-                }
+            videos[slotNum].opacity = slotState.opacity;
+            const opacitySlider = document.getElementById(`opc-${slotNum}`);
+            if (opacitySlider) opacitySlider.value = slotState.opacity;
+            updateAllLayersOpacity(slotNum, slotState.opacity);
+            // Also update modal layer opacity
+            const modalLayer = document.getElementById(`modal-layer-${slotNum}`);
+            if (modalLayer) {
+                modalLayer.style.opacity = slotState.outputOpacity / 100;
+            }
+            // Update playback layer opacity
+            const playbackLayer = document.getElementById(`playback-layer-${slotNum}`);
+            if (playbackLayer) {
+                playbackLayer.style.opacity = slotState.outputOpacity / 100;
+            }
+            
+            videos[slotNum].blendMode = slotState.blendMode;
+            setBlendSelectValue(slotNum, slotState.blendMode);
+            updateAllLayersBlendMode(slotNum, slotState.blendMode);
+            setSlotLoop(slotNum, slotState.loop);
+            videos[slotNum].speed = slotState.speed;
+            setSpeedSelectValue(slotNum, slotState.speed);
+            applySlotSpeed(slotNum, slotState.speed);
+            setSlotSwitch(slotNum, 'mute', slotState.mute);
+            setSlotSwitch(slotNum, 'solo', slotState.solo);
+            applyEffectState(slotNum, slotState);
+            
+            // Put the source video where the recorded jumps, loops and speeds left it
+            if (previewPlayers[slotNum]) {
+                previewPlayers[slotNum].seek(slotState.position);
+            }
+            if (mainPlayers[slotNum]) {
+                mainPlayers[slotNum].seek(slotState.position);
             }
         }
     });
@@ -2980,7 +5181,7 @@ function updatePlaybackDisplay(timeMs = compositionPlaybackTime) {
         const currentMins = Math.floor(currentSeconds / 60);
         const currentSecs = currentSeconds % 60;
         const currentTime = `${currentMins}:${currentSecs.toString().padStart(2, '0')}`;
-        timeDisplay.textContent = `${currentTime} / 1:00`;
+        timeDisplay.textContent = `${currentTime} / ${CompositionEngine.formatDuration(compositionDuration)}`;
     }
 }
 
@@ -3009,7 +5210,7 @@ function saveCompositionWithThumbnail(name, thumbnailUrl) {
             title: v.title
         })),
         sessions: recordingSessions,
-        duration: 60000,
+        duration: compositionDuration,
         thumbnail: thumbnailUrl
     };
     
@@ -3088,12 +5289,24 @@ function loadAndPlayArtPiece(composition) {
     // Show loading overlay
     showPlaybackOverlay(composition.name);
     
-    // Load each video from the composition
+    // Set the recording sessions data and build the piece's modules first,
+    // so every video has a module to load into
+    recordingSessions = composition.sessions || [];
+    slotCount = CompositionEngine.getSlotCount(composition);
+    compositionDuration = CompositionEngine.getCompositionDuration(composition);
+    crossfaderSettings = CompositionEngine.normalizeCrossfader(composition.crossfader);
+    pipSettings = CompositionEngine.normalizePip(composition.pip);
+    muteVideo = !!composition.muteVideo;
+    renderModuleSlots();
+    updateSlotCountSelect();
+    
+    // Load each video into the slot it was saved from
     let videosLoaded = 0;
-    const totalVideos = composition.videos.length;
+    const videosBySlot = CompositionEngine.getVideosBySlot(composition);
+    const totalVideos = videosBySlot.filter(Boolean).length;
     
-    composition.videos.forEach((videoData, index) => {
-        if (index < 6) { // Only load up to 6 videos (our slot limit)
+    videosBySlot.forEach((videoData, index) => {
+        if (videoData) {
             loadVideoInSlot(index, videoData.url, videoData.videoId);
             
             // Wait for video to be ready
@@ -3105,6 +5318,9 @@ function loadAndPlayArtPiece(composition) {
                     if (videoData.keyframes) {
                         videos[index].keyframes = videoData.keyframes;
                     }
+                    videos[index].cueLabels = videoData.cueLabels || [];
+                    videos[index].loopRegion = videoData.loopRegion || null;
+                    videos[index].crossfaderSide = videoData.crossfaderSide || null;
                     
                     videosLoaded++;
                     
@@ -3121,9 +5337,6 @@ function loadAndPlayArtPiece(composition) {
             }, 500);
         }
     });
-    
-    // Set the recording sessions data
-    recordingSessions = composition.sessions || [];
 }
 
 function lockAllControlsForPlayback(slot) {
@@ -3132,6 +5345,7 @@ function lockAllControlsForPlayback(slot) {
     // Lock all sliders but keep them visually active for playback
     const volSlider = document.getElementById(`vol-${slot}`);
     const opcSlider = document.getElementById(`opc-${slot}`);
+    const effectControls = getEffectControls(slot);
     const linkButton = document.getElementById(`link-${slot}`);
     const lockButton = document.getElementById(`lock-${slot}`);
     const playPauseBtn = document.getElementById(`play-pause-${slot}`);
@@ -3140,21 +5354,22 @@ function lockAllControlsForPlayback(slot) {
     // Disable all interactive controls
     if (volSlider) volSlider.disabled = true;
     if (opcSlider) opcSlider.disabled = true;
+    effectControls.forEach(control => control.disabled = true);
     if (linkButton) linkButton.disabled = true;
     if (lockButton) lockButton.disabled = true;
     if (playPauseBtn) playPauseBtn.disabled = true;
     if (scrubber) scrubber.style.pointerEvents = 'none';
     
-    // Update keyframe buttons for playback mode
-    for (let i = 0; i < 3; i++) {
-        updateKeyframeButtonForPlayback(slot, i);
-    }
+    setMasterControlsDisabled(true);
     
     // Add playback mode class to module for styling
     const module = document.querySelector(`[data-slot="${slot}"]`);
     if (module) {
         module.classList.add('playback-mode');
     }
+    
+    // Update keyframe buttons for playback mode
+    renderCueButtons(slot);
 }
 
 function showPlaybackOverlay(compositionName) {
@@ -3199,33 +5414,33 @@ function startAutoPlayback(composition) {
             // Find the leftmost keyframe for this video
             const leftmostKeyframe = video.keyframes.find(keyframe => keyframe !== null);
             if (leftmostKeyframe !== undefined && leftmostKeyframe !== null) {
-                previewPlayers[slot].seekTo(leftmostKeyframe);
+                previewPlayers[slot].seek(leftmostKeyframe);
                 if (mainPlayers[slot]) {
-                    mainPlayers[slot].seekTo(leftmostKeyframe);
+                    mainPlayers[slot].seek(leftmostKeyframe);
                 }
             }
             
             // Start playing
-            previewPlayers[slot].playVideo();
+            previewPlayers[slot].play();
             if (mainPlayers[slot]) {
-                mainPlayers[slot].playVideo();
+                mainPlayers[slot].play();
             }
         }
     });
     
     // Start playback automation to replay recorded actions
     const playbackStartTime = Date.now();
+    let lastElapsed = -1;
     
     const autoPlaybackInterval = setInterval(() => {
         const elapsed = Date.now() - playbackStartTime;
         
         // Apply recorded actions at the correct times
-        composition.sessions.forEach(session => {
-            playbackRecordedActions(session, elapsed);
-        });
+        playbackRecordedActions(composition.sessions, lastElapsed, elapsed);
+        lastElapsed = elapsed;
         
-        // Stop at 60 seconds and exit
-        if (elapsed >= 60000) {
+        // Stop at the end of the composition and exit
+        if (elapsed >= CompositionEngine.getCompositionDuration(composition)) {
             clearInterval(autoPlaybackInterval);
             setTimeout(() => {
                 exitPlayback();
@@ -3282,8 +5497,15 @@ function resetInterface() {
     // Reset recording data
     recordingSessions = [];
     currentSession = 0;
+    clearUndoHistory();
+    clearPassTakes();
     hijackedControls.clear();
     isPlaybackMode = false;
+    compositionDuration = CompositionEngine.DEFAULT_DURATION_MS;
+    updateLengthSelect();
+    slotCount = CompositionEngine.DEFAULT_SLOT_COUNT;
+    renderModuleSlots();
+    updateSlotCountSelect();
     
     // Reset UI
     const recordBtn = document.getElementById('record-btn');
@@ -3294,6 +5516,12 @@ function resetInterface() {
     const saveBtn = document.getElementById('save-btn');
     saveBtn.style.display = 'none';
     saveBtn.disabled = true;
+    showLaneEditorButton(false);
+    resetPunch();
+    resetTempo();
+    resetMasterBus();
+    muteVideo = false;
+    updateMuteVideoToggle();
     
     // Show empty module slots again for new art piece creation
     showEmptyModuleSlots();
@@ -3328,7 +5556,7 @@ function showTimestampInput(slot) {
     // Auto-pause the video when entering timestamp edit mode
     if (previewPlayers[slot]) {
         try {
-            previewPlayers[slot].pauseVideo();
+            previewPlayers[slot].pause();
             // Update play button to show play icon
             updatePlayButtonState(slot, true);
         } catch (error) {
@@ -3337,7 +5565,7 @@ function showTimestampInput(slot) {
     }
     if (mainPlayers[slot]) {
         try {
-            mainPlayers[slot].pauseVideo();
+            mainPlayers[slot].pause();
         } catch (error) {
             console.log('Could not pause main player');
         }
@@ -3447,7 +5675,7 @@ function addTimestampAutoApplyListeners(slot) {
         `play-pause-${slot}`, // Play/pause button
         `lock-${slot}`,     // Lock button
         `link-${slot}`,     // Link button
-        `keyframe-${slot}-0`, `keyframe-${slot}-1`, `keyframe-${slot}-2`, // Keyframe buttons
+        `keyframes-${slot}`, // Cue buttons
         `scrubber-${slot}`  // Timeline scrubber
     ];
     
@@ -3468,7 +5696,7 @@ function addTimestampAutoApplyListeners(slot) {
     });
     
     // Also add listener for other slot controls
-    for (let otherSlot = 0; otherSlot < 6; otherSlot++) {
+    for (let otherSlot = 0; otherSlot < slotCount; otherSlot++) {
         if (otherSlot !== slot) {
             const otherTimeDisplay = document.getElementById(`current-time-${otherSlot}`);
             if (otherTimeDisplay) {
@@ -3598,7 +5826,7 @@ function applyTimestampInput(slot) {
                 syncLocks[slot] = true;
                 
                 try {
-                    previewPlayers[slot].seekTo(clampedTime, true); // true = allowSeekAhead
+                    previewPlayers[slot].seek(clampedTime, true); // true = allowSeekAhead
                 } catch (error) {
                     console.log('Could not seek preview player:', error);
                 }
@@ -3607,7 +5835,7 @@ function applyTimestampInput(slot) {
                 setTimeout(() => {
                     if (mainPlayers[slot]) {
                         try {
-                            mainPlayers[slot].seekTo(clampedTime, true);
+                            mainPlayers[slot].seek(clampedTime, true);
                         } catch (error) {
                             console.log('Could not seek main player:', error);
                         }
@@ -3625,7 +5853,7 @@ function applyTimestampInput(slot) {
                         console.log(`⏰ Verification: Requested ${clampedTime}s, actual ${actualTime}s`);
                         if (Math.abs(actualTime - clampedTime) > 2) {
                             console.log(`⚠️ SEEK MISMATCH - trying one more time`);
-                            previewPlayers[slot].seekTo(clampedTime);
+                            previewPlayers[slot].seek(clampedTime);
                         } else {
                             console.log(`✅ SEEK SUCCESS!`);
                         }
@@ -3804,10 +6032,9 @@ window.addEventListener('resize', () => {
 
 function updateKeyframeButtonsLockState(slot, isLocked) {
     // Disable/enable keyframe buttons based on lock state
-    for (let i = 0; i < 3; i++) {
-        const keyframeBtn = document.getElementById(`keyframe-${slot}-${i}`);
-        if (keyframeBtn) keyframeBtn.disabled = isLocked;
-    }
+    getCuePageButtons(slot).forEach(keyframeBtn => {
+        keyframeBtn.disabled = isLocked;
+    });
 }
 
 function updateVolumeOpacityLinkVisual(slot) {
@@ -3825,6 +6052,9 @@ function updateVolumeOpacityLinkVisual(slot) {
 let volumeUpdateTimeouts = {};
 
 function updateAllPlayersVolume(slot, value) {
+    // The players get the level after the crossfader
+    value = getOutputLevel(slot, 'volume', value);
+    
     // Clear any existing timeout for this slot
     if (volumeUpdateTimeouts[slot]) {
         clearTimeout(volumeUpdateTimeouts[slot]);
@@ -3839,7 +6069,7 @@ function updateAllPlayersVolume(slot, value) {
                 
                 // Mute/unmute based on volume level
                 if (value > 0) {
-                    previewPlayers[slot].unMute();
+                    previewPlayers[slot].unmute();
                 } else {
                     previewPlayers[slot].mute();
                 }
@@ -3866,7 +6096,7 @@ function updateAllLayersOpacity(slot, value) {
     // Update visual opacity immediately for responsive feedback
     const mainLayer = document.getElementById(`main-layer-${slot}`);
     if (mainLayer) {
-        mainLayer.style.opacity = value / 100;
+        mainLayer.style.opacity = getOutputLevel(slot, 'opacity', value) / 100;
     }
 }
 
@@ -3920,6 +6150,14 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize theme system
     initializeTheme();
     
+    // Build the empty video modules
+    renderModuleSlots();
+    updateSlotCountSelect();
+    updateTempoControls();
+    updateCrossfaderControls();
+    updateLayoutControls();
+    updateMuteVideoToggle();
+    
     // Auto-enter fullscreen for better viewing experience
     autoEnterFullscreen();
     
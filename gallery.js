@@ -179,7 +179,7 @@ function createCutCard(cut) {
                     <span>Imported</span>
                 </div>
             ` : ''}
-            <div class="duration-badge">1:00</div>
+            <div class="duration-badge">${CompositionEngine.formatDuration(CompositionEngine.getCompositionDuration(cut))}</div>
         </div>
         <div class="cut-info">
             <div class="cut-name">${cut.name}</div>
@@ -197,6 +197,14 @@ function createCutCard(cut) {
                     </svg>
                     <span>Share</span>
                 </button>
+                ${VideoExporter.canExport(cut) ? `
+                    <button class="cut-share-pill cut-export-pill" onclick="event.stopPropagation(); exportCutVideo('${cut.id}')" title="Render this composition to a .webm video">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M17 10.5V7c0-.55-.45-1-1-1H4c-.55 0-1 .45-1 1v10c0 .55.45 1 1 1h12c.55 0 1-.45 1-1v-3.5l4 4v-11l-4 4z"/>
+                        </svg>
+                        <span>Video</span>
+                    </button>
+                ` : ''}
             </div>
         </div>
     `;
@@ -333,6 +341,150 @@ function exportCut(cutId) {
     console.log('Export complete:', cut.name);
 }
 
+// =================== VIDEO EXPORT ===================
+let exportFileUrls = {};          // Object URLs for the cut being rendered, by slot
+let exportAbortController = null;
+
+function exportCutVideo(cutId) {
+    const cut = savedCuts.find(piece => piece.id == cutId);
+    if (!cut) return;
+    
+    if (!VideoExporter.isSupported()) {
+        showImportError('This browser cannot record video exports');
+        return;
+    }
+    
+    console.log('Preparing video export:', cut.name);
+    showExportVideoModal(cut);
+}
+
+// The footage lives on the user's computer, so ask for each file before rendering
+function showExportVideoModal(cut) {
+    closeExportVideoModal();
+    
+    const modal = document.createElement('div');
+    modal.id = 'export-video-modal';
+    modal.className = 'custom-modal';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+        <div class="custom-modal-content">
+            <div class="custom-modal-title">Export Video</div>
+            <div class="custom-modal-hint">Choose the video files used in "${cut.name}". Rendering plays the cut through once in real time.</div>
+            <div class="local-file-list">
+                ${CompositionEngine.getVideosBySlot(cut).map((videoData, slot) => videoData ? `
+                    <div class="local-file-row" id="export-file-row-${slot}">
+                        <span class="local-file-name">${videoData.fileName || videoData.title}</span>
+                        <input type="file" id="export-file-input-${slot}" accept="video/mp4,video/webm,.mp4,.webm" style="display: none;" onchange="handleExportFileSelected('${cut.id}', ${slot}, this)">
+                        <button class="custom-modal-btn file" id="export-file-btn-${slot}" onclick="document.getElementById('export-file-input-${slot}').click()">Choose...</button>
+                    </div>
+                ` : '').join('')}
+            </div>
+            <div class="export-progress" id="export-progress" style="display: none;">
+                <div class="export-progress-bar" id="export-progress-bar"></div>
+            </div>
+            <div class="custom-modal-buttons">
+                <button class="custom-modal-btn cancel" onclick="cancelExportVideo()">Cancel</button>
+                <button class="custom-modal-btn primary" id="export-render-btn" onclick="renderCutVideo('${cut.id}')" disabled>Render</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+}
+
+async function handleExportFileSelected(cutId, slot, input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    
+    const cut = savedCuts.find(piece => piece.id == cutId);
+    const videoData = CompositionEngine.getSlotVideo(cut, slot);
+    
+    try {
+        const fingerprint = await PlayerAdapters.fingerprintFile(file);
+        if (videoData.fingerprint && fingerprint !== videoData.fingerprint) {
+            const useAnyway = confirm(`"${file.name}" doesn't match the footage this cut was made with ("${videoData.fileName}").\n\nUse it anyway?`);
+            if (!useAnyway) return;
+        }
+    } catch (error) {
+        console.error('Error reading local video:', error);
+        showImportError('Could not read this video file');
+        return;
+    }
+    
+    if (exportFileUrls[slot]) {
+        URL.revokeObjectURL(exportFileUrls[slot]);
+    }
+    exportFileUrls[slot] = URL.createObjectURL(file);
+    
+    document.getElementById(`export-file-row-${slot}`).classList.add('found');
+    document.getElementById(`export-file-btn-${slot}`).textContent = 'Found';
+    
+    const allFound = CompositionEngine.getVideosBySlot(cut).every((data, index) => !data || exportFileUrls[index]);
+    document.getElementById('export-render-btn').disabled = !allFound;
+}
+
+async function renderCutVideo(cutId) {
+    const cut = savedCuts.find(piece => piece.id == cutId);
+    if (!cut) return;
+    
+    const renderBtn = document.getElementById('export-render-btn');
+    const progress = document.getElementById('export-progress');
+    const progressBar = document.getElementById('export-progress-bar');
+    renderBtn.disabled = true;
+    renderBtn.textContent = 'Rendering...';
+    progress.style.display = 'block';
+    
+    exportAbortController = new AbortController();
+    
+    try {
+        const blob = await VideoExporter.exportComposition(cut, exportFileUrls, {
+            signal: exportAbortController.signal,
+            onProgress: (fraction) => {
+                progressBar.style.width = `${Math.round(fraction * 100)}%`;
+            }
+        });
+        
+        // Create temporary download link
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${cut.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.webm`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        console.log('Video export complete:', cut.name);
+        closeExportVideoModal();
+    } catch (error) {
+        console.error('Video export failed:', error);
+        if (exportAbortController && !exportAbortController.signal.aborted) {
+            showImportError(error.message);
+            closeExportVideoModal();
+        }
+    } finally {
+        exportAbortController = null;
+    }
+}
+
+function cancelExportVideo() {
+    if (exportAbortController) {
+        exportAbortController.abort();
+    }
+    closeExportVideoModal();
+}
+
+function closeExportVideoModal() {
+    const modal = document.getElementById('export-video-modal');
+    if (modal) {
+        modal.remove();
+    }
+    
+    Object.values(exportFileUrls).forEach(url => URL.revokeObjectURL(url));
+    exportFileUrls = {};
+}
+
 // =================== DRAG AND DROP FUNCTIONALITY ===================
 function initializeDragAndDrop() {
     const dropZone = document.body; // Make entire page a drop zone
@@ -0,0 +1,295 @@
+/* ===================================================================
+ * SPLICE - KEYBOARD PERFORMANCE MAP
+ * ===================================================================
+ *
+ * Plays the modules from the keyboard: one set of keys picks the slot
+ * being performed, the rest act on that slot - fire the three cues on
+ * its visible cue page, page through the rest, nudge its volume and
+ * opacity in steps, and bring its layer to the front or send it to the
+ * back. The defaults are 1-9/0 for slots, Q/W/E for cues, [ and ] for
+ * cue pages, Up/Down for volume, Right/Left for opacity and F/B for the
+ * layer; every key can be remapped in the Keys panel.
+ *
+ * A cue key clicks the cue button in that position (so it jumps through
+ * jumpToKeyframe, or adds a cue with the + button before the first take) and a
+ * nudge moves the slider and calls updateVolume / updateOpacity (a layer
+ * key presses the module's front/back button), so keys record and hijack
+ * exactly like the mouse. Keys are matched on
+ * event.code, so the map follows key positions, not the layout.
+ *
+ * Page script for create.html - loaded after create.js and uses its
+ * globals (videos, slotCount).
+ */
+
+// =================== KEYMAP STATE ===================
+const KEYMAP_STORAGE_KEY = 'splice-keymap';
+const KEYMAP_NUDGE_STEP = 5;
+const KEYMAP_SLOT_KEYS = ['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0'];
+const KEYMAP_ACTIONS = [
+    ...Array.from({ length: CompositionEngine.MAX_SLOT_COUNT }, (_, slot) => ({
+        id: `slot-${slot}`, label: `Select slot ${slot + 1}`, slot: slot, defaultKey: KEYMAP_SLOT_KEYS[slot] || null
+    })),
+    { id: 'keyframe-0', label: 'Cue 1 on page', cuePosition: 0, defaultKey: 'KeyQ' },
+    { id: 'keyframe-1', label: 'Cue 2 on page', cuePosition: 1, defaultKey: 'KeyW' },
+    { id: 'keyframe-2', label: 'Cue 3 on page', cuePosition: 2, defaultKey: 'KeyE' },
+    { id: 'cue-page-prev', label: 'Previous cue page', pageStep: -1, defaultKey: 'BracketLeft' },
+    { id: 'cue-page-next', label: 'Next cue page', pageStep: 1, defaultKey: 'BracketRight' },
+    { id: 'volume-up', label: 'Volume up', lane: 'volume', step: KEYMAP_NUDGE_STEP, defaultKey: 'ArrowUp' },
+    { id: 'volume-down', label: 'Volume down', lane: 'volume', step: -KEYMAP_NUDGE_STEP, defaultKey: 'ArrowDown' },
+    { id: 'opacity-up', label: 'Opacity up', lane: 'opacity', step: KEYMAP_NUDGE_STEP, defaultKey: 'ArrowRight' },
+    { id: 'opacity-down', label: 'Opacity down', lane: 'opacity', step: -KEYMAP_NUDGE_STEP, defaultKey: 'ArrowLeft' },
+    { id: 'layer-front', label: 'Bring layer to front', layer: 'front', defaultKey: 'KeyF' },
+    { id: 'layer-back', label: 'Send layer to back', layer: 'back', defaultKey: 'KeyB' }
+];
+
+let keymapBindings = {};                // { actionId: event.code or null }
+let keymapLegendVisible = true;
+let keymapListeningAction = null;       // Action waiting for its new key in the editor
+let keyboardSlot = 0;                   // Slot the cue and nudge keys act on
+
+loadKeymap();
+
+// =================== PERFORMANCE KEYS ===================
+function handlePerformanceKey(event) {
+    if (keymapListeningAction) {
+        assignListeningKey(event);
+        return;
+    }
+    if (event.ctrlKey || event.metaKey || event.altKey || isKeymapTextTarget(event.target)) return;
+
+    // The editor takes the keyboard while it is open
+    const modal = document.getElementById('keymap-modal');
+    if (modal && modal.style.display !== 'none') return;
+
+    const action = findKeymapAction(event.code);
+    if (!action) return;
+    event.preventDefault();
+
+    if (action.slot !== undefined) {
+        selectKeyboardSlot(action.slot);
+    } else if (action.cuePosition !== undefined) {
+        if (!event.repeat) fireKeyboardCue(keyboardSlot, action.cuePosition);
+    } else if (action.pageStep !== undefined) {
+        if (videos[keyboardSlot]) showCuePage(keyboardSlot, (cuePages[keyboardSlot] || 0) + action.pageStep);
+    } else if (action.layer) {
+        if (!event.repeat) pressKeyboardLayerButton(keyboardSlot, action.layer);
+    } else {
+        nudgeKeyboardSlider(keyboardSlot, action.lane, action.step);
+    }
+}
+
+// Typing into a field never triggers the map; sliders and buttons do
+function isKeymapTextTarget(target) {
+    if (!target) return false;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && target.type !== 'range' && target.type !== 'checkbox';
+}
+
+function findKeymapAction(code) {
+    return KEYMAP_ACTIONS.find(action => keymapBindings[action.id] === code &&
+        (action.slot === undefined || action.slot < slotCount)) || null;
+}
+
+function selectKeyboardSlot(slot) {
+    if (slot >= slotCount) return;
+    keyboardSlot = slot;
+    console.log(`Keyboard controls slot ${slot + 1}`);
+    highlightKeyboardSlot();
+    renderKeymapLegend();
+}
+
+// Same as clicking the button in that position on the visible cue page
+function fireKeyboardCue(slot, cuePosition) {
+    const cueBtn = getCuePageButtons(slot)[cuePosition];
+    if (!canFireCue(slot, cueBtn)) return;
+    cueBtn.onclick();
+}
+
+// Move the slider one step as if it had been dragged there
+function nudgeKeyboardSlider(slot, lane, step) {
+    const slider = document.getElementById(`${lane === 'volume' ? 'vol' : 'opc'}-${slot}`);
+    if (!videos[slot] || !slider || slider.disabled) return;
+
+    const value = Math.max(0, Math.min(100, parseInt(slider.value) + step));
+    if (value === parseInt(slider.value)) return;
+
+    slider.value = value;
+    if (lane === 'volume') {
+        updateVolume(slot, value);
+    } else {
+        updateOpacity(slot, value);
+    }
+}
+
+// Same as clicking the module's front or back button
+function pressKeyboardLayerButton(slot, direction) {
+    const button = document.getElementById(`${direction}-${slot}`);
+    if (!videos[slot] || !button || button.disabled) return;
+    button.onclick();
+}
+
+function highlightKeyboardSlot() {
+    document.querySelectorAll('.video-module').forEach(module => {
+        module.classList.toggle('keyboard-selected', parseInt(module.dataset.slot) === keyboardSlot);
+    });
+}
+
+// =================== STORAGE ===================
+function loadKeymap() {
+    keymapBindings = getDefaultKeymapBindings();
+    try {
+        const saved = JSON.parse(localStorage.getItem(KEYMAP_STORAGE_KEY) || 'null');
+        if (!saved) return;
+
+        KEYMAP_ACTIONS.forEach(action => {
+            const key = saved.bindings ? saved.bindings[action.id] : undefined;
+            if (key === null || typeof key === 'string') keymapBindings[action.id] = key;
+        });
+        keymapLegendVisible = saved.showLegend !== false;
+    } catch (error) {
+        console.error('Could not read keymap:', error);
+    }
+}
+
+function saveKeymap() {
+    try {
+        localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify({
+            bindings: keymapBindings,
+            showLegend: keymapLegendVisible
+        }));
+    } catch (error) {
+        console.error('Could not save keymap:', error);
+    }
+}
+
+function getDefaultKeymapBindings() {
+    const bindings = {};
+    KEYMAP_ACTIONS.forEach(action => {
+        bindings[action.id] = action.defaultKey;
+    });
+    return bindings;
+}
+
+// "KeyQ" -> "Q", "Digit1" -> "1", "ArrowUp" -> "↑"
+function formatKeyCode(code) {
+    if (!code) return '—';
+    const symbols = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', BracketLeft: '[', BracketRight: ']' };
+    if (symbols[code]) return symbols[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Numpad\d$/.test(code)) return `Num ${code.slice(6)}`;
+    return code;
+}
+
+// =================== KEYMAP EDITOR ===================
+function openKeymapPanel() {
+    const modal = document.getElementById('keymap-modal');
+    if (modal) modal.style.display = 'flex';
+    renderKeymapPanel();
+}
+
+function closeKeymapPanel() {
+    keymapListeningAction = null;
+    const modal = document.getElementById('keymap-modal');
+    if (modal) modal.style.display = 'none';
+}
+
+function listenForKey(actionId) {
+    // Clicking the listening action again cancels
+    keymapListeningAction = keymapListeningAction === actionId ? null : actionId;
+    renderKeymapPanel();
+}
+
+// Escape cancels, Backspace/Delete unbinds; a key used elsewhere moves here
+function assignListeningKey(event) {
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return;
+    event.preventDefault();
+
+    if (event.code === 'Backspace' || event.code === 'Delete') {
+        keymapBindings[keymapListeningAction] = null;
+    } else if (event.code !== 'Escape') {
+        Object.keys(keymapBindings).forEach(actionId => {
+            if (keymapBindings[actionId] === event.code) keymapBindings[actionId] = null;
+        });
+        keymapBindings[keymapListeningAction] = event.code;
+        console.log(`Mapped ${event.code} to ${keymapListeningAction}`);
+    }
+
+    keymapListeningAction = null;
+    saveKeymap();
+    renderKeymapPanel();
+    renderKeymapLegend();
+}
+
+function resetKeymap() {
+    keymapBindings = getDefaultKeymapBindings();
+    keymapListeningAction = null;
+    saveKeymap();
+    renderKeymapPanel();
+    renderKeymapLegend();
+}
+
+function setKeymapLegendVisible(checked) {
+    keymapLegendVisible = !!checked;
+    saveKeymap();
+    renderKeymapLegend();
+}
+
+function renderKeymapPanel() {
+    const modal = document.getElementById('keymap-modal');
+    if (!modal || modal.style.display === 'none') return;
+
+    const legendToggle = document.getElementById('keymap-legend-toggle');
+    if (legendToggle) legendToggle.checked = keymapLegendVisible;
+
+    const rows = document.getElementById('keymap-rows');
+    if (!rows) return;
+
+    rows.innerHTML = KEYMAP_ACTIONS
+        .filter(action => action.slot === undefined || action.slot < slotCount)
+        .map(action => {
+            const isListening = keymapListeningAction === action.id;
+            return `
+                <div class="keymap-row">
+                    <span class="keymap-action">${action.label}</span>
+                    <button class="keymap-key${isListening ? ' listening' : ''}" onclick="listenForKey('${action.id}')">
+                        ${isListening ? 'Press a key…' : formatKeyCode(keymapBindings[action.id])}
+                    </button>
+                </div>`;
+        }).join('');
+}
+
+// =================== LEGEND ===================
+function renderKeymapLegend() {
+    const legend = document.getElementById('keymap-legend');
+    if (!legend) return;
+
+    legend.style.display = keymapLegendVisible ? 'block' : 'none';
+    if (!keymapLegendVisible) return;
+
+    const keysFor = ids => ids.map(id => formatKeyCode(keymapBindings[id])).join(' ');
+    const slotKeys = KEYMAP_ACTIONS
+        .filter(action => action.slot !== undefined && action.slot < slotCount && keymapBindings[action.id])
+        .map(action => formatKeyCode(keymapBindings[action.id]));
+
+    legend.innerHTML = `
+        <div class="keymap-legend-slot">Slot ${keyboardSlot + 1}</div>
+        <div class="keymap-legend-row"><kbd>${slotKeys.join(' ') || '—'}</kbd> slot</div>
+        <div class="keymap-legend-row"><kbd>${keysFor(['keyframe-0', 'keyframe-1', 'keyframe-2'])}</kbd> cues</div>
+        <div class="keymap-legend-row"><kbd>${keysFor(['cue-page-prev', 'cue-page-next'])}</kbd> cue page</div>
+        <div class="keymap-legend-row"><kbd>${keysFor(['volume-up', 'volume-down'])}</kbd> volume</div>
+        <div class="keymap-legend-row"><kbd>${keysFor(['opacity-up', 'opacity-down'])}</kbd> opacity</div>
+        <div class="keymap-legend-row"><kbd>${keysFor(['layer-front', 'layer-back'])}</kbd> front / back</div>
+    `;
+}
+
+// Fewer slots can leave the selection on a slot that no longer exists
+function refreshKeyboardSlot() {
+    if (keyboardSlot >= slotCount) keyboardSlot = 0;
+    highlightKeyboardSlot();
+    renderKeymapLegend();
+    renderKeymapPanel();
+}
+
+// renderModuleSlots() draws the legend once the modules exist
+document.addEventListener('keydown', handlePerformanceKey);
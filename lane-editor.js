@@ -0,0 +1,531 @@
+/* ===================================================================
+ * SPLICE - AUTOMATION LANE EDITOR
+ * ===================================================================
+ *
+ * Timeline editor under the composite for fixing a take without
+ * overdubbing it. Each loaded slot gets a volume lane, an opacity lane
+ * and a keyframe-jump lane drawn from one recording session at a time.
+ *
+ *   drag a point          move it (continuous lanes: time and value,
+ *                         jump lane: time only)
+ *   drag empty space      select every point in that time range
+ *   shift-click a point   add it to the selection
+ *   drag a selected point move the whole selection
+ *   double-click          add a point (continuous lanes) or delete
+ *                         the point under the cursor
+ *   Delete / Backspace    remove the selection
+ *   Quantize              snap the session to the beat grid
+ *
+ * Edits go into a copy of recordingSessions and are only written back
+ * by Apply, so Cancel leaves the takes untouched. A punched session only
+ * plays inside its punch window, so its points stay inside it and the
+ * rest of the lane is shaded.
+ *
+ * Page script for create.html - loaded after create.js and uses its
+ * globals (recordingSessions, videos, compositionDuration, isRecording).
+ */
+
+// =================== LANE EDITOR STATE ===================
+const LANE_EDITOR_LANES = [
+    { lane: 'volume', label: 'Vol', min: 0, max: 100 },
+    { lane: 'opacity', label: 'Opc', min: 0, max: 100 },
+    { lane: CompositionEngine.EVENT_LANE, label: 'Jumps' }
+];
+const LANE_EDITOR_HIT_RADIUS = 6;       // px around a point that counts as a hit
+const LANE_EDITOR_MIN_GAP_MS = 1;       // Smallest time step when dragging
+
+let laneEditorSessions = null;          // Working copy of recordingSessions
+let laneEditorSessionIndex = 0;         // Session being edited
+let laneEditorSelection = null;         // { slot, lane, points: Set, range: [fromMs, toMs] }
+let laneEditorDrag = null;              // Active point drag or range select
+
+// =================== OPEN / CLOSE ===================
+function toggleLaneEditor() {
+    if (laneEditorSessions) {
+        closeLaneEditor();
+    } else {
+        openLaneEditor();
+    }
+}
+
+function openLaneEditor() {
+    if (isRecording || isCountdown || recordingSessions.length === 0) return;
+
+    laneEditorSessions = JSON.parse(JSON.stringify(recordingSessions));
+    laneEditorSessionIndex = laneEditorSessions.length - 1;
+    laneEditorSelection = null;
+
+    const editor = document.getElementById('lane-editor');
+    if (editor) editor.style.display = 'block';
+    const editButton = document.getElementById('edit-lanes-btn');
+    if (editButton) editButton.classList.add('active');
+
+    renderLaneEditorSessions();
+    renderLaneEditor();
+    console.log('Opened automation lane editor');
+}
+
+// Hide the editor and drop any edits that were not applied
+function closeLaneEditor() {
+    laneEditorSessions = null;
+    laneEditorSelection = null;
+    laneEditorDrag = null;
+
+    const editor = document.getElementById('lane-editor');
+    if (editor) editor.style.display = 'none';
+    const editButton = document.getElementById('edit-lanes-btn');
+    if (editButton) editButton.classList.remove('active');
+}
+
+function applyLaneEdits() {
+    if (!laneEditorSessions) return;
+
+    pushUndoSnapshot('lane edits');
+    recordingSessions = laneEditorSessions;
+    storeActiveTake();
+    console.log('Applied automation edits to recording sessions');
+    closeLaneEditor();
+}
+
+function cancelLaneEdits() {
+    console.log('Discarded automation edits');
+    closeLaneEditor();
+}
+
+function showLaneEditorButton(visible) {
+    const editButton = document.getElementById('edit-lanes-btn');
+    if (editButton) editButton.style.display = visible ? 'block' : 'none';
+    if (!visible) closeLaneEditor();
+}
+
+// =================== RENDERING ===================
+function renderLaneEditorSessions() {
+    const select = document.getElementById('lane-editor-session');
+    if (!select) return;
+
+    select.innerHTML = laneEditorSessions.map((session, index) =>
+        `<option value="${index}"${index === laneEditorSessionIndex ? ' selected' : ''}>${index === 0 ? 'Take' : 'Overdub'} ${index + 1}</option>`
+    ).join('');
+}
+
+function selectLaneEditorSession(value) {
+    laneEditorSessionIndex = parseInt(value) || 0;
+    laneEditorSelection = null;
+    renderLaneEditor();
+}
+
+function renderLaneEditor() {
+    const container = document.getElementById('lane-editor-lanes');
+    if (!container || !laneEditorSessions) return;
+
+    const rows = [];
+    videos.forEach((video, slot) => {
+        if (!video) return;
+        LANE_EDITOR_LANES.forEach(definition => {
+            rows.push(`
+                <div class="lane-row">
+                    <span class="lane-row-label">${slot + 1} ${definition.label}</span>
+                    <canvas class="lane-canvas" id="lane-canvas-${slot}-${definition.lane}" data-slot="${slot}" data-lane="${definition.lane}"></canvas>
+                </div>`);
+        });
+    });
+    container.innerHTML = rows.join('');
+
+    container.querySelectorAll('.lane-canvas').forEach(canvas => {
+        canvas.addEventListener('mousedown', handleLaneMouseDown);
+        canvas.addEventListener('dblclick', handleLaneDoubleClick);
+        drawLane(canvas);
+    });
+}
+
+function redrawLane(slot, lane) {
+    const canvas = document.getElementById(`lane-canvas-${slot}-${lane}`);
+    if (canvas) drawLane(canvas);
+}
+
+function drawLane(canvas) {
+    const slot = parseInt(canvas.dataset.slot);
+    const lane = canvas.dataset.lane;
+    const definition = getLaneDefinition(lane);
+    const points = getLanePoints(slot, lane, false);
+
+    // Match the backing store to the displayed size for crisp lines
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.clientWidth * ratio;
+    canvas.height = canvas.clientHeight * ratio;
+    const context = canvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+
+    context.clearRect(0, 0, width, height);
+
+    // One gridline per bar when the cut has a tempo, otherwise per 5 seconds
+    const gridMs = compositionBpm ?
+        CompositionEngine.getBeatMs(compositionBpm) * CompositionEngine.BEATS_PER_BAR :
+        5000;
+    context.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+    context.lineWidth = 1;
+    for (let ms = gridMs; ms < compositionDuration; ms += gridMs) {
+        const x = Math.round(timeToLaneX(ms, width)) + 0.5;
+        context.beginPath();
+        context.moveTo(x, 0);
+        context.lineTo(x, height);
+        context.stroke();
+    }
+
+    // Outside a punched session's window nothing it holds is played
+    const timeRange = getLaneEditorTimeRange();
+    if (timeRange.isPunched) {
+        context.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        context.fillRect(0, 0, timeToLaneX(timeRange.fromMs, width), height);
+        const outX = timeToLaneX(timeRange.toMs, width);
+        context.fillRect(outX, 0, width - outX, height);
+    }
+
+    // Selected time range
+    const selection = getLaneSelection(slot, lane);
+    if (selection && selection.range) {
+        const fromX = timeToLaneX(Math.min(...selection.range), width);
+        const toX = timeToLaneX(Math.max(...selection.range), width);
+        context.fillStyle = 'rgba(0, 188, 212, 0.15)';
+        context.fillRect(fromX, 0, toX - fromX, height);
+    }
+
+    if (!points) return;
+
+    if (lane === CompositionEngine.EVENT_LANE) {
+        drawJumpLane(context, points, selection, width, height);
+    } else {
+        drawValueLane(context, points, definition, selection, width, height);
+    }
+}
+
+// Draw the curve the engine will play: blended across short gaps, held across long ones
+function drawValueLane(context, points, definition, selection, width, height) {
+    if (points.length === 0) return;
+
+    const toY = value => valueToLaneY(value, definition, height);
+    context.strokeStyle = '#ff9500';
+    context.lineWidth = 1.5;
+    context.beginPath();
+    context.moveTo(timeToLaneX(points[0].timestamp, width), toY(points[0].value));
+    for (let i = 1; i < points.length; i++) {
+        const previous = points[i - 1];
+        const point = points[i];
+        const x = timeToLaneX(point.timestamp, width);
+        if (point.timestamp - previous.timestamp >= CompositionEngine.INTERPOLATION_WINDOW_MS) {
+            context.lineTo(x, toY(previous.value));
+        }
+        context.lineTo(x, toY(point.value));
+    }
+    context.lineTo(width, toY(points[points.length - 1].value));
+    context.stroke();
+
+    points.forEach(point => {
+        const isSelected = selection && selection.points.has(point);
+        context.fillStyle = isSelected ? '#00bcd4' : '#fff';
+        context.beginPath();
+        context.arc(timeToLaneX(point.timestamp, width), toY(point.value), isSelected ? 4 : 3, 0, Math.PI * 2);
+        context.fill();
+    });
+}
+
+function drawJumpLane(context, points, selection, width, height) {
+    context.font = '10px sans-serif';
+    context.textBaseline = 'top';
+    points.forEach(point => {
+        if (point.action !== 'jump') return;
+        const isSelected = selection && selection.points.has(point);
+        const x = Math.round(timeToLaneX(point.timestamp, width)) + 0.5;
+
+        context.strokeStyle = isSelected ? '#00bcd4' : '#ff9500';
+        context.lineWidth = isSelected ? 2 : 1;
+        context.beginPath();
+        context.moveTo(x, 0);
+        context.lineTo(x, height);
+        context.stroke();
+
+        context.fillStyle = isSelected ? '#00bcd4' : '#ff9500';
+        context.fillText(String(point.keyframeIndex + 1), x + 3, 2);
+    });
+}
+
+// =================== COORDINATES ===================
+function timeToLaneX(timeMs, width) {
+    return (timeMs / compositionDuration) * width;
+}
+
+function laneXToTime(x, width) {
+    return Math.max(0, Math.min(compositionDuration, Math.round((x / width) * compositionDuration)));
+}
+
+// Times the edited session plays: its punch window, or the whole cut.
+// toMs is exclusive for a punch (CompositionEngine.isSessionActive).
+function getLaneEditorTimeRange() {
+    const session = laneEditorSessions && laneEditorSessions[laneEditorSessionIndex];
+    const punch = session && session.punch;
+    if (!punch) return { fromMs: 0, toMs: compositionDuration, isPunched: false };
+    return { fromMs: punch.inMs, toMs: punch.outMs, isPunched: true };
+}
+
+// Keep an edited point where the session will actually play it
+function clampLaneTime(timeMs) {
+    const timeRange = getLaneEditorTimeRange();
+    const lastMs = timeRange.isPunched ? timeRange.toMs - LANE_EDITOR_MIN_GAP_MS : timeRange.toMs;
+    return Math.max(timeRange.fromMs, Math.min(lastMs, timeMs));
+}
+
+function valueToLaneY(value, definition, height) {
+    const padding = 4;
+    const fraction = (value - definition.min) / (definition.max - definition.min);
+    return padding + (1 - fraction) * (height - padding * 2);
+}
+
+function laneYToValue(y, definition, height) {
+    const padding = 4;
+    const fraction = 1 - (y - padding) / (height - padding * 2);
+    const value = definition.min + fraction * (definition.max - definition.min);
+    return Math.max(definition.min, Math.min(definition.max, Math.round(value)));
+}
+
+function getLaneDefinition(lane) {
+    return LANE_EDITOR_LANES.find(definition => definition.lane === lane);
+}
+
+// Points of one lane in the session being edited. With create = true a
+// missing slot or lane is added so new points have somewhere to go.
+function getLanePoints(slot, lane, create) {
+    const session = laneEditorSessions && laneEditorSessions[laneEditorSessionIndex];
+    if (!session) return null;
+
+    if (!session.controlData[slot]) {
+        if (!create) return null;
+        session.controlData[slot] = CompositionEngine.createSlotControlData();
+    }
+    if (!session.controlData[slot][lane]) {
+        if (!create) return null;
+        session.controlData[slot][lane] = [];
+    }
+    return session.controlData[slot][lane];
+}
+
+function getLaneSelection(slot, lane) {
+    if (!laneEditorSelection) return null;
+    if (laneEditorSelection.slot !== slot || laneEditorSelection.lane !== lane) return null;
+    return laneEditorSelection;
+}
+
+// Point under the cursor, nearest first
+function findLanePoint(canvas, points, x, y) {
+    const definition = getLaneDefinition(canvas.dataset.lane);
+    const isEventLane = canvas.dataset.lane === CompositionEngine.EVENT_LANE;
+    let closest = null;
+    let closestDistance = LANE_EDITOR_HIT_RADIUS;
+
+    (points || []).forEach(point => {
+        if (isEventLane && point.action !== 'jump') return;
+        const pointX = timeToLaneX(point.timestamp, canvas.clientWidth);
+        const distance = isEventLane ?
+            Math.abs(pointX - x) :
+            Math.hypot(pointX - x, valueToLaneY(point.value, definition, canvas.clientHeight) - y);
+        if (distance <= closestDistance) {
+            closest = point;
+            closestDistance = distance;
+        }
+    });
+    return closest;
+}
+
+function getLaneMousePosition(canvas, event) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+// =================== INTERACTION ===================
+function handleLaneMouseDown(event) {
+    if (event.button !== 0) return;
+    event.preventDefault();
+
+    const canvas = event.currentTarget;
+    const slot = parseInt(canvas.dataset.slot);
+    const lane = canvas.dataset.lane;
+    const points = getLanePoints(slot, lane, false);
+    const position = getLaneMousePosition(canvas, event);
+    const hitPoint = findLanePoint(canvas, points, position.x, position.y);
+
+    if (hitPoint) {
+        // Clicking outside the current selection starts a new one
+        let selection = getLaneSelection(slot, lane);
+        if (!selection || (!selection.points.has(hitPoint) && !event.shiftKey)) {
+            selection = { slot: slot, lane: lane, points: new Set(), range: null };
+        }
+        selection.points.add(hitPoint);
+        laneEditorSelection = selection;
+
+        laneEditorDrag = {
+            type: 'points',
+            canvas: canvas,
+            startX: position.x,
+            startY: position.y,
+            origins: [...selection.points].map(point => ({
+                point: point,
+                timestamp: point.timestamp,
+                value: point.value
+            }))
+        };
+    } else {
+        const startTime = laneXToTime(position.x, canvas.clientWidth);
+        laneEditorSelection = { slot: slot, lane: lane, points: new Set(), range: [startTime, startTime] };
+        laneEditorDrag = { type: 'range', canvas: canvas };
+    }
+
+    redrawAllLanes();
+    document.addEventListener('mousemove', handleLaneMouseMove);
+    document.addEventListener('mouseup', handleLaneMouseUp);
+}
+
+function handleLaneMouseMove(event) {
+    if (!laneEditorDrag) return;
+
+    const canvas = laneEditorDrag.canvas;
+    const slot = parseInt(canvas.dataset.slot);
+    const lane = canvas.dataset.lane;
+    const position = getLaneMousePosition(canvas, event);
+    const width = canvas.clientWidth;
+
+    if (laneEditorDrag.type === 'points') {
+        const definition = getLaneDefinition(lane);
+        const deltaMs = Math.round(((position.x - laneEditorDrag.startX) / width) * compositionDuration);
+
+        laneEditorDrag.origins.forEach(origin => {
+            origin.point.timestamp = clampLaneTime(origin.timestamp + deltaMs);
+            if (lane !== CompositionEngine.EVENT_LANE) {
+                const startValueY = valueToLaneY(origin.value, definition, canvas.clientHeight);
+                origin.point.value = laneYToValue(startValueY + position.y - laneEditorDrag.startY, definition, canvas.clientHeight);
+            }
+        });
+    } else {
+        const selection = laneEditorSelection;
+        selection.range[1] = laneXToTime(position.x, width);
+        const fromMs = Math.min(...selection.range);
+        const toMs = Math.max(...selection.range);
+        selection.points = new Set((getLanePoints(slot, lane, false) || []).filter(point =>
+            point.timestamp >= fromMs && point.timestamp <= toMs &&
+            (lane !== CompositionEngine.EVENT_LANE || point.action === 'jump')
+        ));
+    }
+
+    redrawLane(slot, lane);
+}
+
+function handleLaneMouseUp() {
+    document.removeEventListener('mousemove', handleLaneMouseMove);
+    document.removeEventListener('mouseup', handleLaneMouseUp);
+    if (!laneEditorDrag) return;
+
+    const canvas = laneEditorDrag.canvas;
+    const slot = parseInt(canvas.dataset.slot);
+    const lane = canvas.dataset.lane;
+
+    if (laneEditorDrag.type === 'points') {
+        sortLanePoints(slot, lane);
+    } else if (laneEditorSelection && laneEditorSelection.range[0] === laneEditorSelection.range[1]) {
+        // A plain click on empty space just clears the selection
+        laneEditorSelection = null;
+    }
+
+    laneEditorDrag = null;
+    redrawLane(slot, lane);
+}
+
+function handleLaneDoubleClick(event) {
+    const canvas = event.currentTarget;
+    const slot = parseInt(canvas.dataset.slot);
+    const lane = canvas.dataset.lane;
+    const position = getLaneMousePosition(canvas, event);
+    const hitPoint = findLanePoint(canvas, getLanePoints(slot, lane, false), position.x, position.y);
+
+    if (hitPoint) {
+        removeLanePoints(slot, lane, new Set([hitPoint]));
+    } else if (lane !== CompositionEngine.EVENT_LANE) {
+        // Jumps need a keyframe, so only value lanes can gain points here
+        const points = getLanePoints(slot, lane, true);
+        points.push({
+            timestamp: clampLaneTime(laneXToTime(position.x, canvas.clientWidth)),
+            value: laneYToValue(position.y, getLaneDefinition(lane), canvas.clientHeight)
+        });
+        sortLanePoints(slot, lane);
+    }
+
+    laneEditorSelection = null;
+    redrawLane(slot, lane);
+}
+
+function handleLaneEditorKeyDown(event) {
+    if (!laneEditorSessions || !laneEditorSelection) return;
+    if (event.key !== 'Delete' && event.key !== 'Backspace') return;
+    if (event.target && (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT')) return;
+
+    event.preventDefault();
+    const { slot, lane, points } = laneEditorSelection;
+    removeLanePoints(slot, lane, points);
+    laneEditorSelection = null;
+    redrawLane(slot, lane);
+}
+
+// =================== QUANTIZE ===================
+// Snap the session being edited to the beat grid, using the same
+// division and slider setting as live quantize
+function quantizeLaneEditorSession() {
+    if (!laneEditorSessions) return;
+
+    const gridMs = getQuantizeGridMs();
+    if (!gridMs) {
+        showErrorModal('Set a BPM and a quantize value to snap this session to the beat grid.');
+        return;
+    }
+
+    laneEditorSessions[laneEditorSessionIndex] = CompositionEngine.quantizeSession(
+        laneEditorSessions[laneEditorSessionIndex], gridMs, quantizeSliders
+    );
+    laneEditorSelection = null;
+    redrawAllLanes();
+    console.log(`Quantized session ${laneEditorSessionIndex + 1} to ${gridMs}ms`);
+}
+
+// =================== EDITING HELPERS ===================
+// The engine expects every lane in time order
+function sortLanePoints(slot, lane) {
+    const points = getLanePoints(slot, lane, false);
+    if (!points) return;
+
+    points.sort((a, b) => a.timestamp - b.timestamp);
+
+    // Value lanes keep one point per timestamp so the curve stays a function of time
+    if (lane !== CompositionEngine.EVENT_LANE) {
+        for (let i = 1; i < points.length; i++) {
+            if (points[i].timestamp <= points[i - 1].timestamp) {
+                points[i].timestamp = clampLaneTime(points[i - 1].timestamp + LANE_EDITOR_MIN_GAP_MS);
+            }
+        }
+    }
+}
+
+function removeLanePoints(slot, lane, pointsToRemove) {
+    const session = laneEditorSessions[laneEditorSessionIndex];
+    const points = getLanePoints(slot, lane, false);
+    if (!points || pointsToRemove.size === 0) return;
+
+    session.controlData[slot][lane] = points.filter(point => !pointsToRemove.has(point));
+    console.log(`Removed ${pointsToRemove.size} ${lane} point(s) from slot ${slot}`);
+}
+
+function redrawAllLanes() {
+    document.querySelectorAll('.lane-canvas').forEach(canvas => drawLane(canvas));
+}
+
+document.addEventListener('keydown', handleLaneEditorKeyDown);
+window.addEventListener('resize', () => {
+    if (laneEditorSessions) redrawAllLanes();
+});
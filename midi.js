@@ -0,0 +1,348 @@
+/* ===================================================================
+ * SPLICE - MIDI CONTROL
+ * ===================================================================
+ *
+ * Web MIDI input for the create page. Control-change messages drive a
+ * slot's volume or opacity slider and note-on messages fire a slot's
+ * cue buttons. Pads K1-K3 are the three positions of the slot's current
+ * cue page, like the keyboard map, so every cue is reachable by paging.
+ *
+ * Mappings are made with MIDI learn in the MIDI panel: click a target,
+ * then move a fader (volume/opacity) or hit a pad (keyframe). They are
+ * kept in localStorage and can be exported and imported as a profile.
+ *
+ * MIDI input goes through the same functions as the mouse -
+ * updateVolume / updateOpacity and the cue buttons' onclick - so it records
+ * and hijacks exactly like a mouse move, and a disabled control ignores
+ * MIDI the same way it ignores clicks.
+ *
+ * Page script for create.html - loaded after create.js and uses its
+ * globals (videos, slotCount, isRecording, recordingSessions).
+ */
+
+// =================== MIDI STATE ===================
+const MIDI_STORAGE_KEY = 'splice-midi-mappings';
+const MIDI_PROFILE_VERSION = 2;         // 2: keyframe targets are cue page positions
+const MIDI_TARGETS = [
+    { type: 'volume', label: 'Vol' },
+    { type: 'opacity', label: 'Opc' },
+    { type: 'keyframe', cuePosition: 0, label: 'K1' },
+    { type: 'keyframe', cuePosition: 1, label: 'K2' },
+    { type: 'keyframe', cuePosition: 2, label: 'K3' }
+];
+
+let midiAccess = null;
+let midiMappings = loadMidiMappings();  // { 'cc:<channel>:<number>' | 'note:<channel>:<number>': target }
+let midiLearnTarget = null;             // Target waiting for the next matching message
+
+// =================== ACCESS ===================
+// Access is only requested from the panel's Connect button or the first
+// learn click, never on page load
+async function connectMidi() {
+    if (midiAccess) return true;
+    if (!navigator.requestMIDIAccess) {
+        showErrorModal('This browser does not support Web MIDI. Try Chrome or Edge.');
+        return false;
+    }
+
+    try {
+        midiAccess = await navigator.requestMIDIAccess();
+        midiAccess.onstatechange = () => {
+            attachMidiInputs();
+            renderMidiPanel();
+        };
+        attachMidiInputs();
+        console.log('MIDI connected');
+        return true;
+    } catch (error) {
+        console.error('MIDI access failed:', error);
+        showErrorModal('MIDI access was blocked. Allow MIDI devices for this page and try again.');
+        return false;
+    } finally {
+        renderMidiPanel();
+    }
+}
+
+function attachMidiInputs() {
+    midiAccess.inputs.forEach(input => {
+        input.onmidimessage = handleMidiMessage;
+    });
+}
+
+function getMidiInputNames() {
+    if (!midiAccess) return [];
+    const names = [];
+    midiAccess.inputs.forEach(input => {
+        if (input.state === 'connected') names.push(input.name);
+    });
+    return names;
+}
+
+// =================== MESSAGES ===================
+// Control change and note-on; everything else (note-off, clock...) is ignored
+function parseMidiMessage(data) {
+    if (!data || data.length < 3) return null;
+
+    const status = data[0] & 0xf0;
+    const channel = (data[0] & 0x0f) + 1;
+    if (status === 0xb0) {
+        return { kind: 'cc', channel: channel, number: data[1], value: data[2] };
+    }
+    if (status === 0x90 && data[2] > 0) {
+        return { kind: 'note', channel: channel, number: data[1], value: data[2] };
+    }
+    return null;
+}
+
+function getMidiMessageKey(message) {
+    return `${message.kind}:${message.channel}:${message.number}`;
+}
+
+function handleMidiMessage(event) {
+    const message = parseMidiMessage(event.data);
+    if (!message) return;
+
+    if (midiLearnTarget) {
+        learnMidiMessage(message);
+        return;
+    }
+
+    const target = midiMappings[getMidiMessageKey(message)];
+    if (!target) return;
+
+    if (target.type === 'keyframe') {
+        triggerMidiKeyframe(target);
+    } else {
+        applyMidiFader(target, message.value);
+    }
+}
+
+// Move the slider as if it had been dragged to the same position
+function applyMidiFader(target, midiValue) {
+    const slider = document.getElementById(`${target.type === 'volume' ? 'vol' : 'opc'}-${target.slot}`);
+    if (!videos[target.slot] || !slider || slider.disabled) return;
+
+    const value = Math.round(midiValue / 127 * 100);
+    if (parseInt(slider.value) === value) return;
+
+    slider.value = value;
+    if (target.type === 'volume') {
+        updateVolume(target.slot, value);
+    } else {
+        updateOpacity(target.slot, value);
+    }
+}
+
+// Same as clicking the cue button at that position on the slot's
+// current cue page - a cue, or the + button before the first take
+function triggerMidiKeyframe(target) {
+    const cueBtn = getCuePageButtons(target.slot)[target.cuePosition];
+    if (!canFireCue(target.slot, cueBtn)) return;
+    cueBtn.onclick();
+}
+
+// =================== MIDI LEARN ===================
+function startMidiLearn(type, slot, cuePosition = null) {
+    const target = { type: type, slot: slot };
+    if (type === 'keyframe') target.cuePosition = cuePosition;
+
+    // Clicking the armed target again cancels learn
+    midiLearnTarget = isSameMidiTarget(midiLearnTarget, target) ? null : target;
+    renderMidiPanel();
+
+    if (midiLearnTarget) {
+        connectMidi();
+    }
+}
+
+function learnMidiMessage(message) {
+    // Faders map from CCs, keyframes from notes
+    const expectedKind = midiLearnTarget.type === 'keyframe' ? 'note' : 'cc';
+    if (message.kind !== expectedKind) return;
+
+    clearMidiTarget(midiLearnTarget);
+    midiMappings[getMidiMessageKey(message)] = midiLearnTarget;
+    console.log(`Mapped ${getMidiMessageKey(message)} to slot ${midiLearnTarget.slot} ${midiLearnTarget.type}`);
+
+    midiLearnTarget = null;
+    saveMidiMappings();
+    renderMidiPanel();
+}
+
+function isSameMidiTarget(a, b) {
+    return !!a && !!b && a.type === b.type && a.slot === b.slot &&
+        (a.type !== 'keyframe' || a.cuePosition === b.cuePosition);
+}
+
+function findMidiMappingKey(target) {
+    return Object.keys(midiMappings).find(key => isSameMidiTarget(midiMappings[key], target)) || null;
+}
+
+// One control per target
+function clearMidiTarget(target) {
+    const key = findMidiMappingKey(target);
+    if (key) delete midiMappings[key];
+}
+
+function removeMidiMapping(type, slot, cuePosition = null) {
+    clearMidiTarget({ type: type, slot: slot, cuePosition: cuePosition });
+    saveMidiMappings();
+    renderMidiPanel();
+}
+
+function clearAllMidiMappings() {
+    midiMappings = {};
+    midiLearnTarget = null;
+    saveMidiMappings();
+    renderMidiPanel();
+}
+
+// "CC 7 · ch 1", "Note 36 · ch 10"
+function formatMidiMappingKey(key) {
+    const [kind, channel, number] = key.split(':');
+    return `${kind === 'cc' ? 'CC' : 'Note'} ${number} · ch ${channel}`;
+}
+
+// =================== STORAGE & PROFILES ===================
+function loadMidiMappings() {
+    try {
+        const saved = localStorage.getItem(MIDI_STORAGE_KEY);
+        return saved ? sanitizeMidiMappings(JSON.parse(saved)) : {};
+    } catch (error) {
+        console.error('Could not read MIDI mappings:', error);
+        return {};
+    }
+}
+
+function saveMidiMappings() {
+    try {
+        localStorage.setItem(MIDI_STORAGE_KEY, JSON.stringify(midiMappings));
+    } catch (error) {
+        console.error('Could not save MIDI mappings:', error);
+    }
+}
+
+// Keep only well-formed entries from storage or an imported profile.
+// Version 1 profiles mapped K1-K3 by keyframeIndex, which was always 0-2,
+// so those carry over as the same positions on the first cue page.
+function sanitizeMidiMappings(mappings) {
+    const clean = {};
+    Object.keys(mappings || {}).forEach(key => {
+        const target = mappings[key];
+        const keyMatch = /^(cc|note):(\d+):(\d+)$/.exec(key);
+        if (!keyMatch || !target) return;
+
+        const slot = parseInt(target.slot);
+        const validSlot = slot >= 0 && slot < CompositionEngine.MAX_SLOT_COUNT;
+        if (!validSlot) return;
+
+        if (keyMatch[1] === 'cc' && (target.type === 'volume' || target.type === 'opacity')) {
+            clean[key] = { type: target.type, slot: slot };
+        } else if (keyMatch[1] === 'note' && target.type === 'keyframe') {
+            const cuePosition = target.cuePosition !== undefined ? target.cuePosition : target.keyframeIndex;
+            if (Number.isInteger(cuePosition) && cuePosition >= 0 && cuePosition < CUE_PAGE_SIZE) {
+                clean[key] = { type: 'keyframe', slot: slot, cuePosition: cuePosition };
+            }
+        }
+    });
+    return clean;
+}
+
+function exportMidiProfile() {
+    const profile = {
+        app: 'splice',
+        type: 'midi-profile',
+        version: MIDI_PROFILE_VERSION,
+        mappings: midiMappings
+    };
+    const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'splice-midi-profile.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function chooseMidiProfile() {
+    const input = document.getElementById('midi-profile-input');
+    if (input) input.click();
+}
+
+async function importMidiProfile(input) {
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+        const profile = JSON.parse(await file.text());
+        if (!profile || profile.type !== 'midi-profile' || typeof profile.mappings !== 'object') {
+            throw new Error('Not a Splice MIDI profile');
+        }
+        midiMappings = sanitizeMidiMappings(profile.mappings);
+        midiLearnTarget = null;
+        saveMidiMappings();
+        renderMidiPanel();
+        console.log(`Imported ${Object.keys(midiMappings).length} MIDI mapping(s)`);
+    } catch (error) {
+        console.error('Could not import MIDI profile:', error);
+        showErrorModal('That file is not a Splice MIDI profile.');
+    }
+}
+
+// =================== MIDI PANEL ===================
+function openMidiPanel() {
+    const modal = document.getElementById('midi-modal');
+    if (modal) modal.style.display = 'flex';
+    renderMidiPanel();
+}
+
+function closeMidiPanel() {
+    midiLearnTarget = null;
+    const modal = document.getElementById('midi-modal');
+    if (modal) modal.style.display = 'none';
+}
+
+function renderMidiPanel() {
+    const modal = document.getElementById('midi-modal');
+    if (!modal || modal.style.display === 'none') return;
+
+    const status = document.getElementById('midi-status');
+    if (status) {
+        const names = getMidiInputNames();
+        if (!midiAccess) {
+            status.innerHTML = `Not connected <button class="custom-modal-btn file" onclick="connectMidi()">Connect</button>`;
+        } else {
+            // Device names come from the hardware, so they go in as text
+            status.textContent = names.length > 0 ? `Connected: ${names.join(', ')}` : 'No MIDI devices found - plug one in';
+        }
+    }
+
+    const rows = document.getElementById('midi-mapping-rows');
+    if (!rows) return;
+
+    const slotRows = [];
+    for (let slot = 0; slot < slotCount; slot++) {
+        const targets = MIDI_TARGETS.map(definition => {
+            const target = { type: definition.type, slot: slot, cuePosition: definition.cuePosition };
+            const key = findMidiMappingKey(target);
+            const isLearning = isSameMidiTarget(midiLearnTarget, target);
+            const keyframeArg = definition.type === 'keyframe' ? `, ${definition.cuePosition}` : '';
+            return `
+                <div class="midi-target${isLearning ? ' learning' : ''}${key ? ' mapped' : ''}">
+                    <button class="midi-learn-btn" onclick="startMidiLearn('${definition.type}', ${slot}${keyframeArg})"
+                            title="${isLearning ? 'Cancel learn' : `Learn ${definition.label}`}">
+                        <span class="midi-target-label">${definition.label}</span>
+                        <span class="midi-target-value">${isLearning ? 'Move a control…' : (key ? formatMidiMappingKey(key) : 'Learn')}</span>
+                    </button>
+                    ${key ? `<button class="midi-clear-btn" onclick="removeMidiMapping('${definition.type}', ${slot}${keyframeArg})" title="Remove mapping">×</button>` : ''}
+                </div>`;
+        }).join('');
+        slotRows.push(`
+            <div class="midi-slot-row${videos[slot] ? '' : ' empty'}">
+                <span class="midi-slot-label">${slot + 1}</span>
+                ${targets}
+            </div>`);
+    }
+    rows.innerHTML = slotRows.join('');
+}
@@ -17,10 +17,13 @@ let YTReady = false;
 let mainPlayers = {};
 let previewPlayers = {};
 let updateIntervals = {};
+let localFileUrls = {};       // Object URLs for local footage, by slot
 
 // Playback state
-let compositionDuration = 60000; // 60 seconds
+let compositionDuration = CompositionEngine.DEFAULT_DURATION_MS; // Replaced by the cut's own length on load
 let currentPlaybackVolumes = {}; // Track current volumes for smooth transitions
+let loopLastPositions = {};     // Position seen on the previous tick, per looping slot
+let currentPlaybackRates = {};  // Rate each slot's players were last set to
 
 // =================== THEME SYSTEM ===================
 let currentTheme = localStorage.getItem('splice-theme') || 'dark';
@@ -67,6 +70,10 @@ function loadArtPieceForPlayback() {
         const artPieceData = sessionStorage.getItem('currentArtPiece');
         if (artPieceData) {
             currentArtPiece = JSON.parse(artPieceData);
+            compositionDuration = CompositionEngine.getCompositionDuration(currentArtPiece);
+            
+            // Index videos by slot so sessions, modules and players line up
+            currentArtPiece.videos = CompositionEngine.getVideosBySlot(currentArtPiece);
             console.log('Loaded art piece for playback:', currentArtPiece.name);
             console.log('Art piece sessions:', currentArtPiece.sessions);
             
@@ -97,8 +104,18 @@ function setupPlaybackInterface() {
     // Clear any error messages since we're loading successfully
     hideError();
     
+    // Local footage isn't stored with the cut - ask for those files first
+    const missingLocalVideos = currentArtPiece.videos
+        .map((videoData, slot) => ({ videoData, slot }))
+        .filter(({ videoData, slot }) => videoData && videoData.sourceType === 'local' && !localFileUrls[slot]);
+    if (missingLocalVideos.length > 0) {
+        showLocalFileRequestModal(missingLocalVideos);
+        return;
+    }
+    
     // Reset interface
     videos = [];
+    renderPlaybackModules(CompositionEngine.getSlotCount(currentArtPiece));
     
     // Load videos from art piece
     currentArtPiece.videos.forEach((videoData, index) => {
@@ -133,12 +150,17 @@ function loadVideoForPlayback(slot, videoData) {
         slot: slot,
         url: videoData.url,
         videoId: videoData.videoId,
+        sourceType: PlayerAdapters.getSourceType(videoData),
         title: videoData.title || 'Unknown Video',
         duration: videoData.duration || 0,
         currentTime: 0,
-        keyframes: videoData.keyframes || [null, null, null],
+        keyframes: videoData.keyframes || [],
+        cueLabels: videoData.cueLabels || [],
+        loopRegion: CompositionEngine.normalizeLoopRegion(videoData.loopRegion),
         volume: 50,
-        opacity: 100
+        opacity: 100,
+        blendMode: 'normal',
+        speed: 1
     };
     
     videos[slot] = video;
@@ -149,7 +171,8 @@ function loadVideoForPlayback(slot, videoData) {
     updateVideoModuleForPlayback(slot, video);
     
     // Create players
-    createPlaybackPlayers(slot, video.videoId);
+    const source = video.sourceType === 'local' ? localFileUrls[slot] : video.videoId;
+    createPlaybackPlayers(slot, source);
 }
 
 function updateVideoModuleForPlayback(slot, video) {
@@ -161,12 +184,14 @@ function updateVideoModuleForPlayback(slot, video) {
         <div class="video-preview" id="preview-${slot}"></div>
         <div class="video-info">
             <div class="current-time" id="current-time-${slot}">0:00</div>
-            <div class="keyframe-controls">
-                ${video.keyframes.map((time, index) => 
-                    `<button class="keyframe-btn ${time !== null ? 'filled' : 'empty'} playback-readonly" 
-                            id="keyframe-${slot}-${index}" 
+            <div class="keyframe-controls cue-list">
+                ${CompositionEngine.getCuePoints(video).map(cue => 
+                    `<button class="keyframe-btn filled playback-readonly${cue.color ? ' cue-colored' : ''}" 
+                            id="keyframe-${slot}-${cue.keyframeIndex}" 
+                            title="${cue.name ? `${escapeHtml(cue.name)} - ` : ''}${formatTime(cue.time)}"
+                            ${cue.color ? `style="--cue-color: ${cue.color};"` : ''}
                             disabled>
-                        ${time !== null ? `<span class="keyframe-time">${formatTime(time)}</span>` : '<span class="keyframe-plus">+</span>'}
+                        <span class="keyframe-time">${cue.name ? escapeHtml(cue.name) : formatTime(cue.time)}</span>
                     </button>`
                 ).join('')}
             </div>
@@ -204,6 +229,47 @@ function updateVideoModuleForPlayback(slot, video) {
                        value="${video.opacity}"
                        disabled>
             </div>
+            <div class="control-row">
+                <span class="control-icon">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                        <circle cx="9" cy="12" r="6" fill="none" stroke="currentColor" stroke-width="2"/>
+                        <circle cx="15" cy="12" r="6" fill="currentColor" opacity="0.6"/>
+                    </svg>
+                </span>
+                <select class="blend-select" id="blend-${slot}" disabled>
+                    ${CompositionEngine.BLEND_MODES.map(mode =>
+                        `<option value="${mode}"${mode === video.blendMode ? ' selected' : ''}>${CompositionEngine.getBlendModeLabel(mode)}</option>`
+                    ).join('')}
+                </select>
+            </div>
+            <div class="control-row">
+                <span class="control-icon">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M20.38 8.57l-1.23 1.85a8 8 0 0 1-.22 7.58H5.07A8 8 0 0 1 15.58 6.85l1.85-1.23A10 10 0 0 0 3.35 19a2 2 0 0 0 1.72 1h13.85a2 2 0 0 0 1.74-1 10 10 0 0 0-.27-10.44zm-9.79 6.84a2 2 0 0 0 2.83 0l5.66-8.49-8.49 5.66a2 2 0 0 0 0 2.83z"/>
+                    </svg>
+                </span>
+                <select class="speed-select" id="speed-${slot}" disabled>
+                    ${CompositionEngine.PLAYBACK_RATES.map(rate =>
+                        `<option value="${rate}"${rate === video.speed ? ' selected' : ''}>${rate}x</option>`
+                    ).join('')}
+                </select>
+            </div>
+            <div class="control-row mute-row">
+                <button class="mute-btn" id="mute-${slot}" title="Mute" disabled>M</button>
+                <button class="solo-btn" id="solo-${slot}" title="Solo" disabled>S</button>
+            </div>
+            ${video.loopRegion ? `
+            <div class="control-row loop-row">
+                <button class="loop-btn" id="loop-${slot}" title="Loop A-B" disabled>
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M7 7h10v3l4-4-4-4v3H5v6h2V7zm10 10H7v-3l-4 4 4 4v-3h12v-6h-2v4z"/>
+                    </svg>
+                </button>
+                <button class="loop-point-btn set" disabled>A ${formatTime(video.loopRegion.inTime)}</button>
+                <button class="loop-point-btn set" disabled>B ${formatTime(video.loopRegion.outTime)}</button>
+            </div>` : ''}
+            ${renderPlaybackEffectPanel(slot, 'filter', 'Filters', CompositionEngine.FILTER_LANES)}
+            ${renderPlaybackEffectPanel(slot, 'transform', 'Transform', CompositionEngine.TRANSFORM_LANES)}
         </div>
     `;
     
@@ -211,7 +277,7 @@ function updateVideoModuleForPlayback(slot, video) {
     currentPlaybackVolumes[slot] = video.volume;
 }
 
-function createPlaybackPlayers(slot, videoId) {
+function createPlaybackPlayers(slot, source) {
     // Determine starting position from leftmost keyframe
     const leftmostKeyframe = videos[slot].keyframes.find(k => k !== null);
     const startTime = leftmostKeyframe !== undefined && leftmostKeyframe !== null ? leftmostKeyframe : 0;
@@ -219,86 +285,193 @@ function createPlaybackPlayers(slot, videoId) {
     console.log(`Creating players for slot ${slot} starting at ${startTime}s`);
     
     // Create preview player (small, in module) - ready but not playing
-    previewPlayers[slot] = new YT.Player(`preview-${slot}`, {
-        videoId: videoId,
+    previewPlayers[slot] = PlayerAdapters.createAdapter(videos[slot].sourceType, `preview-${slot}`, {
+        source: source,
         width: '100%',
         height: '100%',
+        muted: true, // Preview players are always muted
+        startSeconds: startTime, // Ready at the correct position
         playerVars: {
             autoplay: 0, // Wait for user to choose fullscreen option
-            controls: 0,
-            modestbranding: 1,
-            rel: 0,
-            showinfo: 0,
-            mute: 1, // Preview players are always muted
-            loop: 0,
-            start: Math.floor(startTime) // Ready at the correct position
+            loop: 0
         },
-        events: {
-            onReady: function(event) {
-                console.log(`Preview player ${slot} ready, starting at ${startTime}s`);
-                event.target.setVolume(0); // Ensure muted
-                
-                // Get video duration
-                videos[slot].duration = event.target.getDuration();
-                
-                // Update timeline display to show starting position
-                updateTimelineDisplayForPlayback(slot, startTime);
-                
-                // Start timeline updates for this video
-                startTimelineUpdatesForPlayback(slot);
-            },
-            onError: function(event) {
-                console.error(`Preview player ${slot} error:`, event.data);
-            }
+        onReady: function(player) {
+            console.log(`Preview player ${slot} ready, starting at ${startTime}s`);
+            player.setVolume(0); // Ensure muted
+            
+            // Get video duration
+            videos[slot].duration = player.getDuration();
+            renderCueMarkers(slot);
+            
+            // Update timeline display to show starting position
+            updateTimelineDisplayForPlayback(slot, startTime);
+            
+            // Start timeline updates for this video
+            startTimelineUpdatesForPlayback(slot);
+        },
+        onError: function(error) {
+            console.error(`Preview player ${slot} error:`, error.code);
         }
     });
     
     // Create main player (large, in composite) - ready but not playing
+    const initialState = CompositionEngine.getMixerState(currentArtPiece, 0).slots[slot];
     const mainPlayerDiv = document.createElement('div');
     mainPlayerDiv.id = `main-player-${slot}`;
     mainPlayerDiv.style.cssText = `
         position: absolute;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
         opacity: ${videos[slot].opacity / 100};
-        z-index: ${slot + 1};
+        mix-blend-mode: ${videos[slot].blendMode};
+        filter: ${CompositionEngine.getFilterCss(videos[slot])};
+        transform: ${CompositionEngine.getTransformCss(videos[slot])};
+        clip-path: ${CompositionEngine.getClipPathCss(videos[slot])};
+        z-index: ${initialState.zIndex};
+        transition: left 0.4s ease-in-out, top 0.4s ease-in-out, width 0.4s ease-in-out, height 0.4s ease-in-out;
         pointer-events: none;
     `;
     
     document.getElementById('preview-content').appendChild(mainPlayerDiv);
     
-    mainPlayers[slot] = new YT.Player(`main-player-${slot}`, {
-        videoId: videoId,
+    mainPlayers[slot] = PlayerAdapters.createAdapter(videos[slot].sourceType, `main-player-${slot}`, {
+        source: source,
         width: '100%',
         height: '100%',
+        startSeconds: startTime, // Ready at the correct position
         playerVars: {
             autoplay: 0, // Wait for user to choose fullscreen option
-            controls: 0,
-            modestbranding: 1,
-            rel: 0,
-            showinfo: 0,
             mute: 0,
-            loop: 0,
-            start: Math.floor(startTime) // Ready at the correct position
+            loop: 0
         },
-        events: {
-            onReady: function(event) {
-                console.log(`Main player ${slot} ready, starting at ${startTime}s`);
-                
-                // Unmute main players for audio playback
-                event.target.unMute();
-                event.target.setVolume(videos[slot].volume);
-                
-                // Initialize current volume tracking
-                currentPlaybackVolumes[slot] = videos[slot].volume;
-            },
-            onError: function(event) {
-                console.error(`Main player ${slot} error:`, event.data);
-            }
+        onReady: function(player) {
+            console.log(`Main player ${slot} ready, starting at ${startTime}s`);
+            
+            // Unmute main players for audio playback
+            player.unmute();
+            player.setVolume(videos[slot].volume);
+            
+            // Initialize current volume tracking
+            currentPlaybackVolumes[slot] = videos[slot].volume;
+        },
+        onError: function(error) {
+            console.error(`Main player ${slot} error:`, error.code);
         }
     });
+    
+    // After the adapter has taken over the layer, which resets its size
+    playbackLayoutData(slot, initialState.layoutRect);
+}
+
+// Read-only filter or transform sliders, folded away until opened
+function renderPlaybackEffectPanel(slot, panel, title, lanes) {
+    const rows = Object.keys(lanes).map(lane => {
+        const control = lanes[lane];
+        return `
+                <div class="control-row effect-row">
+                    <span class="effect-label">${control.label}</span>
+                    <input type="range" class="slider" id="${panel}-${lane}-${slot}" min="${control.min}" max="${control.max}" step="${control.step}" value="${control.defaultValue}" disabled>
+                </div>`;
+    }).join('');
+    
+    return `
+            <button class="effect-panel-toggle" onclick="toggleEffectPanel(${slot}, '${panel}')" id="${panel}-toggle-${slot}">${title}</button>
+            <div class="effect-panel" id="${panel}-controls-${slot}">${rows}
+            </div>`;
+}
+
+function toggleEffectPanel(slot, panel) {
+    const panelElement = document.getElementById(`${panel}-controls-${slot}`);
+    const toggle = document.getElementById(`${panel}-toggle-${slot}`);
+    if (!panelElement) return;
+    
+    const isOpen = panelElement.classList.toggle('open');
+    if (toggle) toggle.classList.toggle('active', isOpen);
+}
+
+// =================== LOCAL FOOTAGE REQUEST ===================
+function showLocalFileRequestModal(missingLocalVideos) {
+    const existingModal = document.getElementById('local-file-modal');
+    if (existingModal) {
+        existingModal.remove();
+    }
+    
+    const loadingState = document.getElementById('loading-state');
+    if (loadingState) {
+        loadingState.style.display = 'none';
+    }
+    
+    const modal = document.createElement('div');
+    modal.id = 'local-file-modal';
+    modal.className = 'custom-modal';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+        <div class="custom-modal-content">
+            <div class="custom-modal-title">Find Local Footage</div>
+            <div class="custom-modal-hint">This cut uses video files from a computer. Choose them again to play it back.</div>
+            <div class="local-file-list">
+                ${missingLocalVideos.map(({ videoData, slot }) => `
+                    <div class="local-file-row" id="local-file-row-${slot}">
+                        <span class="local-file-name">${videoData.fileName || videoData.title}</span>
+                        <input type="file" id="local-file-input-${slot}" accept="video/mp4,video/webm,.mp4,.webm" style="display: none;" onchange="handleLocalFileSelected(${slot}, this)">
+                        <button class="custom-modal-btn file" id="local-file-btn-${slot}" onclick="document.getElementById('local-file-input-${slot}').click()">Choose...</button>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="custom-modal-buttons">
+                <button class="custom-modal-btn cancel" onclick="window.location.href='index.html'">Cancel</button>
+                <button class="custom-modal-btn primary" id="local-file-continue-btn" onclick="closeLocalFileRequestModal()" disabled>Continue</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+}
+
+async function handleLocalFileSelected(slot, input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    
+    const videoData = currentArtPiece.videos[slot];
+    
+    try {
+        const fingerprint = await PlayerAdapters.fingerprintFile(file);
+        if (videoData.fingerprint && fingerprint !== videoData.fingerprint) {
+            const useAnyway = confirm(`"${file.name}" doesn't match the footage this cut was made with ("${videoData.fileName}").\n\nUse it anyway?`);
+            if (!useAnyway) return;
+        }
+    } catch (error) {
+        console.error('Error reading local video:', error);
+        alert('Could not read this video file. Please try another one.');
+        return;
+    }
+    
+    if (localFileUrls[slot]) {
+        URL.revokeObjectURL(localFileUrls[slot]);
+    }
+    localFileUrls[slot] = URL.createObjectURL(file);
+    console.log(`Local footage for slot ${slot} found:`, file.name);
+    
+    const row = document.getElementById(`local-file-row-${slot}`);
+    if (row) {
+        row.classList.add('found');
+    }
+    const button = document.getElementById(`local-file-btn-${slot}`);
+    if (button) {
+        button.textContent = 'Found';
+    }
+    
+    // Continue once every local slot has a file
+    const allFound = currentArtPiece.videos.every((data, index) =>
+        !data || data.sourceType !== 'local' || localFileUrls[index]);
+    document.getElementById('local-file-continue-btn').disabled = !allFound;
+}
+
+function closeLocalFileRequestModal() {
+    const modal = document.getElementById('local-file-modal');
+    if (modal) {
+        modal.remove();
+    }
+    setupPlaybackInterface();
 }
 
 // =================== PLAYBACK CONTROLS ===================
@@ -309,6 +482,12 @@ function initializePlaybackControls() {
         scrubber.value = 0;
     }
     
+    // Scrubber spans this cut's length
+    const overlayScrubber = document.getElementById('overlay-scrubber');
+    if (overlayScrubber) {
+        overlayScrubber.max = compositionDuration;
+    }
+    
     // Reset time display
     updatePlaybackTimeDisplay(0);
     
@@ -350,11 +529,11 @@ function startPlayback() {
     
     // Start all players
     Object.keys(mainPlayers).forEach(slot => {
-        if (mainPlayers[slot] && mainPlayers[slot].playVideo) {
-            mainPlayers[slot].playVideo();
+        if (mainPlayers[slot] && mainPlayers[slot].play) {
+            mainPlayers[slot].play();
         }
-        if (previewPlayers[slot] && previewPlayers[slot].playVideo) {
-            previewPlayers[slot].playVideo();
+        if (previewPlayers[slot] && previewPlayers[slot].play) {
+            previewPlayers[slot].play();
         }
     });
     
@@ -388,11 +567,11 @@ function pausePlayback() {
     
     // Pause all players
     Object.keys(mainPlayers).forEach(slot => {
-        if (mainPlayers[slot] && mainPlayers[slot].pauseVideo) {
-            mainPlayers[slot].pauseVideo();
+        if (mainPlayers[slot] && mainPlayers[slot].pause) {
+            mainPlayers[slot].pause();
         }
-        if (previewPlayers[slot] && previewPlayers[slot].pauseVideo) {
-            previewPlayers[slot].pauseVideo();
+        if (previewPlayers[slot] && previewPlayers[slot].pause) {
+            previewPlayers[slot].pause();
         }
     });
 }
@@ -400,9 +579,10 @@ function pausePlayback() {
 function updatePlaybackTime() {
     if (!isPlaybackActive) return;
     
+    const previousTime = playbackCurrentTime;
     playbackCurrentTime = Date.now() - playbackStartTime;
     
-    // Stop at 60 seconds and show completion modal
+    // Stop at the end of the composition and show completion modal
     if (playbackCurrentTime >= compositionDuration) {
         playbackCurrentTime = compositionDuration;
         pausePlayback();
@@ -413,8 +593,8 @@ function updatePlaybackTime() {
     // Update displays
     updatePlaybackTimeDisplay(playbackCurrentTime);
     
-    // Apply recorded data
-    applyRecordedDataAtTime(playbackCurrentTime);
+    // Apply recorded data, firing jumps recorded since the previous tick
+    applyRecordedDataAtTime(playbackCurrentTime, previousTime > 0 ? previousTime : -1);
 }
 
 function scrubPlayback(timeMs) {
@@ -425,21 +605,26 @@ function scrubPlayback(timeMs) {
         playbackStartTime = Date.now() - newTime;
     }
     
-    // Seek all players
-    Object.keys(mainPlayers).forEach(slot => {
-        if (mainPlayers[slot] && mainPlayers[slot].seekTo) {
-            mainPlayers[slot].seekTo(newTime / 1000);
+    // Seek every player to where the recorded jumps put it at this time
+    const state = CompositionEngine.getMixerState(currentArtPiece, newTime);
+    Object.keys(state.slots).forEach(slot => {
+        const position = state.slots[slot].position;
+        if (mainPlayers[slot] && mainPlayers[slot].seek) {
+            mainPlayers[slot].seek(position, true);
         }
-        if (previewPlayers[slot] && previewPlayers[slot].seekTo) {
-            previewPlayers[slot].seekTo(newTime / 1000);
+        if (previewPlayers[slot] && previewPlayers[slot].seek) {
+            previewPlayers[slot].seek(position, true);
         }
     });
     
     // Update display
     updatePlaybackTimeDisplay(newTime);
     
-    // Apply recorded data
-    applyRecordedDataAtTime(newTime);
+    // Loops start watching again from the new position
+    loopLastPositions = {};
+    
+    // Apply recorded data (no jumps - the seek above already placed every slot)
+    applyRecordedDataAtTime(newTime, newTime);
 }
 
 function updatePlaybackTimeDisplay(timeMs) {
@@ -461,54 +646,37 @@ function updatePlaybackTimeDisplay(timeMs) {
 }
 
 // =================== RECORDED DATA PLAYBACK ===================
-function applyRecordedDataAtTime(currentTime) {
+function applyRecordedDataAtTime(currentTime, previousTime) {
     if (!currentArtPiece || !currentArtPiece.sessions) return;
     
-    // Apply data from all sessions
-    currentArtPiece.sessions.forEach((session, sessionIndex) => {
-        playbackSessionData(session, currentTime);
-    });
-}
-
-function playbackSessionData(session, currentTime) {
-    if (!session || !session.controlData) return;
-    
-    Object.keys(session.controlData).forEach(slot => {
-        const slotData = session.controlData[slot];
+    // Apply data from all sessions (master volume is already in each slot's outputVolume)
+    const state = CompositionEngine.getMixerState(currentArtPiece, currentTime);
+    playbackMasterFadeData(state.master.fade, state.master.fadeColor);
+    Object.keys(state.slots).forEach(slot => {
         const slotNum = parseInt(slot);
+        if (!mainPlayers[slotNum]) return;
         
-        // Apply volume data with smooth interpolation
-        if (slotData.volume && mainPlayers[slotNum]) {
-            playbackVolumeData(slotNum, slotData.volume, currentTime);
-        }
-        
-        // Apply opacity data
-        if (slotData.opacity && mainPlayers[slotNum]) {
-            playbackOpacityData(slotNum, slotData.opacity, currentTime);
-        }
-        
-        // Apply timestamp data (keyframe button highlighting)
-        if (slotData.timestamps) {
-            playbackTimestampData(slotNum, slotData.timestamps, currentTime);
-        }
+        playbackVolumeData(slotNum, state.slots[slot].volume, state.slots[slot].outputVolume);
+        playbackOpacityData(slotNum, state.slots[slot].opacity, state.slots[slot].outputOpacity);
+        playbackBlendModeData(slotNum, state.slots[slot].blendMode);
+        playbackLoopData(slotNum, state.slots[slot].loop);
+        playbackSpeedData(slotNum, state.slots[slot].speed);
+        playbackMuteSoloData(slotNum, state.slots[slot].mute, state.slots[slot].solo);
+        playbackEffectData(slotNum, state.slots[slot]);
+        playbackLayerOrderData(slotNum, state.slots[slot].zIndex);
+        playbackLayoutData(slotNum, state.slots[slot].layoutRect);
+    });
+    
+    // Keyframe jumps recorded between the previous tick and now
+    CompositionEngine.getJumpEvents(currentArtPiece, previousTime, currentTime).forEach(event => {
+        playbackJumpEvent(event.slot, event.keyframeIndex, event.time);
     });
 }
 
-function playbackVolumeData(slot, volumeData, currentTime) {
-    if (!volumeData.length) return;
-    
-    // Find the closest recorded point
-    let targetVolume = volumeData[0].value;
-    for (let i = 0; i < volumeData.length; i++) {
-        if (volumeData[i].timestamp <= currentTime) {
-            targetVolume = volumeData[i].value;
-        } else {
-            break;
-        }
-    }
-    
+// The player gets the output level (after the crossfader), the slider the slot's own
+function playbackVolumeData(slot, targetVolume, outputVolume) {
     // Apply smooth volume transition
-    applyVolumeSmooth(slot, targetVolume);
+    applyVolumeSmooth(slot, outputVolume);
     
     // Update UI slider
     const volumeSlider = document.getElementById(`volume-${slot}`);
@@ -528,51 +696,22 @@ function applyVolumeSmooth(slot, targetVolume) {
         currentPlaybackVolumes[slot] = 50; // Default volume
     }
     
-    const currentVolume = currentPlaybackVolumes[slot];
-    const volumeDiff = Math.abs(targetVolume - currentVolume);
-    
-    // Apply volume changes more directly to reduce processing overhead during seeks
     try {
         if (mainPlayers[slot] && mainPlayers[slot].setVolume) {
-            // Use smaller steps for large changes, but apply more frequently
-            if (volumeDiff <= 5) {
-                // Small changes - apply directly
-                mainPlayers[slot].setVolume(targetVolume);
-                currentPlaybackVolumes[slot] = targetVolume;
-            } else {
-                // Larger changes - use smaller steps
-                const step = Math.min(3, volumeDiff);
-                const nextVolume = currentVolume + (targetVolume > currentVolume ? step : -step);
-                const clampedVolume = targetVolume > currentVolume ? 
-                    Math.min(nextVolume, targetVolume) : 
-                    Math.max(nextVolume, targetVolume);
-                
-                mainPlayers[slot].setVolume(clampedVolume);
-                currentPlaybackVolumes[slot] = clampedVolume;
-            }
+            const nextVolume = CompositionEngine.stepVolumeTowards(currentPlaybackVolumes[slot], targetVolume);
+            mainPlayers[slot].setVolume(nextVolume);
+            currentPlaybackVolumes[slot] = nextVolume;
         }
     } catch (error) {
         // Silently handle player state errors during seeks
     }
 }
 
-function playbackOpacityData(slot, opacityData, currentTime) {
-    if (!opacityData.length) return;
-    
-    // Find the closest recorded point
-    let targetOpacity = opacityData[0].value;
-    for (let i = 0; i < opacityData.length; i++) {
-        if (opacityData[i].timestamp <= currentTime) {
-            targetOpacity = opacityData[i].value;
-        } else {
-            break;
-        }
-    }
-    
+function playbackOpacityData(slot, targetOpacity, outputOpacity) {
     // Apply opacity to main player
     const mainPlayerDiv = document.getElementById(`main-player-${slot}`);
     if (mainPlayerDiv) {
-        mainPlayerDiv.style.opacity = targetOpacity / 100;
+        mainPlayerDiv.style.opacity = outputOpacity / 100;
     }
     
     // Update UI slider
@@ -580,49 +719,137 @@ function playbackOpacityData(slot, opacityData, currentTime) {
     if (opacitySlider) opacitySlider.value = targetOpacity;
 }
 
-function playbackTimestampData(slot, timestampData, currentTime) {
-    if (!timestampData.length) return;
+function playbackBlendModeData(slot, blendMode) {
+    // Blend the main player into the layers below it
+    const mainPlayerDiv = document.getElementById(`main-player-${slot}`);
+    if (mainPlayerDiv && mainPlayerDiv.style.mixBlendMode !== blendMode) {
+        mainPlayerDiv.style.mixBlendMode = blendMode;
+    }
     
-    // Check if any keyframe should be highlighted at this time
-    timestampData.forEach(entry => {
-        if (Math.abs(entry.timestamp - currentTime) < 200) { // Within 200ms
-            const btn = document.getElementById(`keyframe-${slot}-${entry.keyframeIndex}`);
-            if (btn) {
-                // Flash orange briefly
-                btn.classList.add('playback-active');
-                setTimeout(() => {
-                    btn.classList.remove('playback-active');
-                }, 400);
-            }
-            
-            // If it was a jump action, perform smooth seek with debouncing
-            if (entry.action === 'jump' && entry.time !== null) {
-                const seekKey = `${slot}-${entry.time}`;
-                
-                // Debounce rapid seeks to the same position
-                if (window.lastSeekTime && window.lastSeekTime[seekKey]) {
-                    const timeSinceLastSeek = Date.now() - window.lastSeekTime[seekKey];
-                    if (timeSinceLastSeek < 500) { // Prevent seeks within 500ms
-                        return;
-                    }
-                }
-                
-                // Initialize seek tracking
-                if (!window.lastSeekTime) {
-                    window.lastSeekTime = {};
-                }
-                
-                window.lastSeekTime[seekKey] = Date.now();
-                
-                console.log(`Jumping video ${slot} to timestamp ${entry.time}s`);
-                
-                // Use smooth seeking to prevent stutter
-                performSmoothSeek(slot, entry.time);
+    // Update UI selector
+    const blendSelect = document.getElementById(`blend-${slot}`);
+    if (blendSelect && blendSelect.value !== blendMode) blendSelect.value = blendMode;
+}
+
+function playbackLoopData(slot, isLooping) {
+    const loopBtn = document.getElementById(`loop-${slot}`);
+    if (loopBtn) loopBtn.classList.toggle('active', isLooping);
+    
+    if (!isLooping || !videos[slot] || !previewPlayers[slot] || !previewPlayers[slot].getCurrentTime) {
+        delete loopLastPositions[slot];
+        return;
+    }
+    
+    // Back to A when the slot plays through B - the same rule the engine uses
+    try {
+        const position = previewPlayers[slot].getCurrentTime();
+        const wrapTo = CompositionEngine.getLoopWrapPosition(videos[slot].loopRegion, loopLastPositions[slot], position);
+        loopLastPositions[slot] = wrapTo === null ? position : wrapTo;
+        if (wrapTo !== null) {
+            performSmoothSeek(slot, wrapTo);
+        }
+    } catch (error) {
+        // Player not ready yet
+    }
+}
+
+function playbackSpeedData(slot, speed) {
+    // Only touch the players when the rate changes
+    if (currentPlaybackRates[slot] !== speed) {
+        currentPlaybackRates[slot] = speed;
+        [previewPlayers[slot], mainPlayers[slot]].forEach(player => {
+            if (!player || !player.setPlaybackRate) return;
+            try {
+                player.setPlaybackRate(speed);
+            } catch (error) {
+                // Silently handle player state errors
             }
+        });
+    }
+    
+    // Update UI selector
+    const speedSelect = document.getElementById(`speed-${slot}`);
+    if (speedSelect && speedSelect.value !== String(speed)) speedSelect.value = String(speed);
+}
+
+// Mute and solo are already in the output levels - the buttons just show them
+function playbackMuteSoloData(slot, isMuted, isSoloed) {
+    const muteBtn = document.getElementById(`mute-${slot}`);
+    if (muteBtn) muteBtn.classList.toggle('active', isMuted);
+    const soloBtn = document.getElementById(`solo-${slot}`);
+    if (soloBtn) soloBtn.classList.toggle('active', isSoloed);
+}
+
+// Stacking follows the recorded layer order, not the slot number
+function playbackLayerOrderData(slot, zIndex) {
+    const mainPlayerDiv = document.getElementById(`main-player-${slot}`);
+    if (mainPlayerDiv && mainPlayerDiv.style.zIndex !== String(zIndex)) {
+        mainPlayerDiv.style.zIndex = zIndex;
+    }
+}
+
+// Layout switches animate through the layer's CSS transition
+function playbackLayoutData(slot, layoutRect) {
+    const mainPlayerDiv = document.getElementById(`main-player-${slot}`);
+    if (!mainPlayerDiv) return;
+    
+    const layoutCss = CompositionEngine.getLayoutCss(layoutRect);
+    Object.keys(layoutCss).forEach(property => {
+        if (mainPlayerDiv.style[property] !== layoutCss[property]) {
+            mainPlayerDiv.style[property] = layoutCss[property];
         }
     });
 }
 
+// Fade-to-black/white layer over the whole composite, created on first use
+function playbackMasterFadeData(fade, fadeColor) {
+    let overlay = document.getElementById('master-fade-overlay');
+    if (!overlay) {
+        if (!fade) return;
+        overlay = document.createElement('div');
+        overlay.id = 'master-fade-overlay';
+        overlay.className = 'master-fade-overlay';
+        overlay.style.zIndex = CompositionEngine.getFadeZIndex();
+        document.getElementById('preview-content').appendChild(overlay);
+    }
+    overlay.style.background = CompositionEngine.getFadeColor(fadeColor);
+    overlay.style.opacity = fade / 100;
+}
+
+function playbackEffectData(slot, slotState) {
+    // Filter lanes become one CSS filter, transform lanes a transform and crop
+    const mainPlayerDiv = document.getElementById(`main-player-${slot}`);
+    if (mainPlayerDiv) {
+        mainPlayerDiv.style.filter = CompositionEngine.getFilterCss(slotState);
+        mainPlayerDiv.style.transform = CompositionEngine.getTransformCss(slotState);
+        mainPlayerDiv.style.clipPath = CompositionEngine.getClipPathCss(slotState);
+    }
+    
+    // Update UI sliders
+    [['filter', CompositionEngine.FILTER_LANES], ['transform', CompositionEngine.TRANSFORM_LANES]].forEach(([panel, lanes]) => {
+        Object.keys(lanes).forEach(lane => {
+            const slider = document.getElementById(`${panel}-${lane}-${slot}`);
+            if (slider) slider.value = slotState[lane];
+        });
+    });
+}
+
+function playbackJumpEvent(slot, keyframeIndex, targetTime) {
+    const btn = document.getElementById(`keyframe-${slot}-${keyframeIndex}`);
+    if (btn) {
+        // Flash orange briefly
+        btn.classList.add('playback-active');
+        setTimeout(() => {
+            btn.classList.remove('playback-active');
+        }, 400);
+    }
+    
+    console.log(`Jumping video ${slot} to timestamp ${targetTime}s`);
+    
+    // Use smooth seeking to prevent stutter
+    performSmoothSeek(slot, targetTime);
+}
+
 function performSmoothSeek(slot, targetTime) {
     // Prevent multiple simultaneous seeks on the same slot
     if (window.seekingSlots && window.seekingSlots.has(slot)) {
@@ -637,12 +864,12 @@ function performSmoothSeek(slot, targetTime) {
     window.seekingSlots.add(slot);
     
     // Seek both players simultaneously without pausing to avoid YouTube overlays
-    if (previewPlayers[slot] && previewPlayers[slot].seekTo) {
-        previewPlayers[slot].seekTo(targetTime, true);
+    if (previewPlayers[slot] && previewPlayers[slot].seek) {
+        previewPlayers[slot].seek(targetTime, true);
     }
     
-    if (mainPlayers[slot] && mainPlayers[slot].seekTo) {
-        mainPlayers[slot].seekTo(targetTime, true);
+    if (mainPlayers[slot] && mainPlayers[slot].seek) {
+        mainPlayers[slot].seek(targetTime, true);
     }
     
     // Update timeline display immediately
@@ -688,6 +915,10 @@ function formatTime(seconds) {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 // =================== FULLSCREEN FUNCTIONS ===================
 function enterFullscreen() {
     if (!document.fullscreenElement) {
@@ -784,6 +1015,22 @@ function startTimelineUpdatesForPlayback(slot) {
     }, 100); // Update every 100ms for smooth timeline
 }
 
+// Cue points on the scrubber, inset like the thumb
+function renderCueMarkers(slot) {
+    const scrubber = document.getElementById(`scrubber-${slot}`);
+    const duration = videos[slot] ? videos[slot].duration : 0;
+    if (!scrubber || !(duration > 0)) return;
+    
+    scrubber.querySelectorAll('.cue-marker').forEach(marker => marker.remove());
+    CompositionEngine.getCuePoints(videos[slot]).forEach(cue => {
+        const marker = document.createElement('div');
+        marker.className = 'cue-marker';
+        marker.style.left = `calc(6px + (100% - 12px) * ${Math.min(1, cue.time / duration)})`;
+        if (cue.color) marker.style.background = cue.color;
+        scrubber.insertBefore(marker, scrubber.firstChild);
+    });
+}
+
 function updateTimelineDisplayForPlayback(slot, currentTime) {
     const duration = videos[slot].duration;
     if (duration > 0) {
@@ -917,9 +1164,24 @@ function updateThemeText() {
     }
 }
 
+// One empty module per slot in the cut, filled in by loadVideoForPlayback
+function renderPlaybackModules(slotCount) {
+    const container = document.getElementById('video-modules');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    for (let slot = 0; slot < slotCount; slot++) {
+        const module = document.createElement('div');
+        module.className = 'video-module empty';
+        module.dataset.slot = slot;
+        module.innerHTML = '<div class="add-icon">+</div>';
+        container.appendChild(module);
+    }
+}
+
 function hideEmptyModuleSlots() {
     console.log('Hiding empty module slots - only showing modules with videos...');
-    for (let slot = 0; slot < 6; slot++) {
+    for (let slot = 0; slot < CompositionEngine.getSlotCount(currentArtPiece); slot++) {
         if (!videos[slot]) {
             const module = document.querySelector(`[data-slot="${slot}"]`);
             if (module && module.classList.contains('empty')) {
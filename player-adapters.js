@@ -0,0 +1,416 @@
+/* ===================================================================
+ * SPLICE - PLAYER ADAPTERS
+ * ===================================================================
+ *
+ * Every slot talks to its players through one small interface, so the
+ * mixer, recording and playback code never depends on YT.Player:
+ *
+ *   load(source, startSeconds)   seek(seconds)     play()    pause()
+ *   setVolume(0-100)  getVolume()  mute()  unmute()  isMuted()
+ *   getCurrentTime()  getDuration()  getState()  getElement()  destroy()
+ *   setPlaybackRate(rate)  getPlaybackRate()  getAvailablePlaybackRates()
+ *   on('ready' | 'statechange' | 'error', handler)
+ *
+ * Handlers are called as handler(payload, adapter); the ready payload is
+ * the adapter itself. States are the PlayerState strings below. Errors are delivered as
+ * { code, message } with a user-facing message. Adapters are safe to
+ * call before they are ready: getters return 0 and commands are ignored.
+ *
+ * Shared options: source, startSeconds, muted, onReady, onStateChange,
+ * onError. New sources register a factory with registerAdapter(type, factory).
+ *
+ * Built-in types:
+ *   'youtube' - YT.Player iframe, source is a video ID
+ *   'local'   - HTML5 <video>, source is an object URL for a file on disk
+ */
+
+(function(root, factory) {
+    const adapters = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = adapters;
+    } else {
+        root.PlayerAdapters = adapters;
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+    const PlayerState = {
+        UNSTARTED: 'unstarted',
+        ENDED: 'ended',
+        PLAYING: 'playing',
+        PAUSED: 'paused',
+        BUFFERING: 'buffering',
+        CUED: 'cued'
+    };
+
+    const adapterFactories = {};
+
+    // =================== SHARED EVENT HANDLING ===================
+    // Wires options.onReady / onStateChange / onError and adapter.on()
+    function createEmitter(adapter, options) {
+        const handlers = { ready: [], statechange: [], error: [] };
+        if (options.onReady) handlers.ready.push(options.onReady);
+        if (options.onStateChange) handlers.statechange.push(options.onStateChange);
+        if (options.onError) handlers.error.push(options.onError);
+
+        adapter.on = function(eventName, handler) {
+            if (handlers[eventName]) handlers[eventName].push(handler);
+            return adapter;
+        };
+
+        return function emit(eventName, payload) {
+            handlers[eventName].forEach(handler => {
+                try {
+                    handler(payload, adapter);
+                } catch (error) {
+                    console.error(`Player ${eventName} handler failed:`, error);
+                }
+            });
+        };
+    }
+
+    // =================== YOUTUBE ADAPTER ===================
+    const YOUTUBE_STATES = {
+        '-1': PlayerState.UNSTARTED,
+        0: PlayerState.ENDED,
+        1: PlayerState.PLAYING,
+        2: PlayerState.PAUSED,
+        3: PlayerState.BUFFERING,
+        5: PlayerState.CUED
+    };
+
+    const YOUTUBE_PLAYER_VARS = {
+        'autoplay': 0,
+        'controls': 0,  // App controls the playhead
+        'rel': 0,       // Don't show related videos
+        'modestbranding': 1,  // Remove YouTube logo
+        'iv_load_policy': 3,  // Disable annotations
+        'showinfo': 0,  // Hide video info
+        'fs': 0,        // Disable fullscreen
+        'cc_load_policy': 0,  // Disable closed captions by default
+        'disablekb': 1, // Disable keyboard controls
+        'playsinline': 1 // Play inline on mobile
+    };
+
+    function describeYouTubeError(code) {
+        switch (code) {
+            case 2:
+                return 'Invalid video ID. Please check the YouTube URL and try again.';
+            case 5:
+                return 'Video player error. This video may not be compatible with embedded playback.';
+            case 100:
+                return 'Video not found or is private. Please choose a different video.';
+            case 101:
+            case 150:
+                return 'This video cannot be embedded due to owner restrictions. Please choose a different video.';
+            default:
+                return 'Video playback error. Please try a different video.';
+        }
+    }
+
+    function createYouTubeAdapter(elementId, options = {}) {
+        let player = null;
+        let ready = false;
+
+        // Call a YT.Player method only once it exists
+        function call(method, ...args) {
+            if (!player || typeof player[method] !== 'function') return undefined;
+            return player[method](...args);
+        }
+
+        const adapter = {
+            type: 'youtube',
+            source: options.source,
+
+            load(source, startSeconds = 0) {
+                adapter.source = source;
+                call('cueVideoById', { videoId: source, startSeconds: startSeconds });
+            },
+            seek(seconds, allowSeekAhead = true) {
+                call('seekTo', seconds, allowSeekAhead);
+            },
+            play() {
+                call('playVideo');
+            },
+            pause() {
+                call('pauseVideo');
+            },
+            setVolume(volume) {
+                call('setVolume', volume);
+            },
+            getVolume() {
+                return call('getVolume') || 0;
+            },
+            mute() {
+                call('mute');
+            },
+            unmute() {
+                call('unMute');
+            },
+            isMuted() {
+                return !!call('isMuted');
+            },
+            getCurrentTime() {
+                return call('getCurrentTime') || 0;
+            },
+            getDuration() {
+                return call('getDuration') || 0;
+            },
+            setPlaybackRate(rate) {
+                call('setPlaybackRate', rate);
+            },
+            getPlaybackRate() {
+                return call('getPlaybackRate') || 1;
+            },
+            // Empty until the video is loaded; some videos only offer 1
+            getAvailablePlaybackRates() {
+                return call('getAvailablePlaybackRates') || [];
+            },
+            getState() {
+                const state = call('getPlayerState');
+                return YOUTUBE_STATES[state] || PlayerState.UNSTARTED;
+            },
+            isReady() {
+                return ready;
+            },
+            getElement() {
+                return call('getIframe') || document.getElementById(elementId);
+            },
+            destroy() {
+                call('destroy');
+                player = null;
+                ready = false;
+            }
+        };
+
+        const emit = createEmitter(adapter, options);
+
+        player = new YT.Player(elementId, {
+            height: options.height || '100%',
+            width: options.width || '100%',
+            videoId: options.source,
+            playerVars: Object.assign({}, YOUTUBE_PLAYER_VARS,
+                options.startSeconds ? { 'start': Math.floor(options.startSeconds) } : {},
+                options.muted ? { 'mute': 1 } : {},
+                options.playerVars),
+            events: {
+                'onReady': function() {
+                    ready = true;
+                    emit('ready', adapter);
+                },
+                'onStateChange': function(event) {
+                    emit('statechange', YOUTUBE_STATES[event.data] || PlayerState.UNSTARTED);
+                },
+                'onError': function(event) {
+                    emit('error', { code: event.data, message: describeYouTubeError(event.data) });
+                }
+            }
+        });
+
+        return adapter;
+    }
+
+    // =================== LOCAL FILE ADAPTER ===================
+    const MEDIA_ERROR_MESSAGES = {
+        1: 'Loading the video file was aborted.',
+        2: 'The video file could not be read.',
+        3: 'The video file could not be decoded. It may be corrupt.',
+        4: 'This video file format is not supported by your browser.'
+    };
+
+    // <video> plays any rate; offer the same steps as YouTube
+    const LOCAL_PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+    // YT.Player accepts bare pixel numbers for width/height; CSS doesn't
+    function toCssSize(size) {
+        if (size === undefined || size === null || size === '') return '100%';
+        return /^\d+$/.test(String(size)) ? `${size}px` : String(size);
+    }
+
+    function createLocalAdapter(elementId, options = {}) {
+        let ready = false;
+        let state = PlayerState.UNSTARTED;
+
+        // Take over the placeholder element the same way YT.Player does,
+        // so callers can keep looking the layer up by its id
+        const placeholder = document.getElementById(elementId);
+        const video = document.createElement('video');
+        video.id = elementId;
+        if (placeholder) {
+            video.className = placeholder.className;
+            video.style.cssText = placeholder.style.cssText;
+            placeholder.replaceWith(video);
+        }
+        video.style.width = toCssSize(options.width);
+        video.style.height = toCssSize(options.height);
+        video.style.objectFit = 'contain';
+        video.style.background = '#000';
+        video.preload = 'auto';
+        video.playsInline = true;
+        video.muted = !!options.muted;
+
+        const adapter = {
+            type: 'local',
+            source: options.source,
+
+            load(source, startSeconds = 0) {
+                adapter.source = source;
+                ready = false;
+                video.src = source;
+                video.addEventListener('loadedmetadata', () => {
+                    video.currentTime = startSeconds;
+                }, { once: true });
+            },
+            seek(seconds) {
+                if (!ready) return;
+                video.currentTime = Math.max(0, Math.min(seconds, video.duration || seconds));
+            },
+            play() {
+                const playPromise = video.play();
+                if (playPromise && playPromise.catch) {
+                    playPromise.catch(error => console.log('Local video play blocked:', error.message));
+                }
+            },
+            pause() {
+                video.pause();
+            },
+            setVolume(volume) {
+                video.volume = Math.max(0, Math.min(100, volume)) / 100;
+            },
+            getVolume() {
+                return Math.round(video.volume * 100);
+            },
+            mute() {
+                video.muted = true;
+            },
+            unmute() {
+                video.muted = false;
+            },
+            isMuted() {
+                return video.muted;
+            },
+            getCurrentTime() {
+                return video.currentTime || 0;
+            },
+            getDuration() {
+                return isFinite(video.duration) ? video.duration : 0;
+            },
+            setPlaybackRate(rate) {
+                video.playbackRate = rate;
+            },
+            getPlaybackRate() {
+                return video.playbackRate;
+            },
+            getAvailablePlaybackRates() {
+                return [...LOCAL_PLAYBACK_RATES];
+            },
+            getState() {
+                return state;
+            },
+            isReady() {
+                return ready;
+            },
+            getElement() {
+                return video;
+            },
+            destroy() {
+                video.pause();
+                video.removeAttribute('src');
+                video.load();
+                if (video.parentNode) {
+                    video.parentNode.removeChild(video);
+                }
+                ready = false;
+            }
+        };
+
+        const emit = createEmitter(adapter, options);
+
+        function setState(newState) {
+            if (state === newState) return;
+            state = newState;
+            emit('statechange', newState);
+        }
+
+        video.addEventListener('loadedmetadata', () => {
+            if (ready) return;
+            ready = true;
+            if (options.startSeconds) {
+                video.currentTime = options.startSeconds;
+            }
+            setState(PlayerState.CUED);
+            emit('ready', adapter);
+        });
+        video.addEventListener('playing', () => setState(PlayerState.PLAYING));
+        video.addEventListener('pause', () => setState(PlayerState.PAUSED));
+        video.addEventListener('waiting', () => setState(PlayerState.BUFFERING));
+        video.addEventListener('ended', () => setState(PlayerState.ENDED));
+        video.addEventListener('error', () => {
+            const code = video.error ? video.error.code : 0;
+            emit('error', { code: code, message: MEDIA_ERROR_MESSAGES[code] || 'Video file playback error.' });
+        });
+
+        if (options.source) {
+            video.src = options.source;
+        }
+
+        return adapter;
+    }
+
+    // =================== LOCAL FILE HELPERS ===================
+    const LOCAL_FILE_TYPES = ['video/mp4', 'video/webm'];
+    const FINGERPRINT_SAMPLE_BYTES = 1024 * 1024;
+
+    function isSupportedLocalFile(file) {
+        if (!file) return false;
+        if (LOCAL_FILE_TYPES.includes(file.type)) return true;
+        return /\.(mp4|webm)$/i.test(file.name || '');
+    }
+
+    // Content fingerprint for a video file: SHA-256 over its size plus the
+    // first and last megabyte. Cheap enough for large files and stable
+    // across renames, so a reopened cut can check it got the right footage.
+    async function fingerprintFile(file) {
+        const head = file.slice(0, FINGERPRINT_SAMPLE_BYTES);
+        const tail = file.size > FINGERPRINT_SAMPLE_BYTES ?
+            file.slice(Math.max(FINGERPRINT_SAMPLE_BYTES, file.size - FINGERPRINT_SAMPLE_BYTES)) :
+            new Blob([]);
+        const buffer = await new Blob([String(file.size), ':', head, tail]).arrayBuffer();
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Adapter type for a saved or live video object
+    function getSourceType(video) {
+        return (video && video.sourceType) || 'youtube';
+    }
+
+    // =================== REGISTRY ===================
+    function registerAdapter(type, factory) {
+        adapterFactories[type] = factory;
+    }
+
+    // Create a player of the given source type inside elementId
+    function createAdapter(type, elementId, options = {}) {
+        const factory = adapterFactories[type];
+        if (!factory) {
+            throw new Error(`Unknown player type: ${type}`);
+        }
+        return factory(elementId, options);
+    }
+
+    registerAdapter('youtube', createYouTubeAdapter);
+    registerAdapter('local', createLocalAdapter);
+
+    return {
+        PlayerState,
+        LOCAL_FILE_TYPES,
+        registerAdapter,
+        createAdapter,
+        describeYouTubeError,
+        isSupportedLocalFile,
+        fingerprintFile,
+        getSourceType
+    };
+});
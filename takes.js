@@ -0,0 +1,450 @@
+/* ===================================================================
+ * SPLICE - TAKES & COMPING
+ * ===================================================================
+ *
+ * Keeps every take of the latest pass (the first take or an overdub)
+ * instead of only the last one. A pass starts as one take; Retake puts
+ * the sessions back the way they were before the pass and records it
+ * again, adding another take.
+ *
+ *   click a take          audition it against the earlier sessions
+ *                         (it also becomes the active take that Save,
+ *                         Edit Automation and the next overdub use)
+ *   click a comp segment  switch it to the next take
+ *   double-click segment  split it at that point
+ *   drag a boundary       move it
+ *   double-click boundary merge the two segments
+ *   Apply Comp            splice the segments into a new take
+ *
+ * Each take stores the whole session list as it was after recording,
+ * because an overdub can trim earlier sessions when it hijacks a
+ * control. Starting a new pass commits the active take and clears the
+ * list.
+ *
+ * Page script for create.html - loaded after create.js and uses its
+ * globals (recordingSessions, videos, compositionDuration, isRecording).
+ */
+
+// =================== TAKES STATE ===================
+const COMP_MIN_SEGMENT_MS = 250;        // Shortest comp segment
+const COMP_CARRY_POSITION_S = 0.05;     // Position gap that needs a jump at a segment start
+
+let passTakes = null;                   // { session, baseline, takes: [{ label, sessions }], activeTake }
+let compSegments = [];                  // [{ start, end, take }] covering the whole composition
+let compDrag = null;                    // Boundary being dragged
+let auditionTakeIndex = -1;             // Take being auditioned, -1 when stopped
+let auditionStartedAt = 0;
+let auditionWatch = null;
+
+function cloneSessions(sessions) {
+    return JSON.parse(JSON.stringify(sessions));
+}
+
+// =================== PASS LIFECYCLE ===================
+// Called by startRecordingSession once the undo point is saved
+function beginPassTake(isRetake) {
+    stopTakeAudition();
+
+    if (isRetake && passTakes) {
+        // The first take records its starting values from the live
+        // controls, so put them back to where that take began
+        if (passTakes.session === 1) {
+            applyStateAtTime(passTakes.takes[0].sessions, 0);
+        }
+        recordingSessions = cloneSessions(passTakes.baseline);
+        console.log(`Retaking pass ${passTakes.session}`);
+        return;
+    }
+
+    passTakes = {
+        session: recordingSessions.length + 1,
+        baseline: cloneSessions(recordingSessions),
+        takes: [],
+        activeTake: -1
+    };
+}
+
+// Called by stopRecording with the finished session list
+function registerPassTake() {
+    if (!passTakes) return;
+
+    passTakes.takes.push({
+        label: `Take ${passTakes.takes.length + 1}`,
+        sessions: cloneSessions(recordingSessions)
+    });
+    passTakes.activeTake = passTakes.takes.length - 1;
+    resetCompSegments();
+    renderTakesPanel();
+}
+
+// Lane edits change the active take in place
+function storeActiveTake() {
+    if (!passTakes || passTakes.activeTake < 0) return;
+    passTakes.takes[passTakes.activeTake].sessions = cloneSessions(recordingSessions);
+}
+
+function retakePass() {
+    if (isRecording || isCountdown || !passTakes) return;
+    startRecordingSession(true);
+}
+
+function clearPassTakes() {
+    stopTakeAudition();
+    passTakes = null;
+    compSegments = [];
+    renderTakesPanel();
+}
+
+// Undo snapshots carry the take list so undoing a retake drops its take
+function captureTakesSnapshot() {
+    return passTakes ? JSON.parse(JSON.stringify({ passTakes: passTakes, compSegments: compSegments })) : null;
+}
+
+function restoreTakesSnapshot(snapshot) {
+    stopTakeAudition();
+    passTakes = snapshot ? snapshot.passTakes : null;
+    compSegments = snapshot ? snapshot.compSegments : [];
+    renderTakesPanel();
+}
+
+// Reordering modules renumbers slots, so every take (and the baseline
+// a retake goes back to) moves its lanes to the new slot numbers
+function remapTakeSlots(takes, slotMap) {
+    if (!takes) return;
+    const remap = sessions => sessions.map(session => CompositionEngine.remapSessionSlots(session, slotMap));
+    takes.baseline = remap(takes.baseline);
+    takes.takes.forEach(take => {
+        take.sessions = remap(take.sessions);
+    });
+}
+
+// =================== SELECT & AUDITION ===================
+function selectTake(index) {
+    if (!passTakes || !passTakes.takes[index] || index === passTakes.activeTake) return;
+
+    pushUndoSnapshot('select take');
+    closeLaneEditor();
+    recordingSessions = cloneSessions(passTakes.takes[index].sessions);
+    currentSession = recordingSessions.length;
+    passTakes.activeTake = index;
+    console.log(`Selected ${passTakes.takes[index].label} for pass ${passTakes.session}`);
+}
+
+function auditionTake(index) {
+    if (isRecording || isCountdown || !passTakes) return;
+
+    // Clicking the take that is playing stops it
+    if (auditionTakeIndex === index) {
+        stopTakeAudition();
+        renderTakesPanel();
+        return;
+    }
+
+    stopTakeAudition();
+    selectTake(index);
+
+    initializeCompositionPlayback();
+    applyStateAtTime(recordingSessions, 0);
+    startCompositionPlayback();
+
+    auditionTakeIndex = index;
+    auditionStartedAt = Date.now();
+    auditionWatch = setInterval(() => {
+        if (!isCompositionPlaying) {
+            stopTakeAudition();
+            renderTakesPanel();
+            return;
+        }
+        updateCompPlayhead(Date.now() - auditionStartedAt);
+    }, 100);
+
+    renderTakesPanel();
+}
+
+function stopTakeAudition() {
+    if (auditionWatch) {
+        clearInterval(auditionWatch);
+        auditionWatch = null;
+    }
+    if (auditionTakeIndex !== -1 && isCompositionPlaying) {
+        pauseCompositionPlayback();
+    }
+    auditionTakeIndex = -1;
+    updateCompPlayhead(null);
+}
+
+// =================== RENDERING ===================
+function getTakeColor(index) {
+    return `hsl(${(index * 67 + 190) % 360}, 70%, 50%)`;
+}
+
+function renderTakesPanel() {
+    const panel = document.getElementById('takes-panel');
+    if (!panel) return;
+
+    const visible = !!passTakes && passTakes.takes.length > 0 && !isRecording && !isCountdown;
+    panel.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+
+    const title = document.getElementById('takes-title');
+    if (title) {
+        title.textContent = `Takes · ${passTakes.session === 1 ? 'Take' : 'Overdub'} ${passTakes.session}`;
+    }
+
+    const chips = document.getElementById('take-chips');
+    if (chips) {
+        chips.innerHTML = passTakes.takes.map((take, index) => `
+            <button class="take-chip${index === passTakes.activeTake ? ' active' : ''}${index === auditionTakeIndex ? ' playing' : ''}"
+                    style="--take-color: ${getTakeColor(index)}"
+                    onclick="auditionTake(${index})"
+                    title="${index === auditionTakeIndex ? 'Stop' : 'Audition'} ${take.label}">${take.label}</button>`
+        ).join('');
+    }
+
+    const compRow = document.getElementById('comp-row');
+    if (compRow) compRow.style.display = passTakes.takes.length > 1 ? 'flex' : 'none';
+    renderCompStrip();
+}
+
+function renderCompStrip() {
+    const strip = document.getElementById('comp-strip');
+    if (!strip || !passTakes) return;
+
+    const duration = compositionDuration;
+    const segments = compSegments.map((segment, index) => `
+        <div class="comp-segment" data-index="${index}"
+             style="left: ${segment.start / duration * 100}%; width: ${(segment.end - segment.start) / duration * 100}%; --take-color: ${getTakeColor(segment.take)}"
+             title="${passTakes.takes[segment.take].label} · ${formatCompTime(segment.start)}-${formatCompTime(segment.end)}">
+            ${passTakes.takes[segment.take].label}
+        </div>`
+    );
+    const boundaries = compSegments.slice(1).map((segment, index) => `
+        <div class="comp-boundary" data-index="${index + 1}" style="left: ${segment.start / duration * 100}%"></div>`
+    );
+    strip.innerHTML = segments.join('') + boundaries.join('') + '<div class="comp-playhead" id="comp-playhead"></div>';
+
+    strip.querySelectorAll('.comp-segment').forEach(element => {
+        element.addEventListener('click', handleCompSegmentClick);
+        element.addEventListener('dblclick', handleCompSegmentDoubleClick);
+    });
+    strip.querySelectorAll('.comp-boundary').forEach(element => {
+        element.addEventListener('mousedown', handleCompBoundaryMouseDown);
+        element.addEventListener('dblclick', handleCompBoundaryDoubleClick);
+    });
+}
+
+function updateCompPlayhead(timeMs) {
+    const playhead = document.getElementById('comp-playhead');
+    if (!playhead) return;
+
+    if (timeMs === null) {
+        playhead.style.display = 'none';
+        return;
+    }
+    playhead.style.display = 'block';
+    playhead.style.left = `${Math.min(timeMs, compositionDuration) / compositionDuration * 100}%`;
+}
+
+function formatCompTime(timeMs) {
+    return (timeMs / 1000).toFixed(1) + 's';
+}
+
+// =================== COMP SEGMENT EDITING ===================
+function resetCompSegments() {
+    compSegments = [{ start: 0, end: compositionDuration, take: Math.max(passTakes.activeTake, 0) }];
+}
+
+function getCompTimeAt(event) {
+    const rect = document.getElementById('comp-strip').getBoundingClientRect();
+    const ratio = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    return Math.round(ratio * compositionDuration);
+}
+
+function handleCompSegmentClick(event) {
+    // The second click of a double-click splits instead
+    if (event.detail > 1) return;
+
+    const segment = compSegments[parseInt(event.currentTarget.dataset.index)];
+    segment.take = (segment.take + 1) % passTakes.takes.length;
+    renderCompStrip();
+}
+
+function handleCompSegmentDoubleClick(event) {
+    const index = parseInt(event.currentTarget.dataset.index);
+    const segment = compSegments[index];
+    const time = getCompTimeAt(event);
+
+    // Undo the take switch made by the first click of the double-click
+    segment.take = (segment.take - 1 + passTakes.takes.length) % passTakes.takes.length;
+
+    if (time - segment.start < COMP_MIN_SEGMENT_MS || segment.end - time < COMP_MIN_SEGMENT_MS) {
+        renderCompStrip();
+        return;
+    }
+
+    compSegments.splice(index + 1, 0, { start: time, end: segment.end, take: segment.take });
+    segment.end = time;
+    renderCompStrip();
+}
+
+function handleCompBoundaryMouseDown(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    compDrag = { index: parseInt(event.currentTarget.dataset.index) };
+    document.addEventListener('mousemove', handleCompBoundaryMouseMove);
+    document.addEventListener('mouseup', handleCompBoundaryMouseUp);
+}
+
+function handleCompBoundaryMouseMove(event) {
+    if (!compDrag) return;
+
+    const left = compSegments[compDrag.index - 1];
+    const right = compSegments[compDrag.index];
+    const time = Math.max(left.start + COMP_MIN_SEGMENT_MS, Math.min(right.end - COMP_MIN_SEGMENT_MS, getCompTimeAt(event)));
+    left.end = time;
+    right.start = time;
+    renderCompStrip();
+}
+
+function handleCompBoundaryMouseUp() {
+    compDrag = null;
+    document.removeEventListener('mousemove', handleCompBoundaryMouseMove);
+    document.removeEventListener('mouseup', handleCompBoundaryMouseUp);
+}
+
+// The left segment's take covers both halves
+function handleCompBoundaryDoubleClick(event) {
+    event.stopPropagation();
+    const index = parseInt(event.currentTarget.dataset.index);
+    compSegments[index - 1].end = compSegments[index].end;
+    compSegments.splice(index, 1);
+    renderCompStrip();
+}
+
+// =================== COMPING ===================
+function applyComp() {
+    if (!passTakes || passTakes.takes.length < 2) return;
+
+    stopTakeAudition();
+    pushUndoSnapshot('comp takes');
+    closeLaneEditor();
+
+    const compCount = passTakes.takes.filter(take => take.label.startsWith('Comp')).length;
+    passTakes.takes.push({
+        label: compCount === 0 ? 'Comp' : `Comp ${compCount + 1}`,
+        sessions: buildCompSessions(compSegments)
+    });
+    passTakes.activeTake = passTakes.takes.length - 1;
+    recordingSessions = cloneSessions(passTakes.takes[passTakes.activeTake].sessions);
+    currentSession = recordingSessions.length;
+
+    console.log(`Comped ${compSegments.length} segment(s) into ${passTakes.takes[passTakes.activeTake].label}`);
+    resetCompSegments();
+    renderTakesPanel();
+}
+
+/*
+ * Splice the takes into one session list. Every session up to the pass
+ * takes each segment's points from that segment's take, since overdubs
+ * can trim earlier sessions too. The pass's own session then gets a
+ * point at each segment start wherever the spliced result would still
+ * be holding the previous segment's value or video position.
+ */
+function buildCompSessions(segments) {
+    const takeSessions = passTakes.takes.map(take => take.sessions);
+    const sessionCount = passTakes.session;
+    const result = [];
+
+    for (let index = 0; index < sessionCount; index++) {
+        const template = takeSessions[segments[0].take][index];
+        const session = { ...template, controlData: {} };
+
+        takeSessions.forEach(sessions => {
+            Object.keys(sessions[index].controlData || {}).forEach(slot => {
+                if (!session.controlData[slot]) {
+                    session.controlData[slot] = CompositionEngine.createSlotControlData();
+                }
+            });
+        });
+
+        Object.keys(session.controlData).forEach(slot => {
+            const slotData = session.controlData[slot];
+            Object.keys(slotData).forEach(lane => {
+                spliceSegmentPoints(segments, slotData[lane], segment => {
+                    const source = takeSessions[segment.take][index].controlData[slot];
+                    return source && source[lane];
+                });
+            });
+        });
+
+        // Master lanes (the crossfader) splice the same way
+        session.masterData = CompositionEngine.createMasterControlData();
+        Object.keys(session.masterData).forEach(lane => {
+            spliceSegmentPoints(segments, session.masterData[lane], segment => {
+                const source = takeSessions[segment.take][index].masterData;
+                return source && source[lane];
+            });
+        });
+
+        result.push(session);
+    }
+
+    const passData = result[sessionCount - 1].controlData;
+    const passMasterData = result[sessionCount - 1].masterData;
+    segments.slice(1).forEach(segment => {
+        const takeState = CompositionEngine.getMixerState(getEngineComposition(takeSessions[segment.take]), segment.start);
+        const compState = CompositionEngine.getMixerState(getEngineComposition(result), segment.start);
+
+        Object.keys(CompositionEngine.MASTER_LANES).forEach(lane => {
+            if (CompositionEngine.isSameLaneValue(takeState.master[lane], compState.master[lane])) return;
+            insertCompPoint(passMasterData[lane], { timestamp: segment.start, value: takeState.master[lane] });
+        });
+
+        Object.keys(takeState.slots).forEach(slot => {
+            const takeSlot = takeState.slots[slot];
+            const compSlot = compState.slots[slot];
+            if (!compSlot) return;
+            if (!passData[slot]) {
+                passData[slot] = CompositionEngine.createSlotControlData();
+            }
+
+            Object.keys(CompositionEngine.SLOT_LANES).forEach(lane => {
+                if (takeSlot[lane] === compSlot[lane]) return;
+                insertCompPoint(passData[slot][lane], { timestamp: segment.start, value: takeSlot[lane] });
+            });
+
+            if (Math.abs(takeSlot.position - compSlot.position) > COMP_CARRY_POSITION_S) {
+                insertCompPoint(passData[slot][CompositionEngine.EVENT_LANE], {
+                    timestamp: segment.start,
+                    keyframeIndex: takeSlot.lastJump ? takeSlot.lastJump.keyframeIndex : 0,
+                    time: takeSlot.position,
+                    action: 'jump'
+                });
+            }
+        });
+    });
+
+    return result;
+}
+
+// Copy each segment's points from its own take into one lane
+function spliceSegmentPoints(segments, target, getSourcePoints) {
+    segments.forEach((segment, segmentIndex) => {
+        const isLast = segmentIndex === segments.length - 1;
+        (getSourcePoints(segment) || []).forEach(point => {
+            if (point.timestamp >= segment.start && (isLast || point.timestamp < segment.end)) {
+                target.push({ ...point });
+            }
+        });
+    });
+}
+
+// Keep lanes in time order - the engine expects it
+function insertCompPoint(points, point) {
+    const index = points.findIndex(existing => existing.timestamp > point.timestamp);
+    if (index === -1) {
+        points.push(point);
+    } else {
+        points.splice(index, 0, point);
+    }
+}
@@ -0,0 +1,133 @@
+/* ===================================================================
+ * SPLICE - COMPOSITION ENGINE TESTS
+ * ===================================================================
+ *
+ * Node unit tests for composition-engine.js - run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CompositionEngine = require('../composition-engine.js');
+
+// =================== FIXTURES ===================
+function createSession(controlData, extra = {}) {
+    return { controlData: controlData, masterData: {}, ...extra };
+}
+
+function createComposition(sessions, videos = [{ slot: 0, keyframes: [10, 20, 30] }]) {
+    return { videos: videos, sessions: sessions };
+}
+
+function jump(timestamp, keyframeIndex) {
+    return { timestamp: timestamp, keyframeIndex: keyframeIndex, action: 'jump' };
+}
+
+// =================== MIXER STATE ===================
+test('getMixerState blends continuous lanes across short gaps', () => {
+    const composition = createComposition([createSession({
+        0: { volume: [{ timestamp: 1000, value: 0 }, { timestamp: 1200, value: 100 }] }
+    })]);
+
+    assert.equal(CompositionEngine.getMixerState(composition, 1000).slots[0].volume, 0);
+    assert.equal(CompositionEngine.getMixerState(composition, 1100).slots[0].volume, 50);
+    assert.equal(CompositionEngine.getMixerState(composition, 1200).slots[0].volume, 100);
+});
+
+test('getMixerState holds values across gaps wider than the interpolation window', () => {
+    const composition = createComposition([createSession({
+        0: { opacity: [{ timestamp: 1000, value: 20 }, { timestamp: 1000 + CompositionEngine.INTERPOLATION_WINDOW_MS, value: 80 }] }
+    })]);
+
+    assert.equal(CompositionEngine.getMixerState(composition, 1250).slots[0].opacity, 20);
+});
+
+test('getMixerState falls back to the lane default before the first point', () => {
+    const composition = createComposition([createSession({
+        0: { volume: [{ timestamp: 5000, value: 90 }] }
+    })]);
+
+    assert.equal(CompositionEngine.getMixerState(composition, 0).slots[0].volume, CompositionEngine.SLOT_LANES.volume.defaultValue);
+});
+
+test('getMixerState leaves out skipped controls', () => {
+    const composition = createComposition([createSession({
+        0: { volume: [{ timestamp: 0, value: 10 }] }
+    })]);
+    const state = CompositionEngine.getMixerState(composition, 100, { skipControls: new Set(['0-volume']) });
+
+    assert.equal(state.slots[0].volume, undefined);
+    assert.equal(state.slots[0].opacity, 100);
+});
+
+// =================== JUMP EVENTS ===================
+test('getJumpEvents returns jumps with fromMs < timestamp <= toMs', () => {
+    const composition = createComposition([createSession({
+        0: { timestamps: [jump(0, 0), jump(1000, 1), jump(2000, 2)] }
+    })]);
+
+    assert.deepEqual(CompositionEngine.getJumpEvents(composition, 0, 1000).map(event => event.timestamp), [1000]);
+    assert.deepEqual(CompositionEngine.getJumpEvents(composition, 1000, 1999), []);
+    assert.deepEqual(CompositionEngine.getJumpEvents(composition, -1, 2000).map(event => event.time), [10, 20, 30]);
+});
+
+test('getJumpEvents ignores non-jump events and unset keyframes', () => {
+    const composition = createComposition([createSession({
+        0: { timestamps: [{ timestamp: 500, keyframeIndex: 0, action: 'set' }, jump(800, 5)] }
+    })]);
+
+    assert.deepEqual(CompositionEngine.getJumpEvents(composition, -1, 60000), []);
+});
+
+// =================== SESSION LAYERING ===================
+test('later sessions override earlier ones where they have data', () => {
+    const composition = createComposition([
+        createSession({ 0: { volume: [{ timestamp: 0, value: 10 }] } }),
+        createSession({ 0: { volume: [{ timestamp: 3000, value: 70 }] } })
+    ]);
+
+    assert.equal(CompositionEngine.getMixerState(composition, 1000).slots[0].volume, 10);
+    assert.equal(CompositionEngine.getMixerState(composition, 4000).slots[0].volume, 70);
+});
+
+test('a punched session only counts inside its window', () => {
+    const composition = createComposition([
+        createSession({ 0: { volume: [{ timestamp: 0, value: 10 }] } }),
+        createSession({ 0: { volume: [{ timestamp: 0, value: 90 }] } }, { punch: { inMs: 2000, outMs: 4000 } })
+    ]);
+
+    assert.equal(CompositionEngine.getMixerState(composition, 1999).slots[0].volume, 10);
+    assert.equal(CompositionEngine.getMixerState(composition, 2000).slots[0].volume, 90);
+    assert.equal(CompositionEngine.getMixerState(composition, 4000).slots[0].volume, 10);
+});
+
+test('a punched session masks earlier jumps and returns the slot at punch-out', () => {
+    const composition = createComposition([
+        createSession({ 0: { timestamps: [jump(0, 0), jump(3000, 1)] } }),
+        createSession({ 0: { timestamps: [jump(2000, 2), jump(5000, 0)] } }, { punch: { inMs: 1000, outMs: 4000 } })
+    ]);
+    const events = CompositionEngine.getJumpEvents(composition, -1, 60000);
+
+    // The punched jump at 5000 is outside its window, the base jump at 3000 is masked
+    assert.deepEqual(events.map(event => [event.timestamp, event.keyframeIndex]), [[0, 0], [2000, 2], [4000, null]]);
+    assert.equal(events[2].time, 21);
+});
+
+// =================== SLOT REMAPPING ===================
+test('getReorderSlotMap shifts the slots in between like a list insert', () => {
+    assert.deepEqual(CompositionEngine.getReorderSlotMap(4, 0, 2), { 0: 2, 1: 0, 2: 1, 3: 3 });
+    assert.deepEqual(CompositionEngine.getReorderSlotMap(4, 3, 1), { 0: 0, 1: 2, 2: 3, 3: 1 });
+});
+
+test('remapSessionSlots moves controlData and layer orders to the new slots', () => {
+    const volume = [{ timestamp: 0, value: 40 }];
+    const session = createSession({ 0: { volume: volume }, 2: { volume: [] } }, { punch: { inMs: 0, outMs: 1000 } });
+    session.masterData.layerOrder = [{ timestamp: 0, value: [2, 0, 1] }, { timestamp: 500, value: null }];
+
+    const remapped = CompositionEngine.remapSessionSlots(session, CompositionEngine.getReorderSlotMap(3, 0, 2));
+
+    assert.deepEqual(Object.keys(remapped.controlData), ['1', '2']);
+    assert.equal(remapped.controlData[2].volume, volume);
+    assert.deepEqual(remapped.masterData.layerOrder.map(point => point.value), [[1, 2, 0], null]);
+    assert.deepEqual(remapped.punch, session.punch);
+    assert.deepEqual(Object.keys(session.controlData), ['0', '2']);
+});
@@ -0,0 +1,304 @@
+/* ===================================================================
+ * SPLICE - VIDEO EXPORTER
+ * ===================================================================
+ *
+ * Renders a cut whose slots are all local files into a .webm that can
+ * be watched without the app.
+ *
+ * Each slot gets a hidden <video>. A render loop asks the composition
+ * engine for the mixer state, replays keyframe jumps and plays each
+ * layer at its recorded speed. It draws the layers onto a canvas bottom
+ * to top in the recorded layer order, each in its recorded layout rect
+ * (tweening layout switches like the pages' CSS transition) with its
+ * recorded opacity, blend mode, filters and transform, then paints the
+ * master fade over the finished frame. Each slot's audio goes through a
+ * Web Audio gain set from its recorded volume. Opacity and volume are
+ * the engine's output levels, so the crossfader, master volume and
+ * mute/solo apply too.
+ *
+ * The canvas stream and the mixed audio are encoded together with
+ * MediaRecorder, so an export takes as long as the cut itself.
+ *
+ * Browser only - depends on window.CompositionEngine.
+ */
+
+(function(root, factory) {
+    root.VideoExporter = factory(root.CompositionEngine);
+})(typeof self !== 'undefined' ? self : this, function(engine) {
+
+    // =================== CONSTANTS ===================
+    const EXPORT_WIDTH = 1280;
+    const EXPORT_HEIGHT = 720;
+    const FRAME_RATE = 30;
+    const DRIFT_TOLERANCE_S = 0.3;   // Re-seek a layer once it drifts this far
+    const MIME_TYPES = [
+        'video/webm;codecs=vp9,opus',
+        'video/webm;codecs=vp8,opus',
+        'video/webm'
+    ];
+
+    // =================== CAPABILITY CHECKS ===================
+    // Only cuts built entirely from local media can be rendered -
+    // YouTube iframes can't be drawn onto a canvas
+    function canExport(composition) {
+        const videos = (composition && composition.videos) || [];
+        const slots = videos.filter(video => video);
+        return slots.length > 0 && slots.every(video => video.sourceType === 'local');
+    }
+
+    function isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            typeof (window.AudioContext || window.webkitAudioContext) === 'function';
+    }
+
+    function getMimeType() {
+        return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    // =================== MEDIA HELPERS ===================
+    function loadSlotVideo(url) {
+        return new Promise((resolve, reject) => {
+            const video = document.createElement('video');
+            video.preload = 'auto';
+            video.playsInline = true;
+            video.addEventListener('loadeddata', () => resolve(video), { once: true });
+            video.addEventListener('error', () => reject(new Error('A video file could not be loaded')), { once: true });
+            video.src = url;
+        });
+    }
+
+    function seekVideo(video, seconds) {
+        return new Promise(resolve => {
+            video.addEventListener('seeked', () => resolve(), { once: true });
+            video.currentTime = seconds;
+        });
+    }
+
+    // Canvas composite operations share their names with mix-blend-mode
+    function getCompositeOperation(blendMode) {
+        return !blendMode || blendMode === 'normal' ? 'source-over' : blendMode;
+    }
+
+    function isSameRect(a, b) {
+        return ['x', 'y', 'width', 'height'].every(key => a[key] === b[key]);
+    }
+
+    // Letterbox a layer into its layout rect, keeping its aspect ratio,
+    // then apply its transform and crop the same way the live layer's CSS
+    // does - relative to the rect, not the whole frame
+    function drawLayer(context, video, slotState, rect) {
+        if (!video.videoWidth || !video.videoHeight || slotState.outputOpacity <= 0) return;
+
+        const boxLeft = EXPORT_WIDTH * rect.x;
+        const boxTop = EXPORT_HEIGHT * rect.y;
+        const boxWidth = EXPORT_WIDTH * rect.width;
+        const boxHeight = EXPORT_HEIGHT * rect.height;
+        const scale = Math.min(boxWidth / video.videoWidth, boxHeight / video.videoHeight);
+        const width = video.videoWidth * scale;
+        const height = video.videoHeight * scale;
+        const transform = engine.getTransformValues(slotState);
+
+        context.save();
+        context.globalAlpha = slotState.outputOpacity / 100;
+        context.globalCompositeOperation = getCompositeOperation(slotState.blendMode);
+        context.filter = engine.getFilterCss(slotState);
+
+        // Transforms pivot on the rect centre, like transform-origin: center
+        context.translate(
+            boxLeft + boxWidth / 2 + boxWidth * transform.offsetX / 100,
+            boxTop + boxHeight / 2 + boxHeight * transform.offsetY / 100
+        );
+        context.scale(transform.zoom / 100, transform.zoom / 100);
+        context.rotate(transform.rotation * Math.PI / 180);
+        context.translate(-boxWidth / 2, -boxHeight / 2);
+
+        if (transform.crop > 0) {
+            const insetX = boxWidth * transform.crop / 100;
+            const insetY = boxHeight * transform.crop / 100;
+            context.beginPath();
+            context.rect(insetX, insetY, boxWidth - insetX * 2, boxHeight - insetY * 2);
+            context.clip();
+        }
+
+        context.drawImage(video, (boxWidth - width) / 2, (boxHeight - height) / 2, width, height);
+        context.restore();
+    }
+
+    // =================== EXPORT ===================
+    /*
+     * Render a composition to a webm Blob.
+     *
+     * fileUrls - object URL for each slot's local file, keyed by slot
+     * options.onProgress(fraction) - called every frame with 0-1
+     * options.signal - AbortSignal to cancel the render
+     */
+    async function exportComposition(composition, fileUrls, options = {}) {
+        if (!isSupported()) {
+            throw new Error('This browser cannot record video exports');
+        }
+
+        const duration = engine.getCompositionDuration(composition);
+        const slots = engine.getSlotIndices(composition).filter(slot => fileUrls[slot]);
+        const slotVideos = {};
+        for (const slot of slots) {
+            slotVideos[slot] = await loadSlotVideo(fileUrls[slot]);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = EXPORT_WIDTH;
+        canvas.height = EXPORT_HEIGHT;
+        const context = canvas.getContext('2d');
+
+        // Mix every slot through its own gain into one recorded track
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const audioContext = new AudioContextClass();
+        const audioDestination = audioContext.createMediaStreamDestination();
+        const slotGains = {};
+        slots.forEach(slot => {
+            const source = audioContext.createMediaElementSource(slotVideos[slot]);
+            slotGains[slot] = audioContext.createGain();
+            source.connect(slotGains[slot]).connect(audioDestination);
+        });
+
+        const stream = new MediaStream([
+            ...canvas.captureStream(FRAME_RATE).getVideoTracks(),
+            ...audioDestination.stream.getAudioTracks()
+        ]);
+        const mimeType = getMimeType();
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType: mimeType } : undefined);
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) chunks.push(event.data);
+        };
+
+        // Line every layer up at its starting position before rolling
+        const initialState = engine.getMixerState(composition, 0);
+        await Promise.all(slots.map(slot => seekVideo(slotVideos[slot], initialState.slots[slot].position)));
+        await audioContext.resume();
+        await Promise.all(slots.map(slot => slotVideos[slot].play()));
+
+        function cleanup() {
+            slots.forEach(slot => {
+                slotVideos[slot].pause();
+                slotVideos[slot].removeAttribute('src');
+                slotVideos[slot].load();
+            });
+            stream.getTracks().forEach(track => track.stop());
+            audioContext.close();
+        }
+
+        // Each layer's layout tween: { from, to, startedAt } in elapsed ms
+        const layoutTweens = {};
+        function getLayerRect(slot, targetRect, elapsed) {
+            const tween = layoutTweens[slot];
+            if (!tween) {
+                layoutTweens[slot] = { from: targetRect, to: targetRect, startedAt: elapsed };
+                return targetRect;
+            }
+            const progress = (elapsed - tween.startedAt) / engine.LAYOUT_TRANSITION_MS;
+            const shownRect = engine.interpolateLayoutRect(tween.from, tween.to, progress);
+            if (isSameRect(tween.to, targetRect)) return shownRect;
+
+            // Retarget from wherever the layer is now, like a CSS transition
+            layoutTweens[slot] = { from: shownRect, to: targetRect, startedAt: elapsed };
+            return shownRect;
+        }
+
+        return new Promise((resolve, reject) => {
+            let cancelled = false;
+            let lastTime = -1;
+            const startTime = performance.now();
+
+            recorder.onstop = () => {
+                cleanup();
+                if (cancelled) {
+                    reject(new Error('Export cancelled'));
+                } else {
+                    resolve(new Blob(chunks, { type: 'video/webm' }));
+                }
+            };
+            recorder.onerror = (event) => {
+                cleanup();
+                reject(event.error || new Error('Recording failed'));
+            };
+
+            if (options.signal && options.signal.aborted) {
+                cleanup();
+                reject(new Error('Export cancelled'));
+                return;
+            }
+            if (options.signal) {
+                options.signal.addEventListener('abort', () => {
+                    cancelled = true;
+                    if (recorder.state !== 'inactive') recorder.stop();
+                }, { once: true });
+            }
+
+            function renderFrame() {
+                if (cancelled) return;
+
+                const elapsed = Math.min(performance.now() - startTime, duration);
+
+                engine.getJumpEvents(composition, lastTime, elapsed).forEach(jump => {
+                    if (slotVideos[jump.slot]) {
+                        slotVideos[jump.slot].currentTime = jump.time;
+                    }
+                });
+
+                const state = engine.getMixerState(composition, elapsed);
+                context.fillStyle = '#000';
+                context.fillRect(0, 0, EXPORT_WIDTH, EXPORT_HEIGHT);
+
+                // Lowest zIndex first, following the recorded layer order like the live composite
+                [...slots].sort((a, b) => state.slots[a].zIndex - state.slots[b].zIndex).forEach(slot => {
+                    const slotState = state.slots[slot];
+                    const video = slotVideos[slot];
+
+                    slotGains[slot].gain.value = slotState.outputVolume / 100;
+                    if (video.playbackRate !== slotState.speed) {
+                        video.playbackRate = slotState.speed;
+                    }
+
+                    if (!video.seeking && Math.abs(video.currentTime - slotState.position) > DRIFT_TOLERANCE_S) {
+                        video.currentTime = slotState.position;
+                    }
+
+                    drawLayer(context, video, slotState, getLayerRect(slot, slotState.layoutRect, elapsed));
+                });
+
+                // Master fade to black/white over every layer
+                if (state.master.fade > 0) {
+                    context.save();
+                    context.globalAlpha = state.master.fade / 100;
+                    context.fillStyle = engine.getFadeColor(state.master.fadeColor);
+                    context.fillRect(0, 0, EXPORT_WIDTH, EXPORT_HEIGHT);
+                    context.restore();
+                }
+
+                lastTime = elapsed;
+                if (options.onProgress) {
+                    options.onProgress(elapsed / duration);
+                }
+
+                if (elapsed >= duration) {
+                    recorder.stop();
+                    return;
+                }
+                setTimeout(renderFrame, 1000 / FRAME_RATE);
+            }
+
+            recorder.start(1000);
+            renderFrame();
+        });
+    }
+
+    return {
+        EXPORT_WIDTH,
+        EXPORT_HEIGHT,
+        FRAME_RATE,
+        canExport,
+        isSupported,
+        exportComposition
+    };
+});